@@ -0,0 +1,148 @@
+const { chunk } = require("lodash");
+const { PayloadFormat } = require("./formats");
+const { UnitResult } = require("./strategies");
+
+// Data elements per analytics request, keeping URLs well under server limits
+const DATA_ELEMENT_CHUNK_SIZE = 100;
+
+/**
+ * Aggregate-up mode: instead of exporting the raw values of facilities,
+ * reads the totals of org units at one level, e.g. districts, from the
+ * source's analytics (/api/analytics/dataValueSet) and imports them as the
+ * values of those org units. Totals come per category and attribute option
+ * combo as analytics returns them, and are as recent as the source's last
+ * analytics table update. Rules and mappings apply to them as to exported
+ * values, and they are imported in the transfer's batches
+ */
+class AnalyticsAggregation {
+    /**
+     * @param {import("./main")} transfer
+     * @param {Object} options
+     * @param {number} options.level org unit level the totals are read for
+     * @param {string[]} [options.dataElements] data elements to read, default
+     *   those of the transferred datasets
+     */
+    constructor(transfer, { level, dataElements = [] }) {
+        this.transfer = transfer;
+        this.level = level;
+        this.dataElements = dataElements;
+        this.dataSetElements = new Map();
+    }
+
+    /**
+     * Selects the org units of the level on the source, where their totals
+     * are read
+     * @param {import("./orgUnitSelector").OrgUnitSelection} [selection] of
+     *   which only boundary and exclude, in source UIDs, are kept
+     * @returns {import("./orgUnitSelector").OrgUnitSelection}
+     */
+    selection({ boundary, exclude } = {}) {
+        return {
+            from: "source",
+            levels: [this.level],
+            ...(boundary && { boundary }),
+            ...(exclude && { exclude }),
+        };
+    }
+
+    /**
+     * Reads the data elements of the datasets from the source, unless the
+     * data elements were given
+     * @param {string[]} datasets
+     */
+    async prepare(datasets) {
+        if (this.dataElements.length) return;
+        const { data } = await this.transfer.sourceApi.get(
+            "/api/dataSets.json",
+            {
+                params: {
+                    fields: "id,dataSetElements[dataElement[id]]",
+                    filter: `id:in:[${datasets.join(",")}]`,
+                    paging: false,
+                },
+                responseType: "json",
+                headers: { Accept: "application/json" },
+            },
+        );
+        for (const { id, dataSetElements = [] } of data.dataSets) {
+            this.dataSetElements.set(
+                id,
+                dataSetElements.map(({ dataElement }) => dataElement.id),
+            );
+        }
+        const missing = datasets.filter((id) => !this.dataSetElements.has(id));
+        if (missing.length) {
+            throw new Error(
+                `Datasets not found on the source: ${missing.join(", ")}`,
+            );
+        }
+    }
+
+    /**
+     * @private
+     * @returns {string[]} the data elements read for the datasets
+     */
+    dataElementsOf(datasets) {
+        if (this.dataElements.length) return this.dataElements;
+        return [
+            ...new Set(
+                datasets.flatMap((id) => this.dataSetElements.get(id) || []),
+            ),
+        ];
+    }
+
+    /**
+     * Reads the totals of an org unit for its periods from the source's
+     * analytics and imports them
+     * @param {string[]} datasets
+     * @param {{id: string, name: string, sourceId?: string}} orgUnit at the level
+     * @param {{periods?: string[]}} range
+     * @param {number} current
+     * @param {number} total
+     * @returns {Promise<{processed: boolean, count: number, deleted: number, unmapped: number, lastUpdated: string|null, batches: Object[]}>}
+     */
+    async transferUnit(datasets, orgUnit, range, current, total) {
+        const { transfer } = this;
+        if (!range.periods?.length) {
+            throw new Error(
+                `Analytics totals are read per period; ${datasets.join(", ")} need periods or a period type`,
+            );
+        }
+        const label = range.periods.join(",");
+        transfer.logger.info(
+            `Aggregating ${label} data for ${orgUnit.name} (${current}/${total})...`,
+        );
+        const result = new UnitResult(transfer, orgUnit);
+        let serverDate;
+        for (const part of chunk(
+            this.dataElementsOf(datasets),
+            DATA_ELEMENT_CHUNK_SIZE,
+        )) {
+            const query = new URLSearchParams();
+            query.append("dimension", `dx:${part.join(";")}`);
+            query.append("dimension", `pe:${range.periods.join(";")}`);
+            query.append(
+                "dimension",
+                `ou:${transfer.sourceOrgUnitId(orgUnit)}`,
+            );
+            const { data, headers } = await transfer.sourceApi.get(
+                `/api/analytics/dataValueSet.json?${query}`,
+                {
+                    responseType: "json",
+                    headers: { Accept: "application/json" },
+                },
+            );
+            serverDate = headers.date;
+            for (const dataValue of data.dataValues || []) {
+                await result.add(PayloadFormat.row(dataValue));
+            }
+        }
+        const counts = await result.finish(serverDate);
+        transfer.logger.info(
+            `Finished ${label} totals for ${orgUnit.name} (${current}/${total}): ${counts.count} data values`,
+        );
+        return counts;
+    }
+}
+
+module.exports = AnalyticsAggregation;
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { createFormat } = require("./formats");
+
+// Bumped when the manifest changes in a way older readers cannot handle
+const FORMAT = 1;
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} file gzip-compressed export, relative to the archive
+ * @property {string} [format] payload format of the export; csv when absent
+ * @property {string} dataSet
+ * @property {{id: string, name: string}} orgUnit the org unit on the source
+ * @property {string} period the period, or date range, of the export
+ * @property {{periods?: string[], startDate?: string, endDate?: string}} range as exported
+ * @property {boolean} includeDeleted whether values deleted on the source were exported
+ * @property {number} rows data value rows, deleted ones included
+ * @property {number} deleted rows of values deleted on the source
+ * @property {number} bytes size of the compressed file
+ * @property {string} sha256 hex checksum of the compressed file
+ * @property {string} exportedAt
+ */
+
+/**
+ * Hashes and measures the bytes passing through
+ * @private
+ */
+function digester() {
+    const hash = crypto.createHash("sha256");
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            stream.bytes += chunk.length;
+            callback(null, chunk);
+        },
+    });
+    stream.bytes = 0;
+    stream.digest = () => hash.digest("hex");
+    return stream;
+}
+
+/**
+ * Passes an export through unchanged while counting its rows
+ * @private
+ * @param {import("./formats").PayloadFormat} format
+ */
+function rowCounter(format) {
+    const parser = format.reader();
+    const parsed = new Promise((resolve, reject) => {
+        parser.on("end", resolve).on("error", reject);
+    });
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            parser.write(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            parser.end();
+            parsed.then(() => callback(), callback);
+        },
+    });
+    stream.rows = 0;
+    stream.deleted = 0;
+    parser.on("data", (row) => {
+        stream.rows++;
+        if (row.deleted?.toLowerCase() === "true") stream.deleted++;
+    });
+    return stream;
+}
+
+/**
+ * A directory of source exports kept for a later import: one
+ * gzip-compressed file per dataset, org unit and period, as exported in
+ * the payload format of the export (CSV unless chosen otherwise),
+ * and a manifest.json listing each file with its row count and SHA-256
+ * checksum (the same as `sha256sum` prints). Files are written under a
+ * temporary name and the manifest is rewritten after each one, so an
+ * interrupted export leaves only complete, listed files.
+ *
+ * Exports are kept in source identifiers; mappings and rules apply when the
+ * archive is imported
+ */
+class DataArchive {
+    static MANIFEST = "manifest.json";
+
+    /**
+     * @param {string} directory
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.manifestPath = path.join(directory, DataArchive.MANIFEST);
+        this.manifest = null;
+    }
+
+    get entries() {
+        return this.manifest.entries;
+    }
+
+    get idSchemes() {
+        return this.manifest.idSchemes;
+    }
+
+    /**
+     * Opens the archive for writing. Entries of an existing archive are
+     * kept, so that exports of different periods can share a directory
+     * @param {Object} options
+     * @param {string} options.source URL of the source instance
+     * @param {Object<string, string>} options.idSchemes ID schemes of the export
+     * @returns {DataArchive}
+     * @throws {Error} when an existing archive was exported with other ID schemes
+     */
+    create({ source, idSchemes }) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        if (fs.existsSync(this.manifestPath)) {
+            this.open();
+            if (
+                JSON.stringify(this.manifest.idSchemes) !==
+                JSON.stringify(idSchemes)
+            ) {
+                throw new Error(
+                    `${this.directory} holds exports with other ID schemes (${JSON.stringify(this.manifest.idSchemes)}); use another directory`,
+                );
+            }
+            this.manifest.source = source;
+            return this;
+        }
+        this.manifest = {
+            format: FORMAT,
+            source,
+            idSchemes,
+            createdAt: new Date().toISOString(),
+            entries: [],
+        };
+        this.save();
+        return this;
+    }
+
+    /**
+     * Opens an existing archive for reading
+     * @returns {DataArchive}
+     * @throws {Error} when there is no manifest or it cannot be read
+     */
+    open() {
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
+        } catch (error) {
+            throw new Error(
+                `Cannot read archive manifest ${this.manifestPath}: ${error.message}`,
+            );
+        }
+        if (manifest.format !== FORMAT || !Array.isArray(manifest.entries)) {
+            throw new Error(
+                `${this.manifestPath} is not a version ${FORMAT} archive manifest`,
+            );
+        }
+        this.manifest = manifest;
+        return this;
+    }
+
+    /**
+     * Finds the entry of a dataset, org unit and period
+     * @param {string} dataSet
+     * @param {string} orgUnitId source org unit
+     * @param {string} period
+     * @returns {ArchiveEntry|undefined}
+     */
+    entry(dataSet, orgUnitId, period) {
+        return this.entries.find(
+            (entry) =>
+                entry.dataSet === dataSet &&
+                entry.orgUnit.id === orgUnitId &&
+                entry.period === period,
+        );
+    }
+
+    /**
+     * Writes an export to the archive, replacing an earlier export of the
+     * same dataset, org unit and period
+     * @param {Object} unit
+     * @param {string} unit.dataSet
+     * @param {{id: string, name: string}} unit.orgUnit the org unit on the source
+     * @param {string} unit.period
+     * @param {Object} unit.range
+     * @param {boolean} unit.includeDeleted
+     * @param {import("./formats").PayloadFormat} unit.format format of the export
+     * @param {import("stream").Readable} input the export
+     * @returns {Promise<ArchiveEntry>}
+     */
+    async write(
+        { dataSet, orgUnit, period, range, includeDeleted, format },
+        input,
+    ) {
+        const safe = (name) => name.replace(/[^\w.-]+/g, "_");
+        const file = path.posix.join(
+            safe(dataSet),
+            safe(orgUnit.id),
+            `${safe(period)}.${format.extension}.gz`,
+        );
+        const filePath = this.resolve(file);
+        const partPath = `${filePath}.part`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const counter = rowCounter(format);
+        const digest = digester();
+        try {
+            await pipeline(
+                input,
+                counter,
+                zlib.createGzip(),
+                digest,
+                fs.createWriteStream(partPath),
+            );
+            fs.renameSync(partPath, filePath);
+        } finally {
+            fs.rmSync(partPath, { force: true });
+        }
+        const entry = {
+            file,
+            format: format.name,
+            dataSet,
+            orgUnit: { id: orgUnit.id, name: orgUnit.name },
+            period,
+            range,
+            includeDeleted,
+            rows: counter.rows,
+            deleted: counter.deleted,
+            bytes: digest.bytes,
+            sha256: digest.digest(),
+            exportedAt: new Date().toISOString(),
+        };
+        const previous = this.entry(dataSet, orgUnit.id, period);
+        if (previous) {
+            // An export in another format leaves a file of another name
+            if (previous.file !== file) {
+                fs.rmSync(this.resolve(previous.file), { force: true });
+            }
+            this.manifest.entries = this.entries.filter(
+                (other) => other !== previous,
+            );
+        }
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Checks that an entry's file is present and unchanged
+     * @param {ArchiveEntry} entry
+     * @throws {Error} when the file is missing or its checksum differs
+     */
+    async verify(entry) {
+        const filePath = this.resolve(entry.file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`${entry.file} is missing from the archive`);
+        }
+        const hash = crypto.createHash("sha256");
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        const sha256 = hash.digest("hex");
+        if (sha256 !== entry.sha256) {
+            throw new Error(
+                `${entry.file} does not match its checksum (${sha256}, expected ${entry.sha256})`,
+            );
+        }
+    }
+
+    /**
+     * The payload format an entry was exported in
+     * @param {ArchiveEntry} entry
+     * @returns {import("./formats").PayloadFormat}
+     */
+    static format(entry) {
+        return createFormat(entry.format || "csv");
+    }
+
+    /**
+     * Reads an entry's export back, in its format
+     * @param {ArchiveEntry} entry
+     * @returns {import("stream").Readable}
+     */
+    read(entry) {
+        const gunzip = zlib.createGunzip();
+        return fs
+            .createReadStream(this.resolve(entry.file))
+            .on("error", (error) => gunzip.destroy(error))
+            .pipe(gunzip);
+    }
+
+    /**
+     * Path of a file within the archive
+     * @private
+     * @throws {Error} for paths leading outside the archive
+     */
+    resolve(file) {
+        const root = path.resolve(this.directory);
+        const filePath = path.resolve(root, file);
+        if (!filePath.startsWith(`${root}${path.sep}`)) {
+            throw new Error(`${file} is outside the archive`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Writes the manifest, replacing the old one in a single rename
+     * @private
+     */
+    save() {
+        this.manifest.updatedAt = new Date().toISOString();
+        const partPath = `${this.manifestPath}.part`;
+        fs.writeFileSync(partPath, JSON.stringify(this.manifest, null, 2));
+        fs.renameSync(partPath, this.manifestPath);
+    }
+}
+
+module.exports = DataArchive;
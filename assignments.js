@@ -0,0 +1,245 @@
+const { chunk } = require("lodash");
+const ReportWriter = require("./reportWriter");
+
+// Ids per request, keeping URLs well under server limits
+const FILTER_CHUNK_SIZE = 100;
+
+// Org units added to a dataset per metadata request
+const ASSIGN_CHUNK_SIZE = 500;
+
+/**
+ * Report columns. Identifiers are those of the destination; status is
+ * proposed, assigned, failed, or unknown for org units the destination
+ * does not have
+ */
+const COLUMNS = [
+    "dataset",
+    "datasetname",
+    "orgunit",
+    "orgunitname",
+    "status",
+    "error",
+];
+
+/**
+ * @typedef {Object} AssignmentCounts
+ * @property {number} missing source assignments missing on the destination
+ * @property {number} proposed of those, assignments left for review
+ * @property {number} assigned of those, assignments made on the destination
+ * @property {number} failed of those, assignments the destination refused
+ * @property {number} unknown of those, org units the destination does not have
+ */
+
+/**
+ * Report of the dataset assignments found missing on the destination, one
+ * row per dataset and org unit with what became of it
+ */
+class AssignmentReport {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     */
+    constructor(filePath) {
+        this.writer = new ReportWriter(filePath, COLUMNS);
+    }
+
+    get path() {
+        return this.writer.path;
+    }
+
+    get count() {
+        return this.writer.count;
+    }
+
+    /**
+     * @param {{id: string, name: string}} dataSet
+     * @param {{id: string, name: string}[]} orgUnits
+     * @param {string} status
+     * @param {string} [error]
+     */
+    add(dataSet, orgUnits, status, error) {
+        this.writer.add(
+            orgUnits.map((orgUnit) => ({
+                dataset: dataSet.id,
+                datasetname: dataSet.name,
+                orgunit: orgUnit.id,
+                orgunitname: orgUnit.name,
+                status,
+                error,
+            })),
+        );
+    }
+
+    close() {
+        return this.writer.close();
+    }
+}
+
+/**
+ * Compares the org units assigned to datasets on the source and on the
+ * destination, and proposes or makes the assignments the destination lacks
+ * through its metadata API, so that the values of facilities reporting on
+ * the source are not rejected on import. Only assignments are added; those
+ * the destination has beyond the source are left alone
+ */
+class OrgUnitAssignments {
+    /**
+     * @param {import("./main")} transfer with its mappings loaded
+     * @param {Object} [options]
+     * @param {boolean} [options.apply=false] assign the org units on the
+     *   destination instead of only proposing them
+     * @param {AssignmentReport} [options.report] receives every missing assignment
+     */
+    constructor(transfer, { apply = false, report } = {}) {
+        this.transfer = transfer;
+        this.apply = apply;
+        this.report = report || null;
+        this.logger = transfer.logger;
+    }
+
+    /**
+     * Looks up which org units exist on the destination
+     * @private
+     * @returns {Promise<Set<string>>}
+     */
+    async existing(ids) {
+        const found = new Set();
+        for (const part of chunk(ids, FILTER_CHUNK_SIZE)) {
+            const { data } = await this.transfer.destApi.get(
+                "/api/organisationUnits.json",
+                {
+                    params: {
+                        fields: "id",
+                        filter: `id:in:[${part.join(",")}]`,
+                        paging: false,
+                    },
+                    responseType: "json",
+                    headers: { Accept: "application/json" },
+                },
+            );
+            data.organisationUnits.forEach(({ id }) => found.add(id));
+        }
+        return found;
+    }
+
+    /**
+     * Lists the org units assigned to each dataset on the source but not
+     * on the destination, in destination identifiers
+     * @param {string[]} datasets
+     * @returns {Promise<{dataSet: {id: string, name: string}, orgUnits: {id: string, name: string}[]}[]>}
+     */
+    async compare(datasets) {
+        const { transfer } = this;
+        const [sourceSets, destinationSets] = await Promise.all([
+            transfer.fetchDataSetUnits(datasets, transfer.sourceApi),
+            transfer.fetchDataSetUnits(datasets, transfer.destApi),
+        ]);
+        const missing = [];
+        for (const source of sourceSets) {
+            const destination = destinationSets.find(
+                ({ id }) => id === source.id,
+            );
+            if (!destination) {
+                this.logger.warn(
+                    `Dataset ${source.name} (${source.id}) is missing on the destination; its org units cannot be assigned`,
+                );
+                continue;
+            }
+            const assigned = new Set(
+                destination.organisationUnits.map(({ id }) => id),
+            );
+            const orgUnits = source.organisationUnits
+                .map((orgUnit) => ({
+                    ...orgUnit,
+                    id:
+                        transfer.mapping?.destinationIdFor(
+                            "orgUnit",
+                            orgUnit.id,
+                        ) ?? orgUnit.id,
+                }))
+                .filter(({ id }) => !assigned.has(id));
+            if (orgUnits.length) {
+                missing.push({ dataSet: destination, orgUnits });
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Adds org units to a dataset on the destination
+     * @private
+     */
+    async assign(dataSet, orgUnits) {
+        await this.transfer.destApi.post(
+            `/api/dataSets/${dataSet.id}/organisationUnits`,
+            { additions: orgUnits.map(({ id }) => ({ id })) },
+        );
+    }
+
+    /**
+     * Compares the datasets' assignments and proposes or makes the missing
+     * ones, logging each
+     * @param {string[]} datasets
+     * @returns {Promise<AssignmentCounts>}
+     */
+    async run(datasets) {
+        const counts = {
+            missing: 0,
+            proposed: 0,
+            assigned: 0,
+            failed: 0,
+            unknown: 0,
+        };
+        const missing = await this.compare(datasets);
+        const existing = await this.existing([
+            ...new Set(
+                missing.flatMap(({ orgUnits }) => orgUnits.map(({ id }) => id)),
+            ),
+        ]);
+        for (const { dataSet, orgUnits } of missing) {
+            counts.missing += orgUnits.length;
+            const unknown = orgUnits.filter(({ id }) => !existing.has(id));
+            const known = orgUnits.filter(({ id }) => existing.has(id));
+            for (const orgUnit of unknown) {
+                this.logger.warn(
+                    `${orgUnit.name} (${orgUnit.id}) is assigned to ${dataSet.name} (${dataSet.id}) on the source but does not exist on the destination`,
+                );
+            }
+            counts.unknown += unknown.length;
+            this.report?.add(dataSet, unknown, "unknown");
+            if (!known.length) continue;
+
+            if (!this.apply) {
+                for (const orgUnit of known) {
+                    this.logger.info(
+                        `Proposed: assign ${orgUnit.name} (${orgUnit.id}) to ${dataSet.name} (${dataSet.id})`,
+                    );
+                }
+                counts.proposed += known.length;
+                this.report?.add(dataSet, known, "proposed");
+                continue;
+            }
+            for (const part of chunk(known, ASSIGN_CHUNK_SIZE)) {
+                try {
+                    await this.assign(dataSet, part);
+                } catch (error) {
+                    this.logger.error(
+                        `Failed to assign ${part.length} org units to ${dataSet.name} (${dataSet.id}): ${error.message}`,
+                    );
+                    counts.failed += part.length;
+                    this.report?.add(dataSet, part, "failed", error.message);
+                    continue;
+                }
+                for (const orgUnit of part) {
+                    this.logger.info(
+                        `Assigned ${orgUnit.name} (${orgUnit.id}) to ${dataSet.name} (${dataSet.id})`,
+                    );
+                }
+                counts.assigned += part.length;
+                this.report?.add(dataSet, part, "assigned");
+            }
+        }
+        return counts;
+    }
+}
+
+module.exports = { OrgUnitAssignments, AssignmentReport };
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const STATUSES = ["pending", "completed", "failed"];
+
+/**
+ * Append-only JSON-lines journal recording the status of each
+ * org unit/dataset/period unit of a transfer run, so that an interrupted
+ * run can be resumed without re-transferring completed units.
+ *
+ * Each line is one status change; the last line for a unit wins. Lines are
+ * written synchronously so that they survive the process being killed.
+ */
+class CheckpointJournal {
+    static DEFAULT_DIRECTORY = "checkpoints";
+
+    /**
+     * @param {string} runId
+     * @param {string} [directory="checkpoints"]
+     */
+    constructor(runId, directory = CheckpointJournal.DEFAULT_DIRECTORY) {
+        if (!/^[\w.-]+$/.test(runId)) {
+            throw new Error(`Invalid run ID: ${runId}`);
+        }
+        this.runId = runId;
+        this.path = path.join(directory, `${runId}.jsonl`);
+        this.units = new Map();
+    }
+
+    /**
+     * Derives a stable run ID from the transfer parameters, so that
+     * re-running the same command with --resume finds the same journal
+     * @param {Object} params
+     * @returns {string}
+     */
+    static deriveRunId(params) {
+        const hash = crypto
+            .createHash("sha1")
+            .update(JSON.stringify(params))
+            .digest("hex")
+            .slice(0, 12);
+        return `run-${hash}`;
+    }
+
+    static key(orgUnit, dataSet, period) {
+        return `${orgUnit}:${dataSet}:${period}`;
+    }
+
+    /**
+     * Opens the journal. When resuming, previous entries are loaded;
+     * otherwise the journal is started afresh
+     * @param {boolean} [resume=false]
+     */
+    open(resume = false) {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.units.clear();
+
+        if (!resume || !fs.existsSync(this.path)) {
+            fs.writeFileSync(this.path, "");
+            return this;
+        }
+
+        const lines = fs.readFileSync(this.path, "utf8").split("\n");
+        for (const [index, line] of lines.entries()) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.units.set(
+                    CheckpointJournal.key(
+                        entry.orgUnit,
+                        entry.dataSet,
+                        entry.period,
+                    ),
+                    entry,
+                );
+            } catch (error) {
+                // A line cut short by a crash; the unit is simply redone
+                logger.warn(
+                    `Ignoring unreadable checkpoint line ${index + 1} in ${this.path}`,
+                );
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @returns {string|undefined} last recorded status of a unit
+     */
+    status(orgUnit, dataSet, period) {
+        return this.units.get(CheckpointJournal.key(orgUnit, dataSet, period))
+            ?.status;
+    }
+
+    /**
+     * Records a status for the given datasets of an org unit and period
+     * @param {string} status one of pending, completed, failed
+     * @param {string} orgUnit
+     * @param {string[]} dataSets
+     * @param {string} period
+     * @param {string} [error]
+     */
+    record(status, orgUnit, dataSets, period, error) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Invalid checkpoint status: ${status}`);
+        }
+        const updatedAt = new Date().toISOString();
+        const lines = dataSets.map((dataSet) => {
+            const entry = {
+                runId: this.runId,
+                orgUnit,
+                dataSet,
+                period,
+                status,
+                updatedAt,
+            };
+            if (error) entry.error = error;
+            this.units.set(
+                CheckpointJournal.key(orgUnit, dataSet, period),
+                entry,
+            );
+            return `${JSON.stringify(entry)}\n`;
+        });
+        fs.appendFileSync(this.path, lines.join(""));
+    }
+
+    /**
+     * Counts units by their last recorded status
+     * @returns {{pending: number, completed: number, failed: number}}
+     */
+    summary() {
+        const counts = { pending: 0, completed: 0, failed: 0 };
+        for (const { status } of this.units.values()) counts[status]++;
+        return counts;
+    }
+}
+
+module.exports = CheckpointJournal;
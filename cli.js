@@ -0,0 +1,1015 @@
+const { parseArgs } = require("util");
+const {
+    PERIOD_TYPES,
+    parsePeriod,
+    previousPeriod,
+    datasetsWithoutPeriods,
+} = require("./periods");
+const { MAPPING_TYPES } = require("./mapping");
+const { parseIdSchemes } = require("./idSchemes");
+const { STRATEGIES } = require("./strategies");
+const { FORMATS } = require("./formats");
+const { PreflightCheck } = require("./preflight");
+const { TransformRules } = require("./rules");
+
+const UID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{10}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const USAGE = `Usage: node main.js [dataSet...] [periodType] [options]
+       node main.js --import-archive <dir> [options]
+       node main.js --job-file <file> [--job <names>] [--dry-run] [--resume]
+       node main.js --job-file <file> --schedule [--job <names>] [--dry-run]
+       node main.js --history [--job <names>] [--limit <n>]
+
+Transfers data values for the given datasets from the source DHIS2 instance
+to the destination. Positional arguments are dataset UIDs and, optionally, a
+period type.
+
+Period types: ${PERIOD_TYPES.join(", ")}
+
+Options:
+  -d, --datasets <uids>      Comma-separated dataset UIDs
+  -t, --period-type <type>   Period type of the datasets. Without datasets,
+                             selects every known dataset of that type
+  -s, --start-date <date>    Start of the date range (YYYY-MM-DD)
+  -e, --end-date <date>      End of the date range (YYYY-MM-DD)
+  -p, --periods <list>       Comma-separated DHIS2 periods, e.g. 202410,2024Q4,
+                             2024W40, 2024, 2024July. Each dataset takes the
+                             periods of its own type and needs at least one.
+                             Cannot be combined with a date range
+  -o, --org-units <uids>     Comma-separated org unit UIDs to transfer
+  -l, --level <list>         Transfer all org units at these levels, e.g. 5,6
+  -g, --groups <uids>        Transfer the members of these org unit groups
+      --group-sets <uids>    Transfer the members of the groups in these
+                             org unit group sets
+      --assigned             Transfer the org units assigned to the datasets;
+                             the default when no other selection is given
+      --boundary <uids>      Only transfer org units within these org units
+                             (inclusive); on its own, all of them
+      --exclude <uids>       Leave out these org units and their descendants
+      --org-units-from <instance>
+                             Read the org units from the source or the
+                             destination (default: destination)
+  -b, --batch-size <n>       Data values per import request (default 1000)
+      --strategy <name>      How values travel to the destination
+                             (default streaming): ${Object.keys(STRATEGIES).join(", ")}
+      --export-format <name> Payload format of source exports and archive
+                             files (default csv): ${Object.keys(FORMATS).join(", ")}
+      --import-format <name> Payload format of destination imports
+                             (default json), as above. The passthrough
+                             strategy imports in the export format
+  -c, --concurrency <n>      Org units downloaded from the source in parallel
+                             (default 1)
+      --uploads <n>          Imports in flight on the destination at once
+                             (default: the concurrency)
+      --queued-batches <n>   Batches held waiting for an import before
+                             downloads pause (default: the uploads)
+  -i, --incremental          Transfer only values changed since the last
+                             successful sync of each dataset and org unit,
+                             whatever their period. Cannot be combined with
+                             periods or a date range
+      --initial-since <when> Where incremental mode starts for datasets and
+                             org units never synced before: a date
+                             (YYYY-MM-DD) or a duration such as 7d or 12h
+      --sync-state <file>    Incremental sync state file
+                             (default: state/sync-state.jsonl)
+      --keep-deleted         Leave values deleted on the source in place on
+                             the destination. By default they are exported
+                             with includeDeleted and deleted on the
+                             destination in separate batches
+      --skip-registrations   Leave the complete dataset registrations of the
+                             transferred org units and periods behind. By
+                             default they are copied after each unit's
+                             values, in batches, so that the destination's
+                             reporting rates match the source. Incremental
+                             runs leave them behind
+      --approvals            Also copy the data approval states of the
+                             transferred periods: approvals and acceptances
+                             the destination lacks are made there
+      --completeness-report <file>
+                             CSV or JSON file receiving the registrations and
+                             approvals the destination refused
+                             (default: reports/<run ID>-completeness.csv)
+  -n, --dry-run              Send every batch with dryRun=true and report the
+                             would-be import counts and conflicts without
+                             saving anything or recording checkpoints
+  -r, --resume               Resume the run from its checkpoint journal,
+                             skipping completed units and retrying failed
+                             units first. Its conflict, skip and
+                             completeness reports are added to
+      --run-id <id>          Checkpoint run ID (default: derived from the
+                             datasets, periods and org units)
+      --verify               Instead of transferring, read the values back
+                             from both instances and report missing, extra
+                             and differing values per org unit and period
+      --repush               With --verify, import the missing and differing
+                             values again
+      --reconciliation-report <file>
+                             CSV or JSON file receiving every mismatch found
+                             by --verify
+                             (default: reports/<run ID>-reconciliation.csv)
+      --assign-org-units <mode>
+                             Before transferring, compare the org units
+                             assigned to the datasets on both instances and
+                             propose (propose) or make (apply) the
+                             assignments the destination lacks through its
+                             metadata API, logging each. A dry run only
+                             proposes
+      --assignment-report <file>
+                             CSV or JSON file receiving every missing
+                             assignment and what became of it
+                             (default: reports/<run ID>-assignments.csv)
+      --preflight            Before transferring, compare the datasets' data
+                             elements, category combos, option combos and
+                             org unit assignments on both instances, report
+                             what the destination lacks and estimate from a
+                             sample of the org units how many values it
+                             would reject
+      --max-rejected <n|n%>  With --preflight (implied), do not start the
+                             transfer when more values than this, or this
+                             share of them, would be rejected (default 0)
+      --preflight-sample <n> Org units whose values --preflight reads,
+                             spread over the selection; 0 for all
+                             (default 10)
+      --preflight-report <file>
+                             CSV or JSON file receiving the problems found
+                             by --preflight
+                             (default: reports/<run ID>-preflight.csv)
+      --export-archive <dir> Instead of importing, write each dataset, org
+                             unit and period export to a gzip-compressed
+                             file in this directory, in the export format,
+                             listed with its
+                             row count and SHA-256 checksum in
+                             manifest.json. Needs only the source; with
+                             --resume, exports already there are skipped
+      --import-archive <dir> Import an archive written by --export-archive,
+                             checking each file against its checksum. Needs
+                             only the destination; the archive sets the
+                             datasets, periods and org units
+      --aggregate-level <n>  Aggregate-up mode: instead of the raw values of
+                             facilities, import the totals of the org units
+                             at this level on the source, e.g. districts,
+                             read from its analytics as of its last
+                             analytics table update. Needs periods or
+                             datasets of a known period type; --boundary and
+                             --exclude narrow the org units, by source UID.
+                             Complete registrations are not copied
+      --data-elements <uids> With --aggregate-level, the data elements to
+                             total (default: those of the datasets)
+      --conflict-report <file>
+                             CSV or JSON file receiving every rejected value
+                             (default: reports/<run ID>-conflicts.csv)
+  -m, --mapping <files>      Comma-separated CSV (type,source,destination) or
+                             JSON mapping files translating source UIDs to
+                             destination UIDs
+      --map-by <property>    Build mappings by matching metadata on code or
+                             name. Mapping file entries take precedence
+      --map-types <types>    Types to build with --map-by (default all):
+                             ${Object.keys(MAPPING_TYPES).join(", ")}
+      --skip-report <file>   CSV or JSON file receiving data values without a
+                             mapping (default: reports/<run ID>-skipped.csv)
+      --rules <file>         JSON or YAML file of value rules (filter, map,
+                             rename, aggregate) applied before mappings;
+                             jobs.yaml documents the format. Aggregate
+                             rules cannot be combined with --incremental
+      --export-id-scheme <spec>
+                             ID schemes for the source export: one scheme
+                             (UID, CODE, NAME, ATTRIBUTE:<uid>) for all
+                             objects, or pairs such as
+                             dataElement=CODE,orgUnit=CODE,
+                             categoryOptionCombo=NAME,attributeOptionCombo=NAME
+      --import-id-scheme <spec>
+                             ID schemes for the destination import, as above
+  -j, --job-file <file>      Run the jobs defined in a JSON or YAML job file
+                             instead of the options above; jobs.yaml
+                             documents the format
+      --job <names>          Comma-separated jobs to run from the job file
+                             (default: all, in file order). --dry-run,
+                             --resume, --verify, --repush, --preflight,
+                             --export-archive and, for a single job,
+                             --run-id and --import-archive apply to the
+                             selected jobs
+      --schedule             With --job-file, keep running and start each
+                             selected job with a schedule (a cron
+                             expression) whenever it falls due. Jobs without
+                             periods take the last complete period before
+                             that time. A job still running, here or in
+                             another process, is not started again
+      --history              List the latest job runs, started from a job
+                             file or by --schedule, with their status
+      --limit <n>            Runs listed by --history (default 20)
+  -h, --help                 Show this help
+
+Data is fetched per period of each dataset's period type. Without a date
+range or periods, the last complete period of that type is transferred.
+Org units matched by UIDs, levels, groups, group sets and dataset assignment
+are combined, then narrowed to the boundary and the exclusions removed. A
+preview of the selection is printed before the transfer starts.
+
+Environment (SOURCE_DHIS2_* for the source, DEST_DHIS2_* for the destination):
+  *_URL, *_USERNAME, *_PASSWORD   Connection settings
+  *_TIMEOUT                       Request timeout in ms (default 120000)
+  *_RETRIES                       Retries on network errors, 429 and 5xx
+                                  responses (default 5)
+  *_MAX_RPS                       Requests per second cap (default 10)
+  LOG_LEVEL                       error, warn, info or debug (default info)`;
+
+const OPTIONS = {
+    datasets: { type: "string", short: "d" },
+    "period-type": { type: "string", short: "t" },
+    "start-date": { type: "string", short: "s" },
+    "end-date": { type: "string", short: "e" },
+    periods: { type: "string", short: "p" },
+    "org-units": { type: "string", short: "o" },
+    level: { type: "string", short: "l" },
+    groups: { type: "string", short: "g" },
+    "group-sets": { type: "string" },
+    assigned: { type: "boolean" },
+    boundary: { type: "string" },
+    exclude: { type: "string" },
+    "org-units-from": { type: "string" },
+    "batch-size": { type: "string", short: "b" },
+    strategy: { type: "string" },
+    "export-format": { type: "string" },
+    "import-format": { type: "string" },
+    concurrency: { type: "string", short: "c" },
+    uploads: { type: "string" },
+    "queued-batches": { type: "string" },
+    incremental: { type: "boolean", short: "i" },
+    "initial-since": { type: "string" },
+    "sync-state": { type: "string" },
+    "keep-deleted": { type: "boolean" },
+    "skip-registrations": { type: "boolean" },
+    approvals: { type: "boolean" },
+    "completeness-report": { type: "string" },
+    "dry-run": { type: "boolean", short: "n" },
+    resume: { type: "boolean", short: "r" },
+    "run-id": { type: "string" },
+    verify: { type: "boolean" },
+    repush: { type: "boolean" },
+    "reconciliation-report": { type: "string" },
+    "assign-org-units": { type: "string" },
+    "assignment-report": { type: "string" },
+    preflight: { type: "boolean" },
+    "max-rejected": { type: "string" },
+    "preflight-sample": { type: "string" },
+    "preflight-report": { type: "string" },
+    "export-archive": { type: "string" },
+    "import-archive": { type: "string" },
+    "aggregate-level": { type: "string" },
+    "data-elements": { type: "string" },
+    "conflict-report": { type: "string" },
+    mapping: { type: "string", short: "m" },
+    "map-by": { type: "string" },
+    "map-types": { type: "string" },
+    "skip-report": { type: "string" },
+    rules: { type: "string" },
+    "export-id-scheme": { type: "string" },
+    "import-id-scheme": { type: "string" },
+    "job-file": { type: "string", short: "j" },
+    job: { type: "string" },
+    schedule: { type: "boolean" },
+    history: { type: "boolean" },
+    limit: { type: "string" },
+    help: { type: "boolean", short: "h" },
+};
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+function splitList(value) {
+    return (value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+function parsePositiveInteger(value, name) {
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        throw new UsageError(`--${name} must be a positive integer`);
+    }
+    return Number(value);
+}
+
+function isValidDate(dateString) {
+    if (!DATE_PATTERN.test(dateString)) return false;
+    const date = new Date(`${dateString}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+}
+
+/**
+ * Builds the org unit selection from the selection options
+ * @private
+ */
+function parseOrgUnitSelection(values) {
+    const selection = {};
+    for (const [option, key, label] of [
+        ["org-units", "ids", "org unit"],
+        ["groups", "groups", "org unit group"],
+        ["group-sets", "groupSets", "org unit group set"],
+        ["boundary", "boundary", "boundary org unit"],
+    ]) {
+        const ids = splitList(values[option]);
+        const invalid = ids.filter((id) => !UID_PATTERN.test(id));
+        if (invalid.length) {
+            throw new UsageError(
+                `Invalid ${label} UID(s): ${invalid.join(", ")}`,
+            );
+        }
+        if (ids.length) selection[key] = ids;
+    }
+    const levels = splitList(values.level).map((level) =>
+        parsePositiveInteger(level, "level"),
+    );
+    if (levels.length) selection.levels = levels;
+    if (values.assigned) selection.dataSets = true;
+    const exclude = splitList(values.exclude);
+    const invalidExcluded = exclude.filter((id) => !UID_PATTERN.test(id));
+    if (invalidExcluded.length) {
+        throw new UsageError(
+            `Invalid excluded org unit UID(s): ${invalidExcluded.join(", ")}`,
+        );
+    }
+    if (exclude.length) selection.exclude = { boundary: exclude };
+    const from = values["org-units-from"];
+    if (from !== undefined) {
+        if (!["source", "destination"].includes(from)) {
+            throw new UsageError(
+                "--org-units-from must be source or destination",
+            );
+        }
+        selection.from = from;
+    }
+    return selection;
+}
+
+// Options that may accompany --job-file; the job file defines the rest
+const JOB_FILE_OPTIONS = [
+    "job-file",
+    "job",
+    "schedule",
+    "dry-run",
+    "resume",
+    "run-id",
+    "verify",
+    "repush",
+    "preflight",
+    "export-archive",
+    "import-archive",
+];
+
+// Options an archive import cannot take: the archive sets what is imported,
+// its files are always read row by row and it holds data values only
+const ARCHIVE_IMPORT_EXCLUDED = [
+    "datasets",
+    "period-type",
+    "start-date",
+    "end-date",
+    "periods",
+    "org-units",
+    "level",
+    "groups",
+    "group-sets",
+    "assigned",
+    "boundary",
+    "exclude",
+    "org-units-from",
+    "incremental",
+    "initial-since",
+    "sync-state",
+    "export-id-scheme",
+    "strategy",
+    "export-format",
+    "skip-registrations",
+    "approvals",
+    "completeness-report",
+];
+
+// Options aggregate-up mode cannot take: its org units are those of the
+// level on the source, and its totals are read from analytics per period,
+// with no registrations, history or raw values to check beforehand
+const AGGREGATE_UP_EXCLUDED = [
+    "org-units",
+    "level",
+    "groups",
+    "group-sets",
+    "assigned",
+    "org-units-from",
+    "incremental",
+    "initial-since",
+    "sync-state",
+    "strategy",
+    "export-format",
+    "export-id-scheme",
+    "approvals",
+    "completeness-report",
+    "verify",
+    "repush",
+    "reconciliation-report",
+    "assign-org-units",
+    "assignment-report",
+    "preflight",
+    "max-rejected",
+    "preflight-sample",
+    "preflight-report",
+    "export-archive",
+    "import-archive",
+];
+
+/**
+ * Checks the options that apply to both command-line and job file runs
+ * @private
+ */
+function checkRunOptions(values) {
+    if (values["dry-run"] && values.resume) {
+        throw new UsageError("--dry-run cannot be combined with --resume");
+    }
+    if (values.repush && !values.verify) {
+        throw new UsageError("--repush requires --verify");
+    }
+    if (values.verify && values.resume) {
+        throw new UsageError("--verify cannot be combined with --resume");
+    }
+    const exporting = values["export-archive"] !== undefined;
+    const importing = values["import-archive"] !== undefined;
+    if (exporting && importing) {
+        throw new UsageError(
+            "--export-archive cannot be combined with --import-archive",
+        );
+    }
+    if ((exporting || importing) && values.verify) {
+        throw new UsageError("--verify cannot be combined with an archive");
+    }
+    const beforeTransfer = [
+        "assign-org-units",
+        "assignment-report",
+        "preflight",
+        "max-rejected",
+        "preflight-sample",
+        "preflight-report",
+    ].find((name) => values[name] !== undefined);
+    if (beforeTransfer && (exporting || importing || values.verify)) {
+        throw new UsageError(
+            `--${beforeTransfer} runs before a transfer and cannot be combined with --verify or an archive`,
+        );
+    }
+    if (exporting && values["dry-run"]) {
+        throw new UsageError(
+            "--export-archive imports nothing and cannot be combined with --dry-run",
+        );
+    }
+}
+
+/**
+ * Parses the arguments of a job file run
+ * @private
+ */
+function parseJobArgs(values, positionals) {
+    if (values["job-file"] === undefined) {
+        throw new UsageError("--job requires --job-file");
+    }
+    const extra = [
+        ...positionals,
+        ...Object.keys(values)
+            .filter((name) => !JOB_FILE_OPTIONS.includes(name))
+            .map((name) => `--${name}`),
+    ];
+    if (extra.length) {
+        throw new UsageError(
+            `--job-file cannot be combined with ${extra.join(", ")}; set them in the job file`,
+        );
+    }
+    const jobs = splitList(values.job);
+    for (const name of ["run-id", "import-archive"]) {
+        if (values[name] !== undefined && jobs.length !== 1) {
+            throw new UsageError(
+                `--${name} with --job-file requires a single --job`,
+            );
+        }
+    }
+    if (values.schedule) {
+        const excluded = [
+            "resume",
+            "run-id",
+            "verify",
+            "repush",
+            "export-archive",
+            "import-archive",
+        ].filter((name) => values[name] !== undefined);
+        if (excluded.length) {
+            throw new UsageError(
+                `--schedule cannot be combined with ${excluded.map((name) => `--${name}`).join(", ")}`,
+            );
+        }
+    }
+    if (values["run-id"] !== undefined && !/^[\w.-]+$/.test(values["run-id"])) {
+        throw new UsageError(
+            "--run-id may only contain letters, digits, '.', '_' and '-'",
+        );
+    }
+    checkRunOptions(values);
+    return {
+        help: false,
+        jobFile: values["job-file"],
+        jobs,
+        schedule: Boolean(values.schedule),
+        dryRun: Boolean(values["dry-run"]),
+        resume: Boolean(values.resume),
+        runId: values["run-id"],
+        verify: Boolean(values.verify),
+        repush: Boolean(values.repush),
+        preflight: Boolean(values.preflight),
+        exportArchive: values["export-archive"],
+        importArchive: values["import-archive"],
+    };
+}
+
+/**
+ * Parses the arguments of a --history listing
+ * @private
+ */
+function parseHistoryArgs(values, positionals) {
+    const extra = [
+        ...positionals,
+        ...Object.keys(values)
+            .filter((name) => !["history", "job", "limit"].includes(name))
+            .map((name) => `--${name}`),
+    ];
+    if (extra.length) {
+        throw new UsageError(
+            `--history cannot be combined with ${extra.join(", ")}`,
+        );
+    }
+    return {
+        help: false,
+        history: true,
+        jobs: splitList(values.job),
+        limit:
+            values.limit === undefined
+                ? 20
+                : parsePositiveInteger(values.limit, "limit"),
+    };
+}
+
+/**
+ * Parses command-line arguments into transfer options
+ * @param {string[]} argv arguments after the script name
+ * @param {Map<string, string>} dataSetPeriods period type of each known dataset
+ * @returns {{help: boolean, jobFile?: string, jobs?: string[], schedule?: boolean, history?: boolean, limit?: number, datasets: string[], periodType?: string, startDate?: string, endDate?: string, periods: string[], orgUnits: import("./orgUnitSelector").OrgUnitSelection, batchSize?: number, strategy?: string, exportFormat?: string, importFormat?: string, concurrency?: number, uploads?: number, queuedBatches?: number, incremental: boolean, initialSince?: Object, syncState?: string, keepDeleted: boolean, skipRegistrations: boolean, approvals: boolean, completenessReport?: string, dryRun: boolean, resume: boolean, runId?: string, conflictReport?: string, verify: boolean, repush: boolean, reconciliationReport?: string, assignOrgUnits?: string, assignmentReport?: string, preflight: {maxRejected?: {count: number}|{percent: number}, sample?: number}|null, preflightReport?: string, exportArchive?: string, importArchive?: string, aggregateUp?: {level: number, dataElements: string[]}, mappingFiles: string[], mapBy?: string, mapTypes?: string[], skipReport?: string, rules?: string, exportIdSchemes: Object<string, string>, importIdSchemes: Object<string, string>}}
+ * @throws {UsageError} when the arguments are invalid
+ */
+function parseCliArgs(argv, dataSetPeriods) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: OPTIONS,
+            allowPositionals: true,
+            strict: true,
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) return { help: true };
+    if (values.history) return parseHistoryArgs(values, positionals);
+    if (values.limit !== undefined) {
+        throw new UsageError("--limit requires --history");
+    }
+    if (values["job-file"] !== undefined || values.job !== undefined) {
+        return parseJobArgs(values, positionals);
+    }
+    if (values.schedule) {
+        throw new UsageError("--schedule requires --job-file");
+    }
+
+    const importing = values["import-archive"] !== undefined;
+    if (importing) {
+        const extra = [
+            ...positionals,
+            ...ARCHIVE_IMPORT_EXCLUDED.filter(
+                (name) => values[name] !== undefined,
+            ).map((name) => `--${name}`),
+        ];
+        if (extra.length) {
+            throw new UsageError(
+                `--import-archive cannot be combined with ${extra.join(", ")}`,
+            );
+        }
+    }
+
+    const aggregating = values["aggregate-level"] !== undefined;
+    if (aggregating) {
+        const excluded = AGGREGATE_UP_EXCLUDED.filter(
+            (name) => values[name] !== undefined,
+        );
+        if (excluded.length) {
+            throw new UsageError(
+                `--aggregate-level cannot be combined with ${excluded.map((name) => `--${name}`).join(", ")}`,
+            );
+        }
+    } else if (values["data-elements"] !== undefined) {
+        throw new UsageError("--data-elements requires --aggregate-level");
+    }
+
+    const datasets = splitList(values.datasets);
+    let periodType = values["period-type"];
+
+    for (const arg of positionals) {
+        if (PERIOD_TYPES.includes(arg.toLowerCase())) {
+            if (periodType && periodType !== arg.toLowerCase()) {
+                throw new UsageError(
+                    `Conflicting period types: ${periodType} and ${arg}`,
+                );
+            }
+            periodType = arg.toLowerCase();
+        } else {
+            datasets.push(arg);
+        }
+    }
+
+    if (periodType !== undefined) {
+        periodType = periodType.toLowerCase();
+        if (!PERIOD_TYPES.includes(periodType)) {
+            throw new UsageError(
+                `Unknown period type "${periodType}". Expected one of: ${PERIOD_TYPES.join(", ")}`,
+            );
+        }
+    }
+
+    const invalidDatasets = datasets.filter((id) => !UID_PATTERN.test(id));
+    if (invalidDatasets.length) {
+        throw new UsageError(
+            `Invalid dataset UID(s): ${invalidDatasets.join(", ")}`,
+        );
+    }
+
+    if (!datasets.length && !importing) {
+        if (!periodType) {
+            throw new UsageError(
+                "No datasets given. Pass dataset UIDs or a period type",
+            );
+        }
+        for (const [id, type] of dataSetPeriods) {
+            if (type === periodType) datasets.push(id);
+        }
+    } else if (periodType) {
+        const mismatched = datasets.filter(
+            (id) =>
+                dataSetPeriods.has(id) && dataSetPeriods.get(id) !== periodType,
+        );
+        if (mismatched.length) {
+            throw new UsageError(
+                mismatched
+                    .map(
+                        (id) =>
+                            `Dataset ${id} is ${dataSetPeriods.get(id)}, not ${periodType}`,
+                    )
+                    .join("\n"),
+            );
+        }
+    }
+
+    const periods = splitList(values.periods);
+    const invalidPeriods = periods.filter((pe) => {
+        try {
+            parsePeriod(pe);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+    if (invalidPeriods.length) {
+        throw new UsageError(`Invalid period(s): ${invalidPeriods.join(", ")}`);
+    }
+    const withoutPeriods = datasetsWithoutPeriods(
+        datasets,
+        periods,
+        (id) => dataSetPeriods.get(id) || periodType,
+    );
+    if (periods.length && withoutPeriods.length) {
+        throw new UsageError(
+            withoutPeriods
+                .map(
+                    ({ id, type }) =>
+                        `Dataset ${id} is ${type}, but --periods has no ${type} period`,
+                )
+                .join("\n"),
+        );
+    }
+    let startDate = values["start-date"];
+    let endDate = values["end-date"];
+
+    const incremental = Boolean(values.incremental);
+    if (incremental && (periods.length || startDate || endDate)) {
+        throw new UsageError(
+            "--incremental cannot be combined with --periods or a date range",
+        );
+    }
+    if (incremental && values["export-archive"] !== undefined) {
+        throw new UsageError(
+            "--export-archive writes periods or a date range and cannot be combined with --incremental",
+        );
+    }
+    if (incremental && values.verify) {
+        throw new UsageError(
+            "--verify compares periods or a date range and cannot be combined with --incremental",
+        );
+    }
+    if (!incremental && values["initial-since"] !== undefined) {
+        throw new UsageError("--initial-since requires --incremental");
+    }
+    let initialSince;
+    const since = values["initial-since"];
+    if (since !== undefined) {
+        if (/^\d+[smhd]$/.test(since)) {
+            initialSince = { lastUpdatedDuration: since };
+        } else if (isValidDate(since)) {
+            initialSince = { lastUpdated: since };
+        } else {
+            throw new UsageError(
+                "--initial-since must be a date (YYYY-MM-DD) or a duration such as 7d, 12h, 30m",
+            );
+        }
+    }
+
+    if (periods.length && (startDate || endDate)) {
+        throw new UsageError(
+            "--periods cannot be combined with --start-date/--end-date",
+        );
+    }
+    if (Boolean(startDate) !== Boolean(endDate)) {
+        throw new UsageError(
+            "--start-date and --end-date must be given together",
+        );
+    }
+    if (startDate) {
+        for (const [name, value] of [
+            ["start-date", startDate],
+            ["end-date", endDate],
+        ]) {
+            if (!isValidDate(value)) {
+                throw new UsageError(
+                    `--${name} must be a valid date in YYYY-MM-DD format`,
+                );
+            }
+        }
+        if (startDate > endDate) {
+            throw new UsageError(
+                "--start-date must be before or equal to --end-date",
+            );
+        }
+    } else if (!periods.length && !incremental && !importing) {
+        const types = new Set(
+            datasets.map(
+                (id) => dataSetPeriods.get(id) || periodType || "quarterly",
+            ),
+        );
+        for (const type of types) periods.push(previousPeriod(type).id);
+    }
+
+    const orgUnits = parseOrgUnitSelection(values);
+    const conflictReport = values["conflict-report"];
+    const skipReport = values["skip-report"];
+    const reconciliationReport = values["reconciliation-report"];
+    for (const [name, file] of [
+        ["conflict-report", conflictReport],
+        ["skip-report", skipReport],
+        ["reconciliation-report", reconciliationReport],
+        ["preflight-report", values["preflight-report"]],
+        ["assignment-report", values["assignment-report"]],
+        ["completeness-report", values["completeness-report"]],
+    ]) {
+        if (file !== undefined && !/\.(csv|json)$/i.test(file)) {
+            throw new UsageError(`--${name} must be a .csv or .json file`);
+        }
+    }
+
+    const mappingFiles = splitList(values.mapping);
+    const mapBy = values["map-by"];
+    if (mapBy !== undefined && !["code", "name"].includes(mapBy)) {
+        throw new UsageError("--map-by must be code or name");
+    }
+    const mapTypes = splitList(values["map-types"]);
+    if (mapTypes.length && !mapBy) {
+        throw new UsageError("--map-types requires --map-by");
+    }
+    const unknownTypes = mapTypes.filter((type) => !MAPPING_TYPES[type]);
+    if (unknownTypes.length) {
+        throw new UsageError(
+            `Unknown mapping type(s): ${unknownTypes.join(", ")}`,
+        );
+    }
+    const idSchemes = {};
+    for (const name of ["export-id-scheme", "import-id-scheme"]) {
+        try {
+            idSchemes[name] = parseIdSchemes(values[name]);
+        } catch (error) {
+            throw new UsageError(`--${name}: ${error.message}`);
+        }
+    }
+    checkRunOptions(values);
+    if (reconciliationReport !== undefined && !values.verify) {
+        throw new UsageError("--reconciliation-report requires --verify");
+    }
+    const { strategy } = values;
+    if (strategy !== undefined && !STRATEGIES[strategy]) {
+        throw new UsageError(
+            `Unknown strategy "${strategy}". Expected one of: ${Object.keys(STRATEGIES).join(", ")}`,
+        );
+    }
+    for (const name of ["export-format", "import-format"]) {
+        if (values[name] !== undefined && !FORMATS[values[name]]) {
+            throw new UsageError(
+                `Unknown --${name} "${values[name]}". Expected one of: ${Object.keys(FORMATS).join(", ")}`,
+            );
+        }
+    }
+    if (strategy === "passthrough" && values["import-format"] !== undefined) {
+        throw new UsageError(
+            "--strategy passthrough imports in the export format and cannot be combined with --import-format",
+        );
+    }
+    if (
+        values["export-archive"] !== undefined &&
+        values["import-format"] !== undefined
+    ) {
+        throw new UsageError(
+            "--export-archive imports nothing and cannot be combined with --import-format",
+        );
+    }
+    if (strategy === "passthrough" && (mappingFiles.length || mapBy)) {
+        throw new UsageError(
+            "--strategy passthrough cannot be combined with mappings",
+        );
+    }
+    if (
+        values["export-archive"] !== undefined &&
+        (strategy !== undefined || mappingFiles.length || mapBy || values.rules)
+    ) {
+        throw new UsageError(
+            "--export-archive keeps exports as they are and cannot be combined with --strategy, mappings or --rules; mappings and rules apply with --import-archive",
+        );
+    }
+    const { rules } = values;
+    if (rules !== undefined && !/\.(json|ya?ml)$/i.test(rules)) {
+        throw new UsageError("--rules must be a .json, .yaml or .yml file");
+    }
+    if (strategy === "passthrough" && rules !== undefined) {
+        throw new UsageError(
+            "--strategy passthrough cannot be combined with --rules",
+        );
+    }
+    if (incremental && rules !== undefined) {
+        let loaded;
+        try {
+            loaded = TransformRules.loadFile(rules);
+        } catch (error) {
+            throw new UsageError(`--rules: ${error.message}`);
+        }
+        if (TransformRules.hasAggregate(loaded.rules)) {
+            throw new UsageError(
+                "--incremental exports only changed values and cannot be combined with aggregate rules, whose sums need every combo",
+            );
+        }
+    }
+    const runId = values["run-id"];
+    if (runId !== undefined && !/^[\w.-]+$/.test(runId)) {
+        throw new UsageError(
+            "--run-id may only contain letters, digits, '.', '_' and '-'",
+        );
+    }
+    if (
+        values["export-archive"] !== undefined &&
+        (values.approvals || values["completeness-report"] !== undefined)
+    ) {
+        throw new UsageError(
+            "--export-archive holds data values only and cannot be combined with --approvals or --completeness-report",
+        );
+    }
+    const assignOrgUnits = values["assign-org-units"];
+    if (
+        assignOrgUnits !== undefined &&
+        !["propose", "apply"].includes(assignOrgUnits)
+    ) {
+        throw new UsageError("--assign-org-units must be propose or apply");
+    }
+    if (
+        values["assignment-report"] !== undefined &&
+        assignOrgUnits === undefined
+    ) {
+        throw new UsageError("--assignment-report requires --assign-org-units");
+    }
+    let preflight = null;
+    if (
+        values.preflight ||
+        values["max-rejected"] !== undefined ||
+        values["preflight-sample"] !== undefined
+    ) {
+        preflight = {};
+        if (values["max-rejected"] !== undefined) {
+            try {
+                preflight.maxRejected = PreflightCheck.parseThreshold(
+                    values["max-rejected"],
+                );
+            } catch (error) {
+                throw new UsageError(`--max-rejected ${error.message}`);
+            }
+        }
+        const sample = values["preflight-sample"];
+        if (sample !== undefined) {
+            if (!/^\d+$/.test(sample)) {
+                throw new UsageError(
+                    "--preflight-sample must be a non-negative integer",
+                );
+            }
+            preflight.sample = Number(sample);
+        }
+    } else if (values["preflight-report"] !== undefined) {
+        throw new UsageError("--preflight-report requires --preflight");
+    }
+    let aggregateUp;
+    if (aggregating) {
+        const dataElements = splitList(values["data-elements"]);
+        const invalid = dataElements.filter((id) => !UID_PATTERN.test(id));
+        if (invalid.length) {
+            throw new UsageError(
+                `Invalid data element UID(s): ${invalid.join(", ")}`,
+            );
+        }
+        aggregateUp = {
+            level: parsePositiveInteger(
+                values["aggregate-level"],
+                "aggregate-level",
+            ),
+            dataElements: [...new Set(dataElements)],
+        };
+    }
+
+    return {
+        help: false,
+        datasets: [...new Set(datasets)],
+        periodType,
+        startDate,
+        endDate,
+        periods,
+        orgUnits,
+        batchSize:
+            values["batch-size"] === undefined
+                ? undefined
+                : parsePositiveInteger(values["batch-size"], "batch-size"),
+        strategy,
+        exportFormat: values["export-format"],
+        importFormat: values["import-format"],
+        concurrency:
+            values.concurrency === undefined
+                ? undefined
+                : parsePositiveInteger(values.concurrency, "concurrency"),
+        uploads:
+            values.uploads === undefined
+                ? undefined
+                : parsePositiveInteger(values.uploads, "uploads"),
+        queuedBatches:
+            values["queued-batches"] === undefined
+                ? undefined
+                : parsePositiveInteger(
+                      values["queued-batches"],
+                      "queued-batches",
+                  ),
+        incremental,
+        initialSince,
+        syncState: values["sync-state"],
+        keepDeleted: Boolean(values["keep-deleted"]),
+        skipRegistrations: Boolean(values["skip-registrations"]),
+        approvals: Boolean(values.approvals),
+        completenessReport: values["completeness-report"],
+        dryRun: Boolean(values["dry-run"]),
+        resume: Boolean(values.resume),
+        runId,
+        conflictReport,
+        verify: Boolean(values.verify),
+        repush: Boolean(values.repush),
+        reconciliationReport,
+        assignOrgUnits,
+        assignmentReport: values["assignment-report"],
+        preflight,
+        preflightReport: values["preflight-report"],
+        exportArchive: values["export-archive"],
+        importArchive: values["import-archive"],
+        aggregateUp,
+        mappingFiles,
+        mapBy,
+        mapTypes: mapTypes.length ? mapTypes : undefined,
+        skipReport,
+        rules,
+        exportIdSchemes: idSchemes["export-id-scheme"],
+        importIdSchemes: idSchemes["import-id-scheme"],
+    };
+}
+
+module.exports = { parseCliArgs, UsageError, USAGE };
@@ -0,0 +1,505 @@
+const { chunk } = require("lodash");
+const ReportWriter = require("./reportWriter");
+const ImportJobTracker = require("./jobTracker");
+const { conflictsFromError } = require("./conflictReport");
+
+// Ids per request, keeping URLs well under server limits
+const FILTER_CHUNK_SIZE = 100;
+
+// Source approval states brought across, and whether each is accepted too
+const COPIED_STATES = { APPROVED_HERE: false, ACCEPTED_HERE: true };
+
+// Destination states that need no approval: approved here or higher up
+const APPROVED_STATES = [
+    "APPROVED_HERE",
+    "APPROVED_ABOVE",
+    "ACCEPTED_HERE",
+    "APPROVED_ELSEWHERE",
+    "ACCEPTED_ELSEWHERE",
+];
+
+/**
+ * Report columns. type is registration or approval; identifiers are those
+ * of the destination
+ */
+const COLUMNS = [
+    "type",
+    "dataset",
+    "workflow",
+    "period",
+    "orgunit",
+    "attributeoptioncombo",
+    "conflict",
+    "object",
+];
+
+// Reads an identifier that older DHIS2 versions nest as {id}
+const idOf = (value) =>
+    value !== null && typeof value === "object" ? value.id : value;
+
+/**
+ * @typedef {Object} CompletenessCounts
+ * @property {number} registrations complete registrations sent to the destination
+ * @property {number} approvals approvals (and acceptances) made on the destination
+ * @property {number} rejected registrations and approvals the destination refused
+ */
+
+/**
+ * Report of the complete registrations and approvals the destination
+ * refused, one row per registration or approval where DHIS2 identifies it
+ */
+class CompletenessReport {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     * @param {Object} [options] as for ReportWriter, e.g. append
+     */
+    constructor(filePath, options) {
+        this.writer = new ReportWriter(filePath, COLUMNS, options);
+    }
+
+    get path() {
+        return this.writer.path;
+    }
+
+    get count() {
+        return this.writer.count;
+    }
+
+    /**
+     * Adds the conflicts of a registration import. Conflicts are matched
+     * to registrations by index, or else by the object they name
+     * @param {Object[]} conflicts
+     * @param {Object[]} registrations the imported payload
+     */
+    addRegistrations(conflicts, registrations) {
+        const rows = [];
+        for (const conflict of conflicts) {
+            const base = {
+                type: "registration",
+                conflict: conflict.value,
+                object: conflict.object || "",
+            };
+            const matched = conflict.indexes?.length
+                ? conflict.indexes.map((index) => registrations[index])
+                : registrations.filter((registration) =>
+                      Object.values(registration).includes(conflict.object),
+                  );
+            if (!matched.filter(Boolean).length) rows.push(base);
+            for (const registration of matched.filter(Boolean)) {
+                rows.push({
+                    ...base,
+                    dataset: registration.dataSet,
+                    period: registration.period,
+                    orgunit: registration.organisationUnit,
+                    attributeoptioncombo: registration.attributeOptionCombo,
+                });
+            }
+        }
+        this.writer.add(rows);
+    }
+
+    /**
+     * Adds approvals the destination refused
+     * @param {{wf: string, pe: string, dataSet: string}} batch
+     * @param {{ou: string, aoc: string}[]} approvals
+     * @param {string} conflict
+     */
+    addApprovals({ wf, pe, dataSet }, approvals, conflict) {
+        this.writer.add(
+            approvals.map(({ ou, aoc }) => ({
+                type: "approval",
+                dataset: dataSet,
+                workflow: wf,
+                period: pe,
+                orgunit: ou,
+                attributeoptioncombo: aoc,
+                conflict,
+            })),
+        );
+    }
+
+    close() {
+        return this.writer.close();
+    }
+}
+
+/**
+ * Copies what the source knows about the reports behind the transferred
+ * values: the complete dataset registrations of each org unit and period
+ * and, optionally, their data approval states. Registrations are imported
+ * in batches of the transfer's batch size and followed like data value
+ * imports; approvals are made, and accepted where the source accepted
+ * them, unless the destination already has them.
+ *
+ * Approvals need periods, so they are only copied for fetches by period,
+ * not for date ranges or incremental runs. DHIS2 reads registrations by
+ * period or dates, so incremental runs skip them too. A dry run validates
+ * the registrations and only logs the approvals it would make
+ */
+class CompletenessTransfer {
+    /**
+     * @param {import("./main")} transfer
+     * @param {Object} [options]
+     * @param {boolean} [options.registrations=true] copy complete registrations
+     * @param {boolean} [options.approvals=false] copy approval states
+     * @param {CompletenessReport} [options.report] receives what the destination refused
+     */
+    constructor(
+        transfer,
+        { registrations = true, approvals = false, report } = {},
+    ) {
+        this.transfer = transfer;
+        this.registrations = registrations;
+        this.approvals = approvals;
+        this.report = report || null;
+        this.logger = transfer.logger;
+        // Registration imports are counted apart from data values
+        this.jobTracker = new ImportJobTracker(transfer.destApi, {
+            pollInterval: transfer.jobTracker.pollInterval,
+            timeout: transfer.jobTracker.timeout,
+        });
+        this.approvalTotals = { approved: 0, accepted: 0, rejected: 0 };
+        /** @type {Map<string, {source?: string, destination?: string}>} */
+        this.workflows = new Map();
+        this.warned = new Set();
+    }
+
+    /**
+     * Logs a warning once per run
+     * @private
+     */
+    warnOnce(message) {
+        if (this.warned.has(message)) return;
+        this.warned.add(message);
+        this.logger.warn(message);
+    }
+
+    /**
+     * Copies the registrations and approvals of one org unit and fetch,
+     * after its values
+     * @param {Object} unit
+     * @param {string[]} unit.datasets
+     * @param {{id: string, name: string, sourceId?: string}} unit.orgUnit
+     * @param {{periods?: string[], startDate?: string, endDate?: string, lastUpdated?: string, lastUpdatedDuration?: string}} unit.range
+     * @returns {Promise<CompletenessCounts>}
+     * @throws {Error} when a request fails after its retries
+     */
+    async transferUnit({ datasets, orgUnit, range }) {
+        const counts = { registrations: 0, approvals: 0, rejected: 0 };
+        if (this.registrations) {
+            if (range.periods?.length || range.startDate) {
+                await this.copyRegistrations(datasets, orgUnit, range, counts);
+            } else {
+                this.warnOnce(
+                    "Complete registrations are only copied for periods and date ranges, not for incremental runs",
+                );
+            }
+        }
+        if (this.approvals) {
+            if (range.periods?.length) {
+                await this.copyApprovals(datasets, orgUnit, range, counts);
+            } else {
+                this.warnOnce(
+                    "Approvals are only copied for periods, not for date ranges or incremental runs",
+                );
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Reads the complete registrations of an org unit from the source, in
+     * destination identifiers
+     * @private
+     */
+    async sourceRegistrations(datasets, orgUnit, range) {
+        const { transfer } = this;
+        const { query } = transfer.exportQuery(
+            datasets,
+            transfer.sourceOrgUnitId(orgUnit),
+            range,
+            {},
+        );
+        const { data } = await transfer.sourceApi.get(
+            `/api/completeDataSetRegistrations.json?${query}`,
+            { responseType: "json", headers: { Accept: "application/json" } },
+        );
+        const destinationId = (type, id) =>
+            id && (transfer.mapping?.destinationIdFor(type, id) ?? id);
+        return (data.completeDataSetRegistrations || []).map(
+            (registration) => ({
+                dataSet: idOf(registration.dataSet),
+                period: idOf(registration.period),
+                organisationUnit: destinationId(
+                    "orgUnit",
+                    idOf(registration.organisationUnit),
+                ),
+                attributeOptionCombo: destinationId(
+                    "attributeOptionCombo",
+                    idOf(registration.attributeOptionCombo),
+                ),
+                date: registration.date,
+                storedBy: registration.storedBy,
+                completed: registration.completed ?? true,
+            }),
+        );
+    }
+
+    /**
+     * @private
+     */
+    async copyRegistrations(datasets, orgUnit, range, counts) {
+        const { transfer } = this;
+        const registrations = await this.sourceRegistrations(
+            datasets,
+            orgUnit,
+            range,
+        );
+        for (const batch of chunk(registrations, transfer.batchSize)) {
+            this.logger.info(
+                `Importing ${batch.length} complete registrations for ${orgUnit.name}...`,
+            );
+            let result;
+            try {
+                const { data } = await transfer.destApi.post(
+                    "/api/completeDataSetRegistrations",
+                    { completeDataSetRegistrations: batch },
+                    {
+                        params: {
+                            ...(transfer.importOptions.importStrategy && {
+                                importStrategy:
+                                    transfer.importOptions.importStrategy,
+                            }),
+                            dryRun: transfer.dryRun,
+                            async: true,
+                        },
+                    },
+                );
+                result = await this.jobTracker.track(data);
+            } catch (error) {
+                const conflicts = conflictsFromError(error);
+                if (!conflicts.length) throw error;
+                result = { status: "ERROR", conflicts };
+            }
+            this.report?.addRegistrations(result.conflicts, batch);
+            if (result.status === "ERROR") {
+                counts.rejected += batch.length;
+                this.logger.error(
+                    `Complete registrations for ${orgUnit.name} rejected: ${
+                        result.description ||
+                        result.conflicts.map(({ value }) => value).join("; ")
+                    }`,
+                );
+                continue;
+            }
+            counts.registrations += batch.length;
+            counts.rejected += result.importCount.ignored;
+            this.logger.info(
+                `${transfer.dryRun ? "Dry-run registration import" : "Registration import"} ${result.status}: ${ImportJobTracker.format(
+                    {
+                        ...result.importCount,
+                        conflicts: result.conflicts,
+                    },
+                )}`,
+            );
+        }
+    }
+
+    /**
+     * Looks up the approval workflow of each dataset on both instances
+     * @private
+     * @returns {Promise<Map<string, {source?: string, destination?: string}>>}
+     */
+    async loadWorkflows(datasets) {
+        const workflows = new Map(datasets.map((id) => [id, {}]));
+        for (const [side, api] of [
+            ["source", this.transfer.sourceApi],
+            ["destination", this.transfer.destApi],
+        ]) {
+            for (const part of chunk(datasets, FILTER_CHUNK_SIZE)) {
+                const { data } = await api.get("/api/dataSets.json", {
+                    params: {
+                        fields: "id,workflow[id]",
+                        filter: `id:in:[${part.join(",")}]`,
+                        paging: false,
+                    },
+                    responseType: "json",
+                    headers: { Accept: "application/json" },
+                });
+                for (const { id, workflow } of data.dataSets) {
+                    workflows.set(id, {
+                        ...workflows.get(id),
+                        [side]: workflow?.id,
+                    });
+                }
+            }
+        }
+        return workflows;
+    }
+
+    /**
+     * Reads approval states, keyed by workflow, period, org unit and
+     * attribute option combo
+     * @private
+     */
+    async approvalStates(api, workflows, periods, orgUnit) {
+        const params = new URLSearchParams();
+        workflows.forEach((wf) => params.append("wf", wf));
+        periods.forEach((pe) => params.append("pe", pe));
+        params.append("ou", orgUnit);
+        const { data } = await api.get("/api/dataApprovals/approvals", {
+            params,
+            responseType: "json",
+            headers: { Accept: "application/json" },
+        });
+        return Array.isArray(data) ? data : [];
+    }
+
+    /**
+     * @private
+     */
+    async copyApprovals(datasets, orgUnit, range, counts) {
+        const { transfer } = this;
+        const unknown = datasets.filter((id) => !this.workflows.has(id));
+        if (unknown.length) {
+            for (const [id, workflow] of await this.loadWorkflows(unknown)) {
+                this.workflows.set(id, workflow);
+            }
+        }
+        // Source workflow to destination workflow and dataset
+        const workflows = new Map();
+        for (const id of datasets) {
+            const { source, destination } = this.workflows.get(id) || {};
+            if (!source) continue;
+            if (!destination) {
+                this.warnOnce(
+                    `Dataset ${id} has an approval workflow on the source but not on the destination; its approvals are not copied`,
+                );
+                continue;
+            }
+            workflows.set(source, { wf: destination, dataSet: id });
+        }
+        if (!workflows.size) return;
+
+        const sourceStates = await this.approvalStates(
+            transfer.sourceApi,
+            [...workflows.keys()],
+            range.periods,
+            transfer.sourceOrgUnitId(orgUnit),
+        );
+        const destinationOrgUnit = transfer.destinationOrgUnitId(orgUnit);
+        const destinationStates = new Map(
+            (
+                await this.approvalStates(
+                    transfer.destApi,
+                    [...new Set([...workflows.values()].map(({ wf }) => wf))],
+                    range.periods,
+                    destinationOrgUnit,
+                )
+            ).map((state) => [
+                [state.wf, state.pe, state.ou, state.aoc].join("|"),
+                state.state,
+            ]),
+        );
+
+        // Approvals and acceptances to make, per workflow and period
+        const batches = new Map();
+        for (const state of sourceStates) {
+            if (!(state.state in COPIED_STATES)) continue;
+            const { wf, dataSet } = workflows.get(state.wf) || {};
+            if (!wf) continue;
+            const ou =
+                transfer.mapping?.destinationIdFor("orgUnit", state.ou) ??
+                state.ou;
+            const aoc =
+                transfer.mapping?.destinationIdFor(
+                    "attributeOptionCombo",
+                    state.aoc,
+                ) ?? state.aoc;
+            const current = destinationStates.get(
+                [wf, state.pe, ou, aoc].join("|"),
+            );
+            const accept = COPIED_STATES[state.state];
+            const approve = !APPROVED_STATES.includes(current);
+            if (!approve && !(accept && current === "APPROVED_HERE")) {
+                continue;
+            }
+            const key = `${wf}|${state.pe}`;
+            const batch = batches.get(key) || {
+                wf,
+                pe: state.pe,
+                dataSet,
+                approve: [],
+                accept: [],
+            };
+            if (approve) batch.approve.push({ ou, aoc });
+            if (accept) batch.accept.push({ ou, aoc });
+            batches.set(key, batch);
+        }
+
+        for (const batch of batches.values()) {
+            for (const [action, endpoint] of [
+                ["approve", "approvals"],
+                ["accept", "acceptances"],
+            ]) {
+                for (const approvals of chunk(
+                    batch[action],
+                    transfer.batchSize,
+                )) {
+                    const label = `${approvals.length} ${endpoint} of ${batch.dataSet} for ${orgUnit.name} in ${batch.pe}`;
+                    if (transfer.dryRun) {
+                        this.logger.info(`Dry run: would make ${label}`);
+                    } else {
+                        try {
+                            await transfer.destApi.post(
+                                `/api/dataApprovals/${endpoint}`,
+                                { wf: [batch.wf], pe: [batch.pe], approvals },
+                            );
+                        } catch (error) {
+                            // Refusals, e.g. for a missing authority, are
+                            // reported; other failures fail the unit
+                            const status = error.response?.status;
+                            if (status !== 409 && status !== 403) throw error;
+                            const reason =
+                                error.response.data?.message || error.message;
+                            this.logger.error(
+                                `Could not make ${label}: ${reason}`,
+                            );
+                            this.report?.addApprovals(batch, approvals, reason);
+                            counts.rejected += approvals.length;
+                            this.approvalTotals.rejected += approvals.length;
+                            continue;
+                        }
+                        this.logger.info(`Made ${label}`);
+                    }
+                    if (action === "approve") {
+                        counts.approvals += approvals.length;
+                        this.approvalTotals.approved += approvals.length;
+                    } else {
+                        this.approvalTotals.accepted += approvals.length;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Logs the run totals
+     */
+    logTotals() {
+        const { transfer } = this;
+        if (this.registrations) {
+            this.logger.info(
+                `${transfer.dryRun ? "Dry-run registration totals" : "Registration totals"} (${this.jobTracker.totals.jobs} jobs): ${ImportJobTracker.format(this.jobTracker.totals)}`,
+            );
+        }
+        if (this.approvals) {
+            const { approved, accepted, rejected } = this.approvalTotals;
+            this.logger.info(
+                `${transfer.dryRun ? "Dry-run approval totals, nothing was made" : "Approval totals"}: ${approved} approved, ${accepted} accepted, ${rejected} refused`,
+            );
+        }
+    }
+}
+
+module.exports = { CompletenessTransfer, CompletenessReport };
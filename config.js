@@ -0,0 +1,49 @@
+const dotenv = require("dotenv");
+const { httpOptionsFromEnv } = require("./http");
+
+dotenv.config();
+
+/**
+ * Reads the connection settings of one DHIS2 instance from the environment
+ * @param {string} prefix SOURCE_DHIS2 or DEST_DHIS2
+ * @returns {import("./main").DHISConfig}
+ * @throws {Error} when the URL or credentials are missing
+ */
+function instanceConfig(prefix) {
+    const missing = ["URL", "USERNAME", "PASSWORD"].filter(
+        (name) => !process.env[`${prefix}_${name}`],
+    );
+    if (missing.length) {
+        throw new Error(
+            `Missing environment variable(s): ${missing.map((name) => `${prefix}_${name}`).join(", ")}`,
+        );
+    }
+    return {
+        url: process.env[`${prefix}_URL`],
+        username: process.env[`${prefix}_USERNAME`],
+        password: process.env[`${prefix}_PASSWORD`],
+        ...httpOptionsFromEnv(prefix),
+    };
+}
+
+/**
+ * Loads the source and destination configuration from the environment
+ * and .env file
+ * @param {Object} [needed]
+ * @param {boolean} [needed.source=true] whether the source is required; when
+ *   not, it is null unless its URL is set
+ * @param {boolean} [needed.dest=true] the same for the destination
+ * @returns {{source: import("./main").DHISConfig|null, dest: import("./main").DHISConfig|null}}
+ */
+function loadConfig({ source = true, dest = true } = {}) {
+    const load = (required, prefix) =>
+        required || process.env[`${prefix}_URL`]
+            ? instanceConfig(prefix)
+            : null;
+    return {
+        source: load(source, "SOURCE_DHIS2"),
+        dest: load(dest, "DEST_DHIS2"),
+    };
+}
+
+module.exports = { loadConfig, instanceConfig };
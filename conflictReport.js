@@ -0,0 +1,123 @@
+const ReportWriter = require("./reportWriter");
+
+/**
+ * Report columns. The data value columns use the DHIS2 CSV header names so
+ * that rejected rows can be corrected and re-imported.
+ */
+const COLUMNS = [
+    "dataelement",
+    "period",
+    "orgunit",
+    "categoryoptioncombo",
+    "attributeoptioncombo",
+    "value",
+    "conflict",
+    "errorcode",
+    "object",
+];
+
+/**
+ * Reads the conflicts from an import error response, whatever the DHIS2
+ * version nests them under
+ * @param {import("axios").AxiosError} error
+ * @returns {Object[]}
+ */
+function conflictsFromError(error) {
+    const data = error?.response?.data;
+    return data?.response?.conflicts || data?.conflicts || [];
+}
+
+/**
+ * Collects the conflicts DHIS2 reports for each import into a per-run
+ * CSV or JSON file, with one row per rejected data value.
+ */
+class ConflictReport {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     * @param {Object} [options] as for ReportWriter, e.g. append
+     */
+    constructor(filePath, options) {
+        this.writer = new ReportWriter(filePath, COLUMNS, options);
+    }
+
+    get path() {
+        return this.writer.path;
+    }
+
+    get count() {
+        return this.writer.count;
+    }
+
+    /**
+     * Builds report rows for conflicts on a payload. DHIS2 2.36+ reports
+     * the payload indexes of each rejected value; older versions only name
+     * the offending object, which is matched against the payload fields
+     * @param {Object[]} conflicts
+     * @param {Object[]} dataValues the imported payload
+     * @returns {Object[]}
+     */
+    static rowsFor(conflicts, dataValues = []) {
+        const rows = [];
+        for (const conflict of conflicts) {
+            const base = {
+                conflict: conflict.value,
+                errorcode: conflict.errorCode || "",
+                object: conflict.object || "",
+            };
+            let matched = [];
+            if (Array.isArray(conflict.indexes) && conflict.indexes.length) {
+                matched = conflict.indexes
+                    .map((index) => dataValues[index])
+                    .filter(Boolean);
+            } else if (conflict.object) {
+                matched = dataValues.filter((dv) =>
+                    [
+                        dv.dataElement,
+                        dv.period,
+                        dv.orgUnit,
+                        dv.categoryOptionCombo,
+                        dv.attributeOptionCombo,
+                    ].includes(conflict.object),
+                );
+            }
+            if (!matched.length) {
+                rows.push(base);
+                continue;
+            }
+            for (const dv of matched) {
+                rows.push({
+                    dataelement: dv.dataElement,
+                    period: dv.period,
+                    orgunit: dv.orgUnit,
+                    categoryoptioncombo: dv.categoryOptionCombo,
+                    attributeoptioncombo: dv.attributeOptionCombo,
+                    value: dv.value,
+                    ...base,
+                });
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Adds the conflicts of one import to the report
+     * @param {Object[]} conflicts
+     * @param {Object[]} [dataValues] the imported payload
+     * @returns {number} rows written
+     */
+    add(conflicts, dataValues = []) {
+        if (!conflicts?.length) return 0;
+        const rows = ConflictReport.rowsFor(conflicts, dataValues);
+        this.writer.add(rows);
+        return rows.length;
+    }
+
+    /**
+     * @returns {string|null} the report path, or null when there were no conflicts
+     */
+    close() {
+        return this.writer.close();
+    }
+}
+
+module.exports = { ConflictReport, conflictsFromError };
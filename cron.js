@@ -0,0 +1,184 @@
+const MONTHS = [
+    "JAN",
+    "FEB",
+    "MAR",
+    "APR",
+    "MAY",
+    "JUN",
+    "JUL",
+    "AUG",
+    "SEP",
+    "OCT",
+    "NOV",
+    "DEC",
+];
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// The five fields of an expression, in order; names count from min
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: MONTHS },
+    // 7 is Sunday as well as 0
+    { name: "day of week", min: 0, max: 7, names: WEEKDAYS },
+];
+
+const ALIASES = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *",
+};
+
+// How far ahead next() looks before deciding an expression never matches,
+// e.g. 0 0 30 2 *; leap days recur within eight years
+const SEARCH_YEARS = 8;
+
+/**
+ * Parses one value of a field: a number or, for months and weekdays, a
+ * three-letter name
+ * @private
+ */
+function parseValue(text, field) {
+    const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+    const value = index === -1 ? Number(text) : index + field.min;
+    if (!/^\d+$/.test(text) && index === -1) {
+        throw new Error(`invalid ${field.name} "${text}"`);
+    }
+    if (value < field.min || value > field.max) {
+        throw new Error(
+            `${field.name} ${text} is outside ${field.min}-${field.max}`,
+        );
+    }
+    return value;
+}
+
+/**
+ * Expands a field into the set of values it matches: * for every value,
+ * a value or a range such as 1-5 or MON-FRI, any of these with a step
+ * such as /15, or a comma-separated list of them
+ * @private
+ */
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(",")) {
+        const [range, stepText, ...rest] = part.split("/");
+        if (
+            rest.length ||
+            (stepText !== undefined && !/^\d+$/.test(stepText))
+        ) {
+            throw new Error(`invalid ${field.name} step in "${part}"`);
+        }
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (step < 1) throw new Error(`invalid ${field.name} step "${part}"`);
+        let start = field.min;
+        let end = field.max;
+        if (range !== "*") {
+            const [from, to, ...more] = range.split("-");
+            if (more.length || !from) {
+                throw new Error(`invalid ${field.name} "${part}"`);
+            }
+            start = parseValue(from, field);
+            // A single value with a step runs to the end of the field
+            end =
+                to !== undefined
+                    ? parseValue(to, field)
+                    : stepText === undefined
+                      ? start
+                      : field.max;
+            if (end < start) {
+                throw new Error(`invalid ${field.name} range "${part}"`);
+            }
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * A cron expression: minute, hour, day of month, month and day of week,
+ * evaluated in the local time zone (TZ). Fields take *, values, ranges,
+ * steps and lists, months and weekdays also their names (JAN, MON), and
+ * the @yearly, @monthly, @weekly, @daily and @hourly shorthands are
+ * understood. As in cron, when both the day of month and the day of week
+ * are restricted, a day matching either one matches
+ */
+class CronSchedule {
+    /**
+     * @param {string} expression e.g. "0 2 15 * *" for 02:00 on the 15th
+     * @throws {Error} when the expression is invalid or never matches
+     */
+    constructor(expression) {
+        this.expression = expression;
+        const text = String(expression).trim();
+        const fields = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+        if (fields.length !== FIELDS.length) {
+            throw new Error(
+                `Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`,
+            );
+        }
+        try {
+            [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+                fields.map((field, index) => parseField(field, FIELDS[index]));
+        } catch (error) {
+            throw new Error(
+                `Invalid cron expression "${expression}": ${error.message}`,
+            );
+        }
+        if (this.weekdays.delete(7)) this.weekdays.add(0);
+        this.anyDay = fields[2] === "*";
+        this.anyWeekday = fields[4] === "*";
+        if (!this.next(new Date())) {
+            throw new Error(`Cron expression "${expression}" never matches`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    matchesDay(date) {
+        const day = this.days.has(date.getDate());
+        const weekday = this.weekdays.has(date.getDay());
+        if (this.anyDay || this.anyWeekday) return day && weekday;
+        return day || weekday;
+    }
+
+    /**
+     * Finds the first time after the given one that the expression matches
+     * @param {Date} [after=new Date()]
+     * @returns {Date|null} null when nothing matches within eight years
+     */
+    next(after = new Date()) {
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = new Date(date.getTime());
+        limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+        while (date < limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    toString() {
+        return this.expression;
+    }
+}
+
+module.exports = { CronSchedule };
@@ -0,0 +1,231 @@
+const { PayloadFormat } = require("./base");
+const { XmlScanner, attributes, escapeXml } = require("./xml");
+const { toAdxPeriod, fromAdxPeriod } = require("../periods");
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Attributes with a meaning of their own; any other attribute of a group
+// or data value names a category and one of its options
+const GROUP_FIELDS = [
+    "dataSet",
+    "period",
+    "orgUnit",
+    "completeDate",
+    "attributeOptionCombo",
+];
+const DATA_VALUE_FIELDS = ["dataElement", "value", "categoryOptionCombo"];
+
+// Identifies a combination of category options, whatever its order
+const disaggregationKey = (pairs) =>
+    pairs
+        .map(([category, option]) => `${category}=${option}`)
+        .sort()
+        .join("&");
+
+/**
+ * ADX, the IHE aggregate data exchange XML: data values in groups sharing
+ * an org unit, an ISO 8601 period (2024-10-01/P1M) and an attribute option
+ * combo. Disaggregations are read either from categoryOptionCombo and
+ * attributeOptionCombo attributes or from category attributes naming an
+ * option, e.g. AGE="UNDER_5", which are resolved to category option combo
+ * UIDs with the categories of the instance the export came from. Imports
+ * are written with combo UIDs, which DHIS2 accepts in place of categories.
+ *
+ * Numeric values are written in the value attribute and other values as the
+ * content of a value element; comments become annotations
+ */
+class AdxFormat extends PayloadFormat {
+    constructor() {
+        super({
+            name: "adx",
+            exportPath: "/api/dataValueSets",
+            accept: "application/adx+xml",
+            contentType: "application/adx+xml",
+            extension: "adx.xml",
+        });
+        /** @type {Map<string, string>|null} combo UID by category options */
+        this.combos = null;
+    }
+
+    /**
+     * Loads the category option combos to resolve category attributes by,
+     * keyed by both the UIDs and the codes of their categories and options
+     */
+    async prepare(api) {
+        if (!api) return;
+        const get = async (resource, fields) => {
+            const { data } = await api.get(`/api/${resource}.json`, {
+                params: { fields, paging: false },
+                responseType: "json",
+                headers: { Accept: "application/json" },
+            });
+            return data[resource];
+        };
+        const categories = await get(
+            "categories",
+            "id,code,categoryOptions[id]",
+        );
+        const combos = await get(
+            "categoryOptionCombos",
+            "id,categoryCombo[name,categories[id]],categoryOptions[id,code]",
+        );
+        const byId = new Map(
+            categories.map((category) => [category.id, category]),
+        );
+        this.combos = new Map();
+        for (const combo of combos) {
+            if (combo.categoryCombo?.name === "default") {
+                this.combos.set("", combo.id);
+                continue;
+            }
+            const comboCategories = (combo.categoryCombo?.categories || [])
+                .map(({ id }) => byId.get(id))
+                .filter(Boolean);
+            const pairs = combo.categoryOptions.map((option) => [
+                comboCategories.find((category) =>
+                    category.categoryOptions.some(({ id }) => id === option.id),
+                ),
+                option,
+            ]);
+            if (pairs.some(([category]) => !category)) continue;
+            for (const key of [
+                disaggregationKey(pairs.map(([c, o]) => [c.id, o.id])),
+                disaggregationKey(pairs.map(([c, o]) => [c.code, o.code])),
+            ]) {
+                if (!this.combos.has(key)) this.combos.set(key, combo.id);
+            }
+        }
+    }
+
+    exportQuery(query) {
+        // DHIS2 exports ADX by code unless told otherwise
+        if (!query.has("idScheme")) query.set("idScheme", "UID");
+    }
+
+    /**
+     * Finds the combo of the category attributes of a group or data value
+     * @private
+     * @throws {Error} when the combination is unknown
+     */
+    resolve(fields, known) {
+        const pairs = Object.entries(fields).filter(
+            ([name]) => !known.includes(name),
+        );
+        const key = disaggregationKey(pairs);
+        const combo = this.combos?.get(key);
+        if (combo) return combo;
+        throw new Error(
+            this.combos
+                ? `Unknown ADX disaggregation: ${key || "default"}`
+                : "ADX exports are read with the categories of their instance, which is not configured",
+        );
+    }
+
+    reader() {
+        return PayloadFormat.textReader((push) => {
+            let group = null;
+            let dataValue = null;
+            let field = null;
+            return new XmlScanner({
+                open: (name, fields) => {
+                    if (name === "group") {
+                        group = {
+                            period: fromAdxPeriod(fields.period || ""),
+                            orgUnit: fields.orgUnit,
+                            attributeOptionCombo:
+                                fields.attributeOptionCombo ??
+                                this.resolve(fields, GROUP_FIELDS),
+                        };
+                    } else if (name === "dataValue" && group) {
+                        dataValue = fields;
+                    } else if (dataValue && name === "value") {
+                        field = "value";
+                        dataValue.value = "";
+                    } else if (dataValue && name === "annotation") {
+                        field = "comment";
+                        dataValue.comment = "";
+                    }
+                },
+                text: (text) => {
+                    if (field) dataValue[field] += text;
+                },
+                close: (name) => {
+                    if (name === "value" || name === "annotation") {
+                        field = null;
+                    } else if (name === "dataValue" && dataValue) {
+                        const { comment, ...fields } = dataValue;
+                        push(
+                            PayloadFormat.row({
+                                ...group,
+                                dataElement: fields.dataElement,
+                                categoryOptionCombo:
+                                    fields.categoryOptionCombo ??
+                                    this.resolve(fields, DATA_VALUE_FIELDS),
+                                value: fields.value,
+                                comment,
+                            }),
+                        );
+                        dataValue = null;
+                    } else if (name === "group") {
+                        group = null;
+                    }
+                },
+            });
+        });
+    }
+
+    serialize(dataValues) {
+        const groups = new Map();
+        for (const dataValue of dataValues) {
+            const key = [
+                dataValue.period,
+                dataValue.orgUnit,
+                dataValue.attributeOptionCombo,
+            ].join("|");
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(dataValue);
+        }
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<adx xmlns="urn:ihe:qrph:adx:2015" exported="${new Date().toISOString()}">`,
+        ];
+        for (const values of groups.values()) {
+            const [{ period, orgUnit, attributeOptionCombo }] = values;
+            lines.push(
+                `<group${attributes(
+                    {
+                        orgUnit,
+                        period: toAdxPeriod(period),
+                        attributeOptionCombo,
+                    },
+                    ["orgUnit", "period", "attributeOptionCombo"],
+                )}>`,
+            );
+            for (const dataValue of values) {
+                const numeric = NUMBER_PATTERN.test(dataValue.value);
+                const open = `<dataValue${attributes(
+                    dataValue,
+                    numeric
+                        ? ["dataElement", "categoryOptionCombo", "value"]
+                        : ["dataElement", "categoryOptionCombo"],
+                )}`;
+                const content = [
+                    numeric
+                        ? ""
+                        : `<value>${escapeXml(dataValue.value ?? "")}</value>`,
+                    dataValue.comment
+                        ? `<annotation>${escapeXml(dataValue.comment)}</annotation>`
+                        : "",
+                ].join("");
+                lines.push(
+                    content ? `${open}>${content}</dataValue>` : `${open}/>`,
+                );
+            }
+            lines.push("</group>");
+        }
+        lines.push("</adx>");
+        return lines.join("\n");
+    }
+}
+
+module.exports = AdxFormat;
@@ -0,0 +1,139 @@
+const { Readable, Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+
+/**
+ * Data value fields in the order of the DHIS2 CSV columns
+ */
+const FIELDS = [
+    "dataElement",
+    "period",
+    "orgUnit",
+    "categoryOptionCombo",
+    "attributeOptionCombo",
+    "value",
+    "storedBy",
+    "lastUpdated",
+    "comment",
+    "followup",
+];
+
+/**
+ * A payload format DHIS2 exchanges data values in. Readers turn an export
+ * into rows keyed by the lower-case DHIS2 CSV column names (dataelement,
+ * period, orgunit, categoryoptioncombo, attributeoptioncombo, value,
+ * storedby, lastupdated, comment, followup, deleted), so that rows of every
+ * format are validated and normalised alike; writers serialise normalised
+ * data values for an import
+ */
+class PayloadFormat {
+    /**
+     * @param {Object} settings
+     * @param {string} settings.name as given on the command line
+     * @param {string} settings.exportPath /api/dataValueSets resource to export from
+     * @param {string} settings.accept media type requested from the source
+     * @param {string} settings.contentType media type of an import payload
+     * @param {string} settings.extension of archived exports, without the .gz
+     */
+    constructor({ name, exportPath, accept, contentType, extension }) {
+        this.name = name;
+        this.exportPath = exportPath;
+        this.accept = accept;
+        this.contentType = contentType;
+        this.extension = extension;
+    }
+
+    /**
+     * Turns an object keyed by data value field into a row
+     * @param {Object} fields e.g. a JSON data value or XML attributes
+     * @returns {Object<string, string>}
+     */
+    static row(fields) {
+        const row = {};
+        for (const [name, value] of Object.entries(fields)) {
+            if (value === null || value === undefined) continue;
+            row[name.toLowerCase()] = String(value).trim();
+        }
+        return row;
+    }
+
+    /**
+     * Builds a reader from a decoder of text chunks
+     * @protected
+     * @param {(push: (row: Object) => void) => {write: (text: string) => void, end: () => void}} createDecoder
+     * @returns {import("stream").Transform}
+     */
+    static textReader(createDecoder) {
+        const text = new StringDecoder("utf8");
+        let decoder;
+        return new Transform({
+            readableObjectMode: true,
+            construct(callback) {
+                decoder = createDecoder((row) => this.push(row));
+                callback();
+            },
+            transform(chunk, encoding, callback) {
+                try {
+                    decoder.write(text.write(chunk));
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                try {
+                    decoder.write(text.end());
+                    decoder.end();
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+        });
+    }
+
+    /**
+     * Fetches the metadata the reader needs; called before exports are read
+     * @param {import("axios").AxiosInstance|null} api instance the exports come from
+     */
+    async prepare(api) {}
+
+    /**
+     * Adds the export parameters the format needs
+     * @param {URLSearchParams} query
+     */
+    exportQuery(query) {}
+
+    /**
+     * @abstract
+     * @returns {import("stream").Transform} takes an export's bytes and emits its rows
+     */
+    reader() {
+        throw new Error(`${this.constructor.name} does not implement reader()`);
+    }
+
+    /**
+     * Reads a whole export held in memory
+     * @param {string} text
+     * @returns {Promise<Object<string, string>[]>}
+     */
+    async parse(text) {
+        const rows = [];
+        for await (const row of Readable.from([text]).pipe(this.reader())) {
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * @abstract
+     * @param {Object[]} dataValues normalised data values
+     * @returns {string} import payload
+     */
+    serialize(dataValues) {
+        throw new Error(
+            `${this.constructor.name} does not implement serialize()`,
+        );
+    }
+}
+
+module.exports = { PayloadFormat, FIELDS };
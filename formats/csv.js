@@ -0,0 +1,53 @@
+const csv = require("csv-parser");
+const Papa = require("papaparse");
+const { PayloadFormat, FIELDS } = require("./base");
+
+/**
+ * DHIS2 CSV, the format exports have always been read in. Columns are
+ * matched by header name, whatever their case
+ */
+class CsvFormat extends PayloadFormat {
+    constructor() {
+        super({
+            name: "csv",
+            exportPath: "/api/dataValueSets.csv",
+            accept: "text/csv",
+            contentType: "application/csv",
+            extension: "csv",
+        });
+    }
+
+    reader() {
+        return csv({
+            mapHeaders: ({ header }) => header.trim().toLowerCase(),
+            mapValues: ({ value }) => value.trim(),
+        });
+    }
+
+    async parse(text) {
+        const { data, errors } = Papa.parse(text, {
+            header: true,
+            skipEmptyLines: true,
+            transformHeader: (header) => header.trim().toLowerCase(),
+            transform: (value) => value.trim(),
+        });
+        if (errors.length && !data.length) {
+            throw new Error(`Could not parse export: ${errors[0].message}`);
+        }
+        return data;
+    }
+
+    serialize(dataValues) {
+        return Papa.unparse(
+            {
+                fields: FIELDS.map((field) => field.toLowerCase()),
+                data: dataValues.map((dataValue) =>
+                    FIELDS.map((field) => dataValue[field] ?? ""),
+                ),
+            },
+            { newline: "\n" },
+        );
+    }
+}
+
+module.exports = CsvFormat;
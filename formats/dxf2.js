@@ -0,0 +1,43 @@
+const { PayloadFormat, FIELDS } = require("./base");
+const { XmlScanner, attributes } = require("./xml");
+
+/**
+ * DHIS2 DXF2 XML: a dataValueSet of dataValue elements, each field an
+ * attribute
+ */
+class Dxf2Format extends PayloadFormat {
+    constructor() {
+        super({
+            name: "dxf2",
+            exportPath: "/api/dataValueSets.xml",
+            accept: "application/xml",
+            contentType: "application/xml",
+            extension: "xml",
+        });
+    }
+
+    reader() {
+        return PayloadFormat.textReader(
+            (push) =>
+                new XmlScanner({
+                    open: (name, fields) => {
+                        if (name === "dataValue")
+                            push(PayloadFormat.row(fields));
+                    },
+                }),
+        );
+    }
+
+    serialize(dataValues) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<dataValueSet xmlns="http://dhis2.org/schema/dxf/2.0">',
+            ...dataValues.map(
+                (dataValue) => `<dataValue${attributes(dataValue, FIELDS)}/>`,
+            ),
+            "</dataValueSet>",
+        ].join("\n");
+    }
+}
+
+module.exports = Dxf2Format;
@@ -0,0 +1,42 @@
+const CsvFormat = require("./csv");
+const JsonFormat = require("./json");
+const Dxf2Format = require("./dxf2");
+const AdxFormat = require("./adx");
+const { PayloadFormat } = require("./base");
+
+/**
+ * Payload formats by name
+ */
+const FORMATS = {
+    csv: CsvFormat,
+    json: JsonFormat,
+    dxf2: Dxf2Format,
+    adx: AdxFormat,
+};
+
+/**
+ * Creates a payload format
+ * @param {string|PayloadFormat} format a name from FORMATS, or an instance
+ * @returns {PayloadFormat}
+ * @throws {Error} for unknown names
+ */
+function createFormat(format) {
+    if (format instanceof PayloadFormat) return format;
+    const Format = FORMATS[format];
+    if (!Format) {
+        throw new Error(
+            `Unknown payload format "${format}". Expected one of: ${Object.keys(FORMATS).join(", ")}`,
+        );
+    }
+    return new Format();
+}
+
+module.exports = {
+    FORMATS,
+    createFormat,
+    PayloadFormat,
+    CsvFormat,
+    JsonFormat,
+    Dxf2Format,
+    AdxFormat,
+};
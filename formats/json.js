@@ -0,0 +1,102 @@
+const { PayloadFormat } = require("./base");
+
+/**
+ * Finds the objects of the top-level dataValues array in JSON read a
+ * chunk at a time, so that each is parsed on its own and the document is
+ * never held whole
+ * @private
+ */
+class DataValueScanner {
+    constructor(push) {
+        this.push = push;
+        this.buffer = "";
+        this.position = 0;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.stringStart = -1;
+        this.key = null;
+        this.inDataValues = false;
+        this.objectStart = -1;
+    }
+
+    write(text) {
+        this.buffer += text;
+        const { buffer } = this;
+        for (let i = this.position; i < buffer.length; i++) {
+            const c = buffer[i];
+            if (this.inString) {
+                if (this.escaped) this.escaped = false;
+                else if (c === "\\") this.escaped = true;
+                else if (c === '"') {
+                    this.inString = false;
+                    // Keys of the outer object; the last one names the array
+                    if (this.depth === 1) {
+                        this.key = buffer.slice(this.stringStart + 1, i);
+                    }
+                }
+            } else if (c === '"') {
+                this.inString = true;
+                this.stringStart = i;
+            } else if (c === "{" || c === "[") {
+                this.depth++;
+                if (this.depth === 2 && c === "[") {
+                    this.inDataValues = this.key === "dataValues";
+                } else if (this.depth === 3 && this.inDataValues) {
+                    this.objectStart = i;
+                }
+            } else if (c === "}" || c === "]") {
+                if (this.depth === 3 && this.inDataValues) {
+                    this.push(
+                        PayloadFormat.row(
+                            JSON.parse(buffer.slice(this.objectStart, i + 1)),
+                        ),
+                    );
+                    this.objectStart = -1;
+                }
+                if (this.depth === 2) this.inDataValues = false;
+                this.depth--;
+            }
+        }
+        // Keep only what is still needed: an open data value or string
+        let keep = buffer.length;
+        if (this.objectStart !== -1) keep = this.objectStart;
+        else if (this.inString) keep = this.stringStart;
+        this.buffer = buffer.slice(keep);
+        this.position = buffer.length - keep;
+        if (this.objectStart !== -1) this.objectStart -= keep;
+        if (this.stringStart !== -1) this.stringStart -= keep;
+    }
+
+    end() {
+        if (this.depth !== 0 || this.inString) {
+            throw new Error("JSON export ends before its last data value");
+        }
+    }
+}
+
+/**
+ * DHIS2 JSON: {"dataValues": [{"dataElement": ..., ...}]}. Exports are read
+ * one data value at a time
+ */
+class JsonFormat extends PayloadFormat {
+    constructor() {
+        super({
+            name: "json",
+            exportPath: "/api/dataValueSets.json",
+            accept: "application/json",
+            contentType: "application/json",
+            extension: "json",
+        });
+    }
+
+    reader() {
+        return PayloadFormat.textReader((push) => new DataValueScanner(push));
+    }
+
+    serialize(dataValues) {
+        return JSON.stringify({ dataValues });
+    }
+}
+
+module.exports = JsonFormat;
@@ -0,0 +1,170 @@
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Replaces character and predefined entity references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+        if (name[0] !== "#") return ENTITIES[name] ?? reference;
+        return String.fromCodePoint(
+            name[1].toLowerCase() === "x"
+                ? parseInt(name.slice(2), 16)
+                : Number(name.slice(1)),
+        );
+    });
+}
+
+/**
+ * Escapes text for use in element content or a double-quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Writes the given fields of an object that are set as XML attributes
+ * @param {Object} object
+ * @param {string[]} names
+ * @returns {string} each attribute preceded by a space
+ */
+function attributes(object, names) {
+    return names
+        .filter((name) => object[name] !== undefined && object[name] !== null)
+        .map((name) => ` ${name}="${escapeXml(object[name])}"`)
+        .join("");
+}
+
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Drops a namespace prefix: adx:group is reported as group
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+/**
+ * Reads XML a chunk at a time, reporting elements and text to handlers.
+ * Enough for the flat documents DHIS2 exchanges data values in: it skips
+ * declarations, comments and doctypes and does not check that the document
+ * is well formed. Names are reported without their namespace prefix
+ */
+class XmlScanner {
+    /**
+     * @param {Object} handlers
+     * @param {(name: string, attributes: Object<string, string>) => void} [handlers.open]
+     * @param {(name: string) => void} [handlers.close] also called for self-closing elements
+     * @param {(text: string) => void} [handlers.text] decoded text between elements
+     */
+    constructor({ open = () => {}, close = () => {}, text = () => {} }) {
+        this.handlers = { open, close, text };
+        this.buffer = "";
+    }
+
+    /**
+     * @param {string} chunk
+     */
+    write(chunk) {
+        this.buffer += chunk;
+        let position = 0;
+        for (;;) {
+            // Text is held back until the next tag, so that it is never
+            // cut inside an entity reference
+            const start = this.buffer.indexOf("<", position);
+            if (start === -1) break;
+            this.emitText(this.buffer.slice(position, start));
+            position = start;
+            const end = this.tagEnd(start);
+            if (end === -1) break;
+            this.tag(this.buffer.slice(start, end));
+            position = end;
+        }
+        this.buffer = this.buffer.slice(position);
+    }
+
+    /**
+     * @throws {Error} when the document ends inside a tag
+     */
+    end() {
+        if (this.buffer.includes("<")) {
+            throw new Error("XML document ends inside a tag");
+        }
+        this.emitText(this.buffer);
+        this.buffer = "";
+    }
+
+    /**
+     * Finds the end of the markup starting at `start`, or -1 when it has
+     * not been read yet
+     * @private
+     */
+    tagEnd(start) {
+        const buffer = this.buffer;
+        for (const [open, close] of [
+            ["<!--", "-->"],
+            ["<![CDATA[", "]]>"],
+            ["<?", "?>"],
+        ]) {
+            if (buffer.startsWith(open, start)) {
+                const end = buffer.indexOf(close, start + open.length);
+                return end === -1 ? -1 : end + close.length;
+            }
+            // Too little read to tell which kind of markup this is
+            if (open.startsWith(buffer.slice(start))) return -1;
+        }
+        let quote = null;
+        for (let i = start + 1; i < buffer.length; i++) {
+            const c = buffer[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === ">") {
+                return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @private
+     */
+    tag(markup) {
+        if (markup.startsWith("<![CDATA[")) {
+            this.handlers.text(markup.slice(9, -3));
+            return;
+        }
+        if (markup.startsWith("<!") || markup.startsWith("<?")) return;
+        if (markup.startsWith("</")) {
+            this.handlers.close(localName(markup.slice(2, -1).trim()));
+            return;
+        }
+        const selfClosing = markup.endsWith("/>");
+        const body = markup.slice(1, selfClosing ? -2 : -1);
+        const [name] = body.trim().split(/\s/, 1);
+        const attributes = {};
+        for (const match of body
+            .slice(name.length)
+            .matchAll(ATTRIBUTE_PATTERN)) {
+            if (match[1] === "xmlns" || match[1].startsWith("xmlns:")) {
+                continue;
+            }
+            attributes[localName(match[1])] = decodeXml(match[2] ?? match[3]);
+        }
+        this.handlers.open(localName(name), attributes);
+        if (selfClosing) this.handlers.close(localName(name));
+    }
+
+    /**
+     * @private
+     */
+    emitText(text) {
+        if (text) this.handlers.text(decodeXml(text));
+    }
+}
+
+module.exports = { XmlScanner, attributes, escapeXml, decodeXml };
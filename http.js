@@ -0,0 +1,196 @@
+const axios = require("axios");
+const { logger } = require("./logger");
+
+const DEFAULTS = {
+    timeout: 120000,
+    retries: 5,
+    retryBaseDelay: 1000,
+    retryMaxDelay: 60000,
+    maxRequestsPerSecond: 10,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Spaces requests to one server evenly so that no more than the given
+ * number start in any second
+ */
+class RateLimiter {
+    constructor(maxRequestsPerSecond) {
+        this.interval = maxRequestsPerSecond > 0 ? 1000 / maxRequestsPerSecond : 0;
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Lowers the cap to the given rate if it is below the current one
+     * @param {number} maxRequestsPerSecond 0 for no limit, which changes nothing
+     * @returns {boolean} whether the cap was lowered
+     */
+    lowerTo(maxRequestsPerSecond) {
+        if (!(maxRequestsPerSecond > 0)) return false;
+        const interval = 1000 / maxRequestsPerSecond;
+        if (interval <= this.interval) return false;
+        this.interval = interval;
+        return true;
+    }
+
+    async acquire() {
+        if (!this.interval) return;
+        const now = Date.now();
+        const wait = Math.max(0, this.nextSlot - now);
+        this.nextSlot = Math.max(now, this.nextSlot) + this.interval;
+        if (wait) await sleep(wait);
+    }
+}
+
+// One limiter per server, shared by every client talking to it at the
+// lowest rate any of them asked for
+const limiters = new Map();
+
+function limiterFor(baseURL, maxRequestsPerSecond) {
+    const origin = new URL(baseURL).origin;
+    if (!limiters.has(origin)) {
+        limiters.set(origin, new RateLimiter(maxRequestsPerSecond));
+    } else if (limiters.get(origin).lowerTo(maxRequestsPerSecond)) {
+        logger.info(`Requests to ${origin} capped at ${maxRequestsPerSecond} per second`);
+    }
+    return limiters.get(origin);
+}
+
+/**
+ * Reads HTTP settings for one server from the environment, e.g.
+ * SOURCE_DHIS2_TIMEOUT, SOURCE_DHIS2_RETRIES and SOURCE_DHIS2_MAX_RPS
+ * @param {string} prefix e.g. SOURCE_DHIS2
+ * @returns {{timeout?: number, retries?: number, maxRequestsPerSecond?: number}}
+ */
+function httpOptionsFromEnv(prefix) {
+    const options = {};
+    const read = (name, key) => {
+        const value = process.env[`${prefix}_${name}`];
+        if (value === undefined || value === "") return;
+        if (!/^\d+(\.\d+)?$/.test(value)) {
+            throw new Error(`${prefix}_${name} must be a non-negative number`);
+        }
+        options[key] = Number(value);
+    };
+    read("TIMEOUT", "timeout");
+    read("RETRIES", "retries");
+    read("MAX_RPS", "maxRequestsPerSecond");
+    return options;
+}
+
+/**
+ * Parses a Retry-After header given in seconds or as an HTTP date
+ * @returns {number|null} delay in milliseconds
+ */
+function retryAfterDelay(header) {
+    if (header === undefined || header === null || header === "") return null;
+    if (/^\d+$/.test(String(header))) return Number(header) * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Methods that read only, so that sending them twice does no harm
+const SAFE_METHODS = ["get", "head", "options"];
+
+/**
+ * Whether a failed request is worth retrying. Reads are retried on network
+ * errors, timeouts, 429 Too Many Requests and 5xx server errors. Other
+ * requests, e.g. an import POST the server may already have started, are
+ * only retried when the server turned them away unprocessed: 429, or 503
+ * with Retry-After
+ */
+function isRetryable(error) {
+    if (axios.isCancel(error) || !error.config) return false;
+    const { response } = error;
+    if (response?.status === 429) return true;
+    if (response?.status === 503 && response.headers?.["retry-after"] !== undefined) {
+        return true;
+    }
+    const method = (error.config.method || "get").toLowerCase();
+    if (!SAFE_METHODS.includes(method)) return false;
+    return !response || response.status >= 500;
+}
+
+/**
+ * Creates an axios client for a DHIS2 instance with a request timeout,
+ * retries with jittered exponential backoff (honouring Retry-After, and
+ * failing at once when it exceeds retryMaxDelay; see isRetryable for what
+ * is retried) and a per-server requests-per-second cap, the lowest of the
+ * clients of that server
+ * @param {Object} config
+ * @param {string} config.url base URL of the instance (or config.baseUrl)
+ * @param {string} config.username
+ * @param {string} config.password
+ * @param {number} [config.timeout=120000] request timeout in milliseconds, 0 for none
+ * @param {number} [config.retries=5] retries after the first attempt
+ * @param {number} [config.retryBaseDelay=1000] first backoff delay in milliseconds
+ * @param {number} [config.retryMaxDelay=60000] longest backoff or Retry-After delay in milliseconds
+ * @param {number} [config.maxRequestsPerSecond=10] 0 for no limit
+ * @param {import("axios").AxiosRequestConfig} [axiosConfig] extra axios settings
+ * @returns {import("axios").AxiosInstance}
+ */
+function createClient(config, axiosConfig = {}) {
+    const settings = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+        if (config[key] !== undefined) settings[key] = config[key];
+    }
+    const baseURL = (config.url || config.baseUrl || "").replace(/\/$/, "");
+    if (!baseURL) throw new Error("DHIS2 URL is not configured");
+
+    const client = axios.create({
+        ...axiosConfig,
+        baseURL,
+        timeout: settings.timeout,
+        auth: {
+            username: config.username,
+            password: config.password,
+        },
+    });
+    const limiter = limiterFor(baseURL, settings.maxRequestsPerSecond);
+
+    client.interceptors.request.use(async (request) => {
+        await limiter.acquire();
+        return request;
+    });
+
+    client.interceptors.response.use(undefined, async (error) => {
+        const request = error.config;
+        if (!isRetryable(error)) throw error;
+        request.retryCount = (request.retryCount || 0) + 1;
+        if (request.retryCount > settings.retries) throw error;
+
+        const backoff = Math.min(
+            settings.retryMaxDelay,
+            settings.retryBaseDelay * 2 ** (request.retryCount - 1),
+        );
+        const retryAfter = retryAfterDelay(
+            error.response?.headers?.["retry-after"],
+        );
+        // Retrying before the server allows only earns another refusal
+        if (retryAfter !== null && retryAfter > settings.retryMaxDelay) {
+            error.message = `${error.message}; the server asked to retry after ${Math.ceil(
+                retryAfter / 1000,
+            )}s, longer than the ${settings.retryMaxDelay / 1000}s retry delay limit`;
+            throw error;
+        }
+        const delay =
+            retryAfter !== null
+                ? retryAfter
+                : Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+
+        logger.warn(
+            `Retrying ${request.method?.toUpperCase()} ${request.url} in ${(
+                delay / 1000
+            ).toFixed(1)}s (retry ${request.retryCount}/${settings.retries}): ${
+                error.response ? `HTTP ${error.response.status}` : error.code || error.message
+            }`,
+        );
+        await sleep(delay);
+        return client.request(request);
+    });
+
+    return client;
+}
+
+module.exports = { createClient, httpOptionsFromEnv, RateLimiter };
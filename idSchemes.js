@@ -0,0 +1,76 @@
+/**
+ * DHIS2 identifier scheme parameters accepted by /api/dataValueSets for
+ * both export and import, and the data value field each one applies to
+ */
+const ID_SCHEME_PARAMS = {
+    idScheme: null,
+    dataElementIdScheme: "dataElement",
+    orgUnitIdScheme: "orgUnit",
+    categoryOptionComboIdScheme: "categoryOptionCombo",
+    attributeOptionComboIdScheme: "attributeOptionCombo",
+};
+
+const SCHEME_PATTERN = /^(UID|CODE|NAME|ATTRIBUTE:[a-zA-Z][a-zA-Z0-9]{10})$/;
+
+/**
+ * Normalises a scheme name, e.g. code -> CODE, attribute:abc -> ATTRIBUTE:abc
+ * @param {string} scheme
+ * @returns {string}
+ * @throws {Error} for unknown schemes
+ */
+function normalizeScheme(scheme) {
+    const [type, ...rest] = String(scheme).trim().split(":");
+    const normalized = [type.toUpperCase(), ...rest].join(":");
+    if (!SCHEME_PATTERN.test(normalized)) {
+        throw new Error(
+            `Invalid ID scheme "${scheme}". Expected UID, CODE, NAME or ATTRIBUTE:<uid>`,
+        );
+    }
+    return normalized;
+}
+
+/**
+ * Parses an ID scheme specification: either a single scheme applied to all
+ * objects ("CODE"), or a comma-separated list of parameter=scheme pairs
+ * ("dataElementIdScheme=CODE,orgUnit=UID"). The IdScheme suffix may be left off
+ * @param {string} spec
+ * @returns {Object<string, string>} scheme per DHIS2 parameter name
+ * @throws {Error} for unknown parameters or schemes
+ */
+function parseIdSchemes(spec) {
+    if (!spec) return {};
+    if (!spec.includes("=")) return { idScheme: normalizeScheme(spec) };
+
+    const schemes = {};
+    for (const pair of spec.split(",").filter((item) => item.trim())) {
+        const [key, scheme] = pair.split("=").map((item) => item.trim());
+        const name =
+            key === "id" || key === "idScheme"
+                ? "idScheme"
+                : key.endsWith("IdScheme")
+                  ? key
+                  : `${key}IdScheme`;
+        if (!(name in ID_SCHEME_PARAMS) || scheme === undefined) {
+            throw new Error(
+                `Invalid ID scheme entry "${pair}". Expected one of ${Object.keys(ID_SCHEME_PARAMS).join(", ")} followed by =<scheme>`,
+            );
+        }
+        schemes[name] = normalizeScheme(scheme);
+    }
+    return schemes;
+}
+
+/**
+ * Returns the scheme in effect for a data value field
+ * @param {Object<string, string>} schemes
+ * @param {string} field e.g. categoryOptionCombo
+ * @returns {string}
+ */
+function schemeFor(schemes, field) {
+    const param = Object.keys(ID_SCHEME_PARAMS).find(
+        (key) => ID_SCHEME_PARAMS[key] === field,
+    );
+    return schemes[param] || schemes.idScheme || "UID";
+}
+
+module.exports = { ID_SCHEME_PARAMS, parseIdSchemes, schemeFor };
@@ -1,117 +1,85 @@
-const axios = require("axios");
-const dotenv = require("dotenv");
-const csv = require("csv-parser");
+const path = require("path");
+const DHIS2DataTransfer = require("./main");
+const strategies = require("./strategies");
+const formats = require("./formats");
+const CheckpointJournal = require("./checkpoint");
+const SyncState = require("./syncState");
+const ImportJobTracker = require("./jobTracker");
+const ReportWriter = require("./reportWriter");
+const { ConflictReport } = require("./conflictReport");
+const { MetadataMapping, SkipReport, MAPPING_TYPES } = require("./mapping");
+const { parseIdSchemes } = require("./idSchemes");
+const { createClient } = require("./http");
+const OrgUnitSelector = require("./orgUnitSelector");
+const { WorkPool, InterruptedError } = require("./workPool");
+const { Reconciler, ReconciliationReport } = require("./reconcile");
+const { PreflightCheck, PreflightReport } = require("./preflight");
+const { OrgUnitAssignments, AssignmentReport } = require("./assignments");
+const { CompletenessTransfer, CompletenessReport } = require("./completeness");
+const AnalyticsAggregation = require("./aggregate");
+const { TransformRules } = require("./rules");
+const DataArchive = require("./archive");
+const Scheduler = require("./scheduler");
+const { CronSchedule } = require("./cron");
+const RunHistory = require("./runHistory");
+const JobLock = require("./jobLock");
+const { loadConfig } = require("./config");
+const { loadJobs, parseJobFile, JobFileError } = require("./jobs");
+const { createLogger, logger } = require("./logger");
+const periods = require("./periods");
 
-dotenv.config();
-
-// DHIS2 instance configurations
-const sourceConfig = {
-    baseUrl: process.env.SOURCE_DHIS2_URL,
-    username: process.env.SOURCE_DHIS2_USERNAME,
-    password: process.env.SOURCE_DHIS2_PASSWORD,
-};
-
-const destConfig = {
-    baseUrl: process.env.DEST_DHIS2_URL,
-    username: process.env.DEST_DHIS2_USERNAME,
-    password: process.env.DEST_DHIS2_PASSWORD,
-};
-
-// Create axios instances for source and destination
-const sourceApi = axios.create({
-    baseURL: sourceConfig.baseUrl,
-    auth: {
-        username: sourceConfig.username,
-        password: sourceConfig.password,
-    },
-});
-
-const destApi = axios.create({
-    baseURL: destConfig.baseUrl,
-    auth: {
-        username: destConfig.username,
-        password: destConfig.password,
-    },
-});
-
-// Function to get all organization units from destination instance
-async function getOrganisationUnits() {
-    try {
-        const response = await sourceApi.get(
-            "/api/organisationUnits.json?fields=id,name&paging=false&filter=level:in:[6,7]",
-        );
-        return response.data.organisationUnits;
-    } catch (error) {
-        console.error("Error fetching destination org units:", error.message);
-        return [];
-    }
+// Run directly, transfers the "index" job of jobs.yaml: levels 6 and 7,
+// each export posted to the destination unchanged
+if (require.main === module) {
+    DHIS2DataTransfer.main([
+        "--job-file",
+        path.join(__dirname, "jobs.yaml"),
+        "--job",
+        "index",
+        ...process.argv.slice(2),
+    ]);
 }
 
-// Function to get data for a specific org unit and dataset from source instance
-async function getSourceData(orgUnitId, dataSets, startDate, endDate) {
-    const dataSetParams = dataSets.map((ds) => `dataSet=${ds}`).join("&");
-    const url = `/api/dataValueSets.csv?${dataSetParams}&orgUnit=${orgUnitId}&startDate=${startDate}&endDate=${endDate}`;
-    try {
-        const { data } = await sourceApi.get(url);
-        return data;
-    } catch (error) {
-        console.error(
-            `Error fetching source data for orgUnit ${orgUnitId}, dataSets ${dataSets
-                .map((ds) => ds)
-                .join(",")}`,
-            error.message,
-        );
-        return [];
-    }
-}
-
-// Function to post data to destination instance
-async function postDataToDestination(dataValues) {
-    try {
-        await destApi.post("/api/dataValueSets", dataValues, {
-            params: { async: true },
-            headers: { "Content-Type": "application/csv" },
-        });
-        console.log(`Successfully posted  data values to destination`);
-    } catch (error) {
-        console.error(
-            "Error posting data to destination:",
-            error.response.data.response.conflicts,
-        );
-    }
-}
-
-async function copyData(dataSetIds, startDate, endDate) {
-    const destinationOrgUnits = await getOrganisationUnits();
-    for (const { id, name } of destinationOrgUnits) {
-        console.log(name);
-        const sourceData = await getSourceData(
-            id,
-            dataSetIds,
-            startDate,
-            endDate,
-        );
-        await postDataToDestination(sourceData);
-    }
-}
-
-const dataSetIds = [
-    "onFoQ4ko74y",
-    "RtEYsASU7PG",
-    "ic1BSWhGOso",
-    "nGkMm2VBT4G",
-    "quMWqLxzcfO",
-    "dFRD2A5fdvn",
-    "DFMoIONIalm",
-    "EBqVAQRmiPm",
-];
-const startDate = "2024-01-01";
-const endDate = "2024-12-31";
-
-copyData(dataSetIds, startDate, endDate)
-    .then(() => {
-        console.log("Data copy process completed");
-    })
-    .catch((error) => {
-        console.error("Error in data copy process:", error.message);
-    });
+// Library entry point for other tools
+module.exports = {
+    DHIS2DataTransfer,
+    runTransfer: DHIS2DataTransfer.runTransfer,
+    dataSetPeriods: DHIS2DataTransfer.dataSetPeriods,
+    ...strategies,
+    ...formats,
+    CheckpointJournal,
+    SyncState,
+    ImportJobTracker,
+    ReportWriter,
+    ConflictReport,
+    Reconciler,
+    ReconciliationReport,
+    PreflightCheck,
+    PreflightReport,
+    OrgUnitAssignments,
+    AssignmentReport,
+    CompletenessTransfer,
+    CompletenessReport,
+    AnalyticsAggregation,
+    DataArchive,
+    Scheduler,
+    CronSchedule,
+    RunHistory,
+    JobLock,
+    MetadataMapping,
+    SkipReport,
+    MAPPING_TYPES,
+    TransformRules,
+    parseIdSchemes,
+    OrgUnitSelector,
+    WorkPool,
+    InterruptedError,
+    createClient,
+    loadConfig,
+    loadJobs,
+    parseJobFile,
+    JobFileError,
+    createLogger,
+    logger,
+    ...periods,
+};
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Keeps a job from running twice at once, whether the second run comes from
+ * the scheduler or from the command line: a lock file per job holds the PID
+ * of the process running it. A lock left behind by a process that no longer
+ * exists, e.g. after a crash, is taken over.
+ */
+class JobLock {
+    static DEFAULT_DIRECTORY = path.join("state", "locks");
+
+    /**
+     * @param {string} job
+     * @param {string} [directory="state/locks"]
+     */
+    constructor(job, directory = JobLock.DEFAULT_DIRECTORY) {
+        this.job = job;
+        this.path = path.join(
+            directory,
+            `${job.replace(/[^\w.-]+/g, "_")}.lock`,
+        );
+        this.held = false;
+    }
+
+    /**
+     * @param {number} pid
+     * @returns {boolean} whether a process with this ID exists
+     */
+    static isRunning(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: it exists but belongs to another user
+            return error.code === "EPERM";
+        }
+    }
+
+    /**
+     * Takes the lock unless a running process holds it
+     * @returns {{pid: number, startedAt: string}|null} the holder, or null
+     *   when the lock was taken
+     */
+    acquire() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        const holder = {
+            pid: process.pid,
+            startedAt: new Date().toISOString(),
+        };
+        // Written in full under a temporary name and linked into place, so
+        // that the lock never exists without its holder
+        const temporary = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(holder));
+        try {
+            for (;;) {
+                try {
+                    fs.linkSync(temporary, this.path);
+                    this.held = true;
+                    return null;
+                } catch (error) {
+                    if (error.code !== "EEXIST") throw error;
+                }
+                let current = null;
+                try {
+                    current = JSON.parse(fs.readFileSync(this.path, "utf8"));
+                } catch (error) {
+                    // Released in the meantime
+                }
+                if (current && JobLock.isRunning(current.pid)) return current;
+                fs.rmSync(this.path, { force: true });
+            }
+        } finally {
+            fs.rmSync(temporary, { force: true });
+        }
+    }
+
+    release() {
+        if (!this.held) return;
+        fs.rmSync(this.path, { force: true });
+        this.held = false;
+    }
+}
+
+module.exports = JobLock;
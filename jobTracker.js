@@ -0,0 +1,157 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} ImportCount
+ * @property {number} imported
+ * @property {number} updated
+ * @property {number} ignored
+ * @property {number} deleted
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {string} status SUCCESS, WARNING or ERROR
+ * @property {ImportCount} importCount
+ * @property {Object[]} conflicts conflicts as reported by DHIS2
+ * @property {string} [description]
+ */
+
+/**
+ * Follows DHIS2 asynchronous import jobs (`async=true`) through
+ * /api/system/tasks until they complete and collects their ImportSummary
+ * from /api/system/taskSummaries, keeping totals across all jobs of a run.
+ */
+class ImportJobTracker {
+    static DEFAULT_POLL_INTERVAL = 2000;
+    static DEFAULT_TIMEOUT = 30 * 60 * 1000;
+
+    /**
+     * @param {import("axios").AxiosInstance} api destination client
+     * @param {Object} [options]
+     * @param {number} [options.pollInterval=2000] milliseconds between polls
+     * @param {number} [options.timeout=1800000] milliseconds to wait for a job
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.pollInterval =
+            options.pollInterval ?? ImportJobTracker.DEFAULT_POLL_INTERVAL;
+        this.timeout = options.timeout ?? ImportJobTracker.DEFAULT_TIMEOUT;
+        this.totals = {
+            jobs: 0,
+            imported: 0,
+            updated: 0,
+            ignored: 0,
+            deleted: 0,
+            conflicts: 0,
+        };
+    }
+
+    /**
+     * Reads the job type and ID from an async job-submission response
+     * @param {Object} data response body of POST /api/dataValueSets?async=true
+     * @returns {{jobType: string, id: string}|null}
+     */
+    static taskFrom(data) {
+        const response = data?.response;
+        if (response?.id && response?.jobType) {
+            return { jobType: response.jobType, id: response.id };
+        }
+        const endpoint = response?.relativeNotifierEndpoint;
+        const match = endpoint && /\/tasks\/([^/]+)\/([^/?]+)/.exec(endpoint);
+        return match ? { jobType: match[1], id: match[2] } : null;
+    }
+
+    /**
+     * Converts an ImportSummary, or a web message wrapping one, into an
+     * ImportResult
+     * @param {Object} summary
+     * @returns {ImportResult}
+     */
+    static toResult(summary) {
+        const importSummary =
+            summary?.response?.importCount !== undefined
+                ? summary.response
+                : summary;
+        const count = importSummary?.importCount || {};
+        return {
+            status: importSummary?.status || "ERROR",
+            importCount: {
+                imported: count.imported || 0,
+                updated: count.updated || 0,
+                ignored: count.ignored || 0,
+                deleted: count.deleted || 0,
+            },
+            conflicts: importSummary?.conflicts || [],
+            description: importSummary?.description,
+        };
+    }
+
+    /**
+     * Polls a job until DHIS2 reports it completed and returns its summary
+     * @param {{jobType: string, id: string}} task
+     * @returns {Promise<ImportResult>}
+     */
+    async waitFor({ jobType, id }) {
+        const deadline = Date.now() + this.timeout;
+        for (;;) {
+            const { data: notifications } = await this.api.get(
+                `/api/system/tasks/${jobType}/${id}`,
+            );
+            const list = Array.isArray(notifications) ? notifications : [];
+            if (list.some((notification) => notification.completed)) break;
+            if (Date.now() + this.pollInterval > deadline) {
+                throw new Error(
+                    `Import job ${id} did not complete within ${this.timeout / 1000}s`,
+                );
+            }
+            await sleep(this.pollInterval);
+        }
+
+        const { data: summary } = await this.api.get(
+            `/api/system/taskSummaries/${jobType}/${id}`,
+        );
+        return ImportJobTracker.toResult(summary);
+    }
+
+    /**
+     * Resolves the final ImportResult of an import response: polls the job
+     * for async submissions, or reads the summary of synchronous ones. The
+     * result is added to the run totals
+     * @param {Object} data response body of the import request
+     * @returns {Promise<ImportResult>}
+     */
+    async track(data) {
+        const task = ImportJobTracker.taskFrom(data);
+        const result = task
+            ? await this.waitFor(task)
+            : ImportJobTracker.toResult(data);
+        this.add(result);
+        return result;
+    }
+
+    /**
+     * Adds an ImportResult to the run totals
+     * @param {ImportResult} result
+     */
+    add({ importCount, conflicts }) {
+        this.totals.jobs++;
+        this.totals.imported += importCount.imported;
+        this.totals.updated += importCount.updated;
+        this.totals.ignored += importCount.ignored;
+        this.totals.deleted += importCount.deleted;
+        this.totals.conflicts += conflicts.length;
+    }
+
+    /**
+     * Formats counts for logging
+     * @param {ImportCount & {conflicts?: number|Object[]}} counts
+     */
+    static format({ imported, updated, ignored, deleted, conflicts = 0 }) {
+        const conflictCount = Array.isArray(conflicts)
+            ? conflicts.length
+            : conflicts;
+        return `imported ${imported}, updated ${updated}, ignored ${ignored}, deleted ${deleted}, conflicts ${conflictCount}`;
+    }
+}
+
+module.exports = ImportJobTracker;
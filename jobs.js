@@ -0,0 +1,866 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { instanceConfig } = require("./config");
+const { parseIdSchemes } = require("./idSchemes");
+const { MAPPING_TYPES } = require("./mapping");
+const OrgUnitSelector = require("./orgUnitSelector");
+const { TransformRules } = require("./rules");
+const {
+    PERIOD_TYPES,
+    parsePeriod,
+    previousPeriod,
+    datasetsWithoutPeriods,
+} = require("./periods");
+const { STRATEGIES } = require("./strategies");
+const { FORMATS } = require("./formats");
+const { CronSchedule } = require("./cron");
+const { PreflightCheck } = require("./preflight");
+
+const UID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{10}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Profiles used by jobs that do not name one: the SOURCE_DHIS2_* and
+ * DEST_DHIS2_* environment variables
+ */
+const DEFAULT_PROFILES = {
+    source: { env: "SOURCE_DHIS2" },
+    destination: { env: "DEST_DHIS2" },
+};
+
+const JOB_KEYS = [
+    "description",
+    "schedule",
+    "source",
+    "destination",
+    "datasets",
+    "periodType",
+    "periods",
+    "startDate",
+    "endDate",
+    "incremental",
+    "keepDeleted",
+    "registrations",
+    "approvals",
+    "initialSince",
+    "syncState",
+    "orgUnits",
+    "batchSize",
+    "concurrency",
+    "uploads",
+    "queuedBatches",
+    "strategy",
+    "import",
+    "export",
+    "mapping",
+    "rules",
+    "conflictReport",
+    "skipReport",
+    "reconciliationReport",
+    "completenessReport",
+    "assignOrgUnits",
+    "assignmentReport",
+    "preflight",
+    "preflightReport",
+    "aggregateUp",
+    "runId",
+];
+const PROFILE_KEYS = [
+    "env",
+    "url",
+    "username",
+    "password",
+    "timeout",
+    "retries",
+    "maxRequestsPerSecond",
+];
+const IMPORT_KEYS = [
+    "idScheme",
+    "format",
+    "importStrategy",
+    "skipAudit",
+    "skipExistingCheck",
+    "dryRun",
+];
+const IMPORT_STRATEGIES = [
+    "CREATE",
+    "UPDATE",
+    "CREATE_AND_UPDATE",
+    "NEW_AND_UPDATES",
+    "DELETE",
+];
+const MAPPING_KEYS = ["files", "matchBy", "types"];
+const PREFLIGHT_KEYS = ["maxRejected", "sample"];
+const AGGREGATE_UP_KEYS = ["level", "dataElements"];
+
+// Settings an aggregate-up job cannot have; its org units are those of the
+// level on the source, within orgUnits.boundary and orgUnits.exclude.
+// strategy and export, often set in the defaults, are left unused
+const AGGREGATE_UP_EXCLUDED = [
+    "incremental",
+    "initialSince",
+    "syncState",
+    "approvals",
+    "completenessReport",
+    "reconciliationReport",
+    "assignOrgUnits",
+    "assignmentReport",
+    "preflight",
+    "preflightReport",
+];
+
+/**
+ * Raised when a job file cannot be read or does not match the schema.
+ * Lists every problem found, each prefixed with its location in the file
+ */
+class JobFileError extends Error {
+    /**
+     * @param {string} filePath
+     * @param {string[]} errors
+     */
+    constructor(filePath, errors) {
+        super(
+            `Invalid job file ${filePath}:\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+        );
+        this.name = "JobFileError";
+        this.errors = errors;
+    }
+}
+
+const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isValidDate = (value) =>
+    typeof value === "string" &&
+    DATE_PATTERN.test(value) &&
+    !isNaN(new Date(`${value}T00:00:00Z`)) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Collects validation errors with their location in the file
+ * @private
+ */
+class Checker {
+    constructor() {
+        this.errors = [];
+    }
+
+    fail(where, message) {
+        this.errors.push(`${where} ${message}`);
+    }
+
+    keys(where, object, allowed) {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                this.fail(
+                    `${where}.${key}`,
+                    `is not a known setting. Expected one of: ${allowed.join(", ")}`,
+                );
+            }
+        }
+    }
+
+    object(where, value) {
+        if (isObject(value)) return true;
+        this.fail(where, "must be an object");
+        return false;
+    }
+
+    list(where, value, test, description) {
+        if (!Array.isArray(value)) {
+            this.fail(where, `must be a list, each item ${description}`);
+            return;
+        }
+        value.forEach((item, index) => {
+            if (!test(item)) {
+                this.fail(`${where}[${index}]`, `must be ${description}`);
+            }
+        });
+    }
+
+    oneOf(where, value, allowed) {
+        if (!allowed.includes(value)) {
+            this.fail(where, `must be one of: ${allowed.join(", ")}`);
+        }
+    }
+}
+
+function checkProfile(check, where, profile) {
+    if (!check.object(where, profile)) return;
+    check.keys(where, profile, PROFILE_KEYS);
+    if (profile.env !== undefined) {
+        if (
+            typeof profile.env !== "string" ||
+            !/^[A-Z][A-Z0-9_]*$/.test(profile.env)
+        ) {
+            check.fail(
+                `${where}.env`,
+                "must be an environment variable prefix such as SOURCE_DHIS2",
+            );
+        }
+    } else if (
+        typeof profile.url !== "string" ||
+        !/^(https?:\/\/|\$\{)/.test(profile.url)
+    ) {
+        check.fail(where, "needs an http(s) url or an env prefix");
+    }
+    for (const key of ["timeout", "retries", "maxRequestsPerSecond"]) {
+        if (
+            profile[key] !== undefined &&
+            !(typeof profile[key] === "number" && profile[key] >= 0)
+        ) {
+            check.fail(`${where}.${key}`, "must be a non-negative number");
+        }
+    }
+}
+
+function checkIdScheme(check, where, value) {
+    try {
+        parseIdSchemes(idSchemeSpec(value));
+    } catch (error) {
+        check.fail(where, error.message);
+    }
+}
+
+/**
+ * Accepts an ID scheme as a string ("CODE", "dataElement=CODE") or as an
+ * object ({dataElement: "CODE"})
+ * @private
+ */
+function idSchemeSpec(value) {
+    if (isObject(value)) {
+        return Object.entries(value)
+            .map(([key, scheme]) => `${key}=${scheme}`)
+            .join(",");
+    }
+    return value;
+}
+
+/**
+ * Checks one job, after defaults have been applied
+ * @private
+ */
+function checkJob(check, where, job, profiles) {
+    for (const key of ["source", "destination"]) {
+        if (job[key] !== undefined && !profiles[job[key]]) {
+            check.fail(
+                `${where}.${key}`,
+                `refers to unknown profile "${job[key]}". Known profiles: ${Object.keys(profiles).join(", ")}`,
+            );
+        }
+    }
+
+    if (!Array.isArray(job.datasets) || !job.datasets.length) {
+        check.fail(
+            `${where}.datasets`,
+            "must be a non-empty list of dataset UIDs",
+        );
+    } else {
+        check.list(
+            `${where}.datasets`,
+            job.datasets,
+            (id) => UID_PATTERN.test(id),
+            "a dataset UID",
+        );
+    }
+    if (job.periodType !== undefined) {
+        check.oneOf(`${where}.periodType`, job.periodType, PERIOD_TYPES);
+    }
+
+    const hasRange = job.startDate !== undefined || job.endDate !== undefined;
+    if (job.periods !== undefined) {
+        check.list(
+            `${where}.periods`,
+            job.periods,
+            (pe) => {
+                try {
+                    parsePeriod(String(pe));
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            "a DHIS2 period such as 202410 or 2024Q4",
+        );
+        if (hasRange) {
+            check.fail(where, "cannot have both periods and startDate/endDate");
+        }
+    }
+    if (hasRange) {
+        for (const key of ["startDate", "endDate"]) {
+            if (!isValidDate(job[key])) {
+                check.fail(
+                    `${where}.${key}`,
+                    "must be a date in YYYY-MM-DD format",
+                );
+            }
+        }
+        if (
+            isValidDate(job.startDate) &&
+            isValidDate(job.endDate) &&
+            job.startDate > job.endDate
+        ) {
+            check.fail(where, "startDate must be before or equal to endDate");
+        }
+    }
+
+    for (const key of [
+        "incremental",
+        "keepDeleted",
+        "registrations",
+        "approvals",
+    ]) {
+        if (job[key] !== undefined && typeof job[key] !== "boolean") {
+            check.fail(`${where}.${key}`, "must be true or false");
+        }
+    }
+    if (job.incremental && (job.periods !== undefined || hasRange)) {
+        check.fail(
+            where,
+            "incremental cannot be combined with periods or a date range",
+        );
+    }
+    if (typeof job.schedule === "string") {
+        try {
+            new CronSchedule(job.schedule);
+        } catch (error) {
+            check.fail(`${where}.schedule`, error.message);
+        }
+    } else if (job.schedule !== undefined) {
+        check.fail(
+            `${where}.schedule`,
+            'must be a cron expression such as "0 2 15 * *"',
+        );
+    }
+    if (job.initialSince !== undefined) {
+        if (!job.incremental) {
+            check.fail(`${where}.initialSince`, "requires incremental: true");
+        }
+        if (
+            !isValidDate(job.initialSince) &&
+            !/^\d+[smhd]$/.test(job.initialSince)
+        ) {
+            check.fail(
+                `${where}.initialSince`,
+                "must be a date (YYYY-MM-DD) or a duration such as 7d, 12h, 30m",
+            );
+        }
+    }
+
+    if (job.orgUnits !== undefined) {
+        check.errors.push(
+            ...OrgUnitSelector.validate(job.orgUnits, `${where}.orgUnits`),
+        );
+    }
+
+    for (const key of [
+        "batchSize",
+        "concurrency",
+        "uploads",
+        "queuedBatches",
+    ]) {
+        if (job[key] !== undefined && !isPositiveInteger(job[key])) {
+            check.fail(`${where}.${key}`, "must be a positive integer");
+        }
+    }
+    if (job.strategy !== undefined) {
+        check.oneOf(`${where}.strategy`, job.strategy, Object.keys(STRATEGIES));
+    }
+
+    if (
+        job.import !== undefined &&
+        check.object(`${where}.import`, job.import)
+    ) {
+        check.keys(`${where}.import`, job.import, IMPORT_KEYS);
+        if (job.import.idScheme !== undefined) {
+            checkIdScheme(
+                check,
+                `${where}.import.idScheme`,
+                job.import.idScheme,
+            );
+        }
+        if (job.import.format !== undefined) {
+            check.oneOf(
+                `${where}.import.format`,
+                job.import.format,
+                Object.keys(FORMATS),
+            );
+            if (job.strategy === "passthrough") {
+                check.fail(
+                    where,
+                    "the passthrough strategy imports in the export format and cannot set import.format",
+                );
+            }
+        }
+        if (job.import.importStrategy !== undefined) {
+            check.oneOf(
+                `${where}.import.importStrategy`,
+                job.import.importStrategy,
+                IMPORT_STRATEGIES,
+            );
+        }
+        for (const key of ["skipAudit", "skipExistingCheck", "dryRun"]) {
+            if (
+                job.import[key] !== undefined &&
+                typeof job.import[key] !== "boolean"
+            ) {
+                check.fail(`${where}.import.${key}`, "must be true or false");
+            }
+        }
+    }
+    if (
+        job.export !== undefined &&
+        check.object(`${where}.export`, job.export)
+    ) {
+        check.keys(`${where}.export`, job.export, ["idScheme", "format"]);
+        if (job.export.format !== undefined) {
+            check.oneOf(
+                `${where}.export.format`,
+                job.export.format,
+                Object.keys(FORMATS),
+            );
+        }
+        if (job.export.idScheme !== undefined) {
+            checkIdScheme(
+                check,
+                `${where}.export.idScheme`,
+                job.export.idScheme,
+            );
+        }
+    }
+
+    if (
+        job.mapping !== undefined &&
+        check.object(`${where}.mapping`, job.mapping)
+    ) {
+        check.keys(`${where}.mapping`, job.mapping, MAPPING_KEYS);
+        const { files, matchBy, types } = job.mapping;
+        if (files !== undefined) {
+            check.list(
+                `${where}.mapping.files`,
+                files,
+                (file) => /\.(csv|json)$/i.test(file),
+                "a .csv or .json file path",
+            );
+        }
+        if (matchBy !== undefined) {
+            check.oneOf(`${where}.mapping.matchBy`, matchBy, ["code", "name"]);
+        }
+        if (types !== undefined) {
+            check.list(
+                `${where}.mapping.types`,
+                types,
+                (type) => Boolean(MAPPING_TYPES[type]),
+                `one of ${Object.keys(MAPPING_TYPES).join(", ")}`,
+            );
+            if (matchBy === undefined) {
+                check.fail(`${where}.mapping.types`, "requires matchBy");
+            }
+        }
+        if (job.strategy === "passthrough") {
+            check.fail(
+                where,
+                "the passthrough strategy cannot apply a mapping",
+            );
+        }
+    }
+
+    if (typeof job.rules === "string") {
+        if (!/\.(json|ya?ml)$/i.test(job.rules)) {
+            check.fail(
+                `${where}.rules`,
+                "must be a .json, .yaml or .yml file path or a list of rules",
+            );
+        }
+    } else if (job.rules !== undefined) {
+        check.errors.push(
+            ...TransformRules.validate(job.rules, `${where}.rules`),
+        );
+    }
+    if (
+        job.incremental &&
+        Array.isArray(job.rules) &&
+        TransformRules.hasAggregate(job.rules)
+    ) {
+        check.fail(
+            where,
+            "incremental exports only changed values and cannot apply aggregate rules, whose sums need every combo",
+        );
+    }
+    if (job.rules !== undefined && job.strategy === "passthrough") {
+        check.fail(where, "the passthrough strategy cannot apply value rules");
+    }
+
+    if (job.assignOrgUnits !== undefined) {
+        check.oneOf(`${where}.assignOrgUnits`, job.assignOrgUnits, [
+            "propose",
+            "apply",
+        ]);
+    }
+    if (job.assignmentReport !== undefined && !job.assignOrgUnits) {
+        check.fail(`${where}.assignmentReport`, "requires assignOrgUnits");
+    }
+    if (isObject(job.preflight)) {
+        check.keys(`${where}.preflight`, job.preflight, PREFLIGHT_KEYS);
+        const { maxRejected, sample } = job.preflight;
+        if (maxRejected !== undefined) {
+            try {
+                PreflightCheck.parseThreshold(maxRejected);
+            } catch (error) {
+                check.fail(`${where}.preflight.maxRejected`, error.message);
+            }
+        }
+        if (
+            sample !== undefined &&
+            !(Number.isInteger(sample) && sample >= 0)
+        ) {
+            check.fail(
+                `${where}.preflight.sample`,
+                "must be a non-negative integer",
+            );
+        }
+    } else if (
+        job.preflight !== undefined &&
+        typeof job.preflight !== "boolean"
+    ) {
+        check.fail(
+            `${where}.preflight`,
+            "must be true, false or an object with maxRejected and sample",
+        );
+    }
+    if (job.preflightReport !== undefined && !job.preflight) {
+        check.fail(`${where}.preflightReport`, "requires preflight");
+    }
+
+    if (
+        job.aggregateUp !== undefined &&
+        check.object(`${where}.aggregateUp`, job.aggregateUp)
+    ) {
+        check.keys(`${where}.aggregateUp`, job.aggregateUp, AGGREGATE_UP_KEYS);
+        if (!isPositiveInteger(job.aggregateUp.level)) {
+            check.fail(
+                `${where}.aggregateUp.level`,
+                "must be a positive integer",
+            );
+        }
+        if (job.aggregateUp.dataElements !== undefined) {
+            check.list(
+                `${where}.aggregateUp.dataElements`,
+                job.aggregateUp.dataElements,
+                (id) => UID_PATTERN.test(id),
+                "a data element UID",
+            );
+        }
+        for (const key of AGGREGATE_UP_EXCLUDED) {
+            if (job[key] !== undefined) {
+                check.fail(
+                    `${where}.${key}`,
+                    "cannot be combined with aggregateUp",
+                );
+            }
+        }
+        for (const key of Object.keys(
+            isObject(job.orgUnits) ? job.orgUnits : {},
+        )) {
+            if (!["boundary", "exclude"].includes(key)) {
+                check.fail(
+                    `${where}.orgUnits.${key}`,
+                    "cannot be combined with aggregateUp, which selects the org units of its level",
+                );
+            }
+        }
+    }
+
+    for (const key of [
+        "conflictReport",
+        "skipReport",
+        "reconciliationReport",
+        "preflightReport",
+        "assignmentReport",
+        "completenessReport",
+    ]) {
+        if (job[key] !== undefined && !/\.(csv|json)$/i.test(job[key])) {
+            check.fail(`${where}.${key}`, "must be a .csv or .json file");
+        }
+    }
+    if (job.runId !== undefined && !NAME_PATTERN.test(job.runId)) {
+        check.fail(
+            `${where}.runId`,
+            "may only contain letters, digits, '.', '_' and '-'",
+        );
+    }
+}
+
+/**
+ * Applies the file's defaults to a job. Nested settings (orgUnits, import,
+ * export, mapping, preflight, aggregateUp) are merged one level deep
+ * @private
+ */
+function withDefaults(defaults, job) {
+    const merged = { ...defaults, ...job };
+    for (const key of [
+        "orgUnits",
+        "import",
+        "export",
+        "mapping",
+        "preflight",
+        "aggregateUp",
+    ]) {
+        if (isObject(defaults[key]) && isObject(job[key])) {
+            merged[key] = { ...defaults[key], ...job[key] };
+        }
+    }
+    return merged;
+}
+
+/**
+ * Parses and validates a job file
+ * @param {string} filePath .json, .yaml or .yml
+ * @returns {{profiles: Object<string, Object>, jobs: Object<string, Object>}} jobs with defaults applied
+ * @throws {JobFileError}
+ */
+function parseJobFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+        throw new JobFileError(filePath, [`cannot be read: ${error.message}`]);
+    }
+
+    let document;
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        if (extension === ".json") {
+            document = JSON.parse(content);
+        } else if (extension === ".yaml" || extension === ".yml") {
+            document = YAML.parse(content);
+        } else {
+            throw new Error("use a .json, .yaml or .yml file");
+        }
+    } catch (error) {
+        throw new JobFileError(filePath, [
+            `cannot be parsed: ${error.message}`,
+        ]);
+    }
+
+    const check = new Checker();
+    if (!check.object("The file", document)) {
+        throw new JobFileError(filePath, check.errors);
+    }
+    check.keys("(top level)", document, ["profiles", "defaults", "jobs"]);
+
+    const profiles = { ...DEFAULT_PROFILES };
+    if (
+        document.profiles !== undefined &&
+        check.object("profiles", document.profiles)
+    ) {
+        for (const [name, profile] of Object.entries(document.profiles)) {
+            checkProfile(check, `profiles.${name}`, profile);
+            profiles[name] = profile;
+        }
+    }
+    const defaults = document.defaults ?? {};
+    if (check.object("defaults", defaults)) {
+        check.keys("defaults", defaults, JOB_KEYS);
+    }
+
+    const jobs = {};
+    if (!isObject(document.jobs) || !Object.keys(document.jobs).length) {
+        check.fail("jobs", "must map job names to job settings");
+    } else {
+        for (const [name, job] of Object.entries(document.jobs)) {
+            const where = `jobs.${name}`;
+            if (!NAME_PATTERN.test(name)) {
+                check.fail(
+                    where,
+                    "name may only contain letters, digits, '.', '_' and '-'",
+                );
+            }
+            if (!check.object(where, job)) continue;
+            check.keys(where, job, JOB_KEYS);
+            jobs[name] = withDefaults(isObject(defaults) ? defaults : {}, job);
+            checkJob(check, where, jobs[name], profiles);
+        }
+    }
+    if (check.errors.length) throw new JobFileError(filePath, check.errors);
+    return { profiles, jobs };
+}
+
+/**
+ * Builds the connection settings of a profile. Values of the form ${NAME}
+ * are read from the environment so that passwords stay out of the file
+ * @private
+ */
+function profileConfig(name, profile) {
+    if (profile.env) return instanceConfig(profile.env);
+    const config = {};
+    for (const [key, value] of Object.entries(profile)) {
+        config[key] =
+            typeof value === "string"
+                ? value.replace(/\$\{(\w+)\}/g, (match, variable) => {
+                      if (process.env[variable] === undefined) {
+                          throw new Error(
+                              `Profile ${name} uses ${variable}, which is not set`,
+                          );
+                      }
+                      return process.env[variable];
+                  })
+                : value;
+    }
+    return config;
+}
+
+/**
+ * Converts a validated job into the transfer settings produced by the
+ * command line, plus its name and connection settings
+ * @private
+ */
+function jobSettings(name, job, profiles, dataSetPeriods, now) {
+    const periods = (job.periods || []).map(String);
+    const withoutPeriods = datasetsWithoutPeriods(
+        job.datasets,
+        periods,
+        (id) => dataSetPeriods.get(id) || job.periodType,
+    );
+    if (periods.length && withoutPeriods.length) {
+        throw new Error(
+            withoutPeriods
+                .map(
+                    ({ id, type }) =>
+                        `dataset ${id} is ${type}, but periods has no ${type} period`,
+                )
+                .join("; "),
+        );
+    }
+    if (!periods.length && !job.startDate && !job.incremental) {
+        // Like the command line, default to the last complete period
+        const types = new Set(
+            job.datasets.map(
+                (id) => dataSetPeriods.get(id) || job.periodType || "quarterly",
+            ),
+        );
+        for (const type of types) periods.push(previousPeriod(type, now).id);
+    }
+    const {
+        idScheme: importIdScheme,
+        format: importFormat,
+        dryRun,
+        ...importOptions
+    } = job.import || {};
+    let initialSince;
+    if (job.initialSince !== undefined) {
+        initialSince = isValidDate(job.initialSince)
+            ? { lastUpdated: job.initialSince }
+            : { lastUpdatedDuration: job.initialSince };
+    }
+    let preflight = null;
+    if (job.preflight) {
+        const { maxRejected, sample } = isObject(job.preflight)
+            ? job.preflight
+            : {};
+        preflight = {
+            ...(maxRejected !== undefined && {
+                maxRejected: PreflightCheck.parseThreshold(maxRejected),
+            }),
+            ...(sample !== undefined && { sample }),
+        };
+    }
+    const sourceProfile = job.source || "source";
+    const destinationProfile = job.destination || "destination";
+
+    return {
+        name,
+        description: job.description,
+        schedule: job.schedule,
+        source: profileConfig(sourceProfile, profiles[sourceProfile]),
+        dest: profileConfig(destinationProfile, profiles[destinationProfile]),
+        datasets: [...new Set(job.datasets)],
+        periodType: job.periodType,
+        startDate: job.startDate,
+        endDate: job.endDate,
+        periods,
+        orgUnits: job.orgUnits || {},
+        batchSize: job.batchSize,
+        concurrency: job.concurrency,
+        uploads: job.uploads,
+        queuedBatches: job.queuedBatches,
+        strategy: job.strategy,
+        exportFormat: job.export?.format,
+        importFormat,
+        incremental: Boolean(job.incremental),
+        keepDeleted: Boolean(job.keepDeleted),
+        skipRegistrations: job.registrations === false,
+        approvals: Boolean(job.approvals),
+        completenessReport: job.completenessReport,
+        initialSince,
+        syncState: job.syncState,
+        dryRun: Boolean(dryRun),
+        runId: job.runId,
+        conflictReport: job.conflictReport,
+        mappingFiles: job.mapping?.files || [],
+        mapBy: job.mapping?.matchBy,
+        mapTypes: job.mapping?.types,
+        skipReport: job.skipReport,
+        rules: job.rules,
+        reconciliationReport: job.reconciliationReport,
+        assignOrgUnits: job.assignOrgUnits,
+        assignmentReport: job.assignmentReport,
+        preflight,
+        preflightReport: job.preflightReport,
+        aggregateUp: job.aggregateUp && {
+            level: job.aggregateUp.level,
+            dataElements: [...new Set(job.aggregateUp.dataElements || [])],
+        },
+        exportIdSchemes: parseIdSchemes(idSchemeSpec(job.export?.idScheme)),
+        importIdSchemes: parseIdSchemes(idSchemeSpec(importIdScheme)),
+        importOptions,
+    };
+}
+
+/**
+ * Loads a job file and returns the settings of the selected jobs, in file
+ * order. Connection profiles are resolved here, so missing credentials are
+ * reported before any job starts
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string[]} [options.names] jobs to run, default all
+ * @param {Map<string, string>} [options.dataSetPeriods] period type of each known dataset
+ * @param {Date} [options.now] the time jobs without periods take the last
+ *   complete period before, e.g. when their schedule fired
+ * @returns {Object[]}
+ * @throws {JobFileError}
+ */
+function loadJobs(
+    filePath,
+    { names = [], dataSetPeriods = new Map(), now = new Date() } = {},
+) {
+    const { profiles, jobs } = parseJobFile(filePath);
+    const unknown = names.filter((name) => !jobs[name]);
+    if (unknown.length) {
+        throw new JobFileError(filePath, [
+            `has no job named ${unknown.join(", ")}. Jobs: ${Object.keys(jobs).join(", ")}`,
+        ]);
+    }
+    const selected = names.length
+        ? Object.keys(jobs).filter((name) => names.includes(name))
+        : Object.keys(jobs);
+    const errors = [];
+    const settings = [];
+    for (const name of selected) {
+        try {
+            settings.push(
+                jobSettings(name, jobs[name], profiles, dataSetPeriods, now),
+            );
+        } catch (error) {
+            errors.push(`jobs.${name}: ${error.message}`);
+        }
+    }
+    if (errors.length) throw new JobFileError(filePath, errors);
+    return settings;
+}
+
+module.exports = { loadJobs, parseJobFile, JobFileError };
@@ -0,0 +1,47 @@
+const LEVELS = ["error", "warn", "info", "debug"];
+
+/**
+ * Creates a logger writing timestamped lines to the console. Messages below
+ * the level (LOG_LEVEL, default info) are dropped
+ * @param {Object} [options]
+ * @param {string} [options.level] error, warn, info or debug
+ * @param {string} [options.prefix] added to every line, e.g. a run ID
+ */
+function createLogger({
+    level = process.env.LOG_LEVEL || "info",
+    prefix = "",
+} = {}) {
+    const threshold = LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(
+            `Invalid log level "${level}". Expected one of: ${LEVELS.join(", ")}`,
+        );
+    }
+
+    const write = (name, args) => {
+        if (LEVELS.indexOf(name) > threshold) return;
+        const line = [
+            new Date().toISOString(),
+            name.toUpperCase().padEnd(5),
+            ...(prefix ? [`[${prefix}]`] : []),
+        ].join(" ");
+        const output =
+            name === "error" || name === "warn" ? console.error : console.log;
+        output(line, ...args);
+    };
+
+    return {
+        level,
+        error: (...args) => write("error", args),
+        warn: (...args) => write("warn", args),
+        info: (...args) => write("info", args),
+        debug: (...args) => write("debug", args),
+        child: (childPrefix) =>
+            createLogger({
+                level,
+                prefix: prefix ? `${prefix}:${childPrefix}` : childPrefix,
+            }),
+    };
+}
+
+module.exports = { createLogger, logger: createLogger() };
@@ -1,9 +1,32 @@
-const axios = require("axios");
-const dotenv = require("dotenv");
-const { chunk, orderBy, uniqBy, uniq } = require("lodash");
-const Papa = require("papaparse");
-
-dotenv.config();
+const path = require("path");
+const { orderBy, uniq } = require("lodash");
+const { pipeline } = require("stream/promises");
+const { parseCliArgs, UsageError, USAGE } = require("./cli");
+const { loadConfig } = require("./config");
+const { loadJobs } = require("./jobs");
+const { logger } = require("./logger");
+const { createClient } = require("./http");
+const { parsePeriod, periodsInRange } = require("./periods");
+const CheckpointJournal = require("./checkpoint");
+const SyncState = require("./syncState");
+const ImportJobTracker = require("./jobTracker");
+const { ConflictReport, conflictsFromError } = require("./conflictReport");
+const { MetadataMapping, SkipReport } = require("./mapping");
+const { TransformRules } = require("./rules");
+const { ID_SCHEME_PARAMS, schemeFor } = require("./idSchemes");
+const { createStrategy, UnitResult } = require("./strategies");
+const { createFormat } = require("./formats");
+const OrgUnitSelector = require("./orgUnitSelector");
+const { WorkPool, InterruptedError } = require("./workPool");
+const { Reconciler, ReconciliationReport } = require("./reconcile");
+const { PreflightCheck, PreflightReport } = require("./preflight");
+const { OrgUnitAssignments, AssignmentReport } = require("./assignments");
+const { CompletenessTransfer, CompletenessReport } = require("./completeness");
+const AnalyticsAggregation = require("./aggregate");
+const DataArchive = require("./archive");
+const JobLock = require("./jobLock");
+const RunHistory = require("./runHistory");
+const Scheduler = require("./scheduler");
 
 const dataSetPeriods = new Map();
 dataSetPeriods.set("onFoQ4ko74y", "quarterly");
@@ -24,34 +47,109 @@ class DHIS2DataTransfer {
      * @property {string} url
      * @property {string} username
      * @property {string} password
+     * @property {number} [timeout] request timeout in milliseconds
+     * @property {number} [retries] retries for network errors, 429 and 5xx
+     * @property {number} [maxRequestsPerSecond] request rate cap for the server
      */
 
     /**
-     * @param {DHISConfig} sourceConfig
-     * @param {DHISConfig} destConfig
+     * @param {DHISConfig|null} sourceConfig null when only importing an archive
+     * @param {DHISConfig|null} destConfig null when only exporting to an archive
      * @param {number} [batchSize=1000]
+     * @param {Object} [options]
+     * @param {number} [options.pollInterval] milliseconds between import job polls
+     * @param {number} [options.jobTimeout] milliseconds to wait for an import job
+     * @param {ConflictReport} [options.conflictReport] receives every import conflict
+     * @param {MetadataMapping} [options.mapping] translates identifiers to the destination
+     * @param {TransformRules} [options.rules] filter, map, rename and aggregate values before
+     *   they are mapped
+     * @param {SkipReport} [options.skipReport] receives data values that could not be mapped
+     * @param {Object<string, string>} [options.sourceIdSchemes] idScheme, dataElementIdScheme,
+     *   orgUnitIdScheme, categoryOptionComboIdScheme and attributeOptionComboIdScheme for the export
+     * @param {Object<string, string>} [options.destIdSchemes] the same schemes for the import
+     * @param {boolean} [options.dryRun=false] validate imports on the destination without saving
+     * @param {string|import("./strategies").TransferStrategy} [options.strategy="streaming"] streaming,
+     *   buffered, file-staged or passthrough
+     * @param {number} [options.concurrency=1] org units downloaded from the source in parallel
+     * @param {number} [options.uploads=concurrency] imports in flight on the destination at once
+     * @param {number} [options.queuedBatches=uploads] batches held waiting for an import
+     *   before downloads pause
+     * @param {AbortSignal} [options.signal] stops the transfer gracefully when aborted:
+     *   in-flight imports finish and unfinished units are left for --resume
+     * @param {Object} [options.logger] logger from ./logger, e.g. a child logger per run
+     * @param {Object} [options.importOptions] extra import parameters: importStrategy,
+     *   skipAudit and skipExistingCheck
+     * @param {boolean} [options.propagateDeletions=true] export values deleted on the source
+     *   and delete them on the destination
+     * @param {string|import("./formats").PayloadFormat} [options.exportFormat="csv"] payload
+     *   format of source exports: csv, json, dxf2 or adx
+     * @param {string|import("./formats").PayloadFormat} [options.importFormat="json"] payload
+     *   format of destination imports; the passthrough strategy imports in the export format
+     * @param {boolean} [options.registrations=true] copy the complete dataset registrations
+     *   of each transferred org unit and period
+     * @param {boolean} [options.approvals=false] copy their data approval states as well
+     * @param {CompletenessReport} [options.completenessReport] receives the registrations and
+     *   approvals the destination refused
+     * @param {{level: number, dataElements?: string[]}} [options.aggregateUp] transfer the
+     *   source's analytics totals of the org units at this level, within the boundary and
+     *   exclusions of the org unit selection, instead of raw values
      */
     constructor(
         sourceConfig,
         destConfig,
         batchSize = DHIS2DataTransfer.DEFAULT_BATCH_SIZE,
+        options = {},
     ) {
         this.batchSize = batchSize;
-        this.sourceApi = this.createAxiosInstance(sourceConfig, true);
-        this.destApi = this.createAxiosInstance(destConfig);
+        this.sourceApi = sourceConfig
+            ? this.createAxiosInstance(sourceConfig, true)
+            : null;
+        this.destApi = destConfig ? this.createAxiosInstance(destConfig) : null;
+        this.jobTracker = new ImportJobTracker(this.destApi, {
+            pollInterval: options.pollInterval,
+            timeout: options.jobTimeout,
+        });
+        this.conflictReport = options.conflictReport || null;
+        this.mapping = options.mapping || null;
+        this.rules = options.rules || null;
+        this.skipReport = options.skipReport || null;
+        this.sourceIdSchemes = options.sourceIdSchemes || {};
+        this.destIdSchemes = options.destIdSchemes || {};
+        this.dryRun = Boolean(options.dryRun);
+        this.importOptions = options.importOptions || {};
+        this.propagateDeletions = options.propagateDeletions !== false;
+        this.concurrency = options.concurrency || 1;
+        this.pool = new WorkPool({
+            downloads: this.concurrency,
+            uploads: options.uploads || this.concurrency,
+            queuedBatches: options.queuedBatches,
+            signal: options.signal,
+        });
+        this.logger = options.logger || logger;
+        this.exportFormat = createFormat(options.exportFormat || "csv");
+        this.importFormat = createFormat(options.importFormat || "json");
+        this.strategy = createStrategy(options.strategy || "streaming", this);
+        const registrations = options.registrations !== false;
+        this.completeness =
+            registrations || options.approvals
+                ? new CompletenessTransfer(this, {
+                      registrations,
+                      approvals: Boolean(options.approvals),
+                      report: options.completenessReport,
+                  })
+                : null;
+        this.aggregation = options.aggregateUp
+            ? new AnalyticsAggregation(this, options.aggregateUp)
+            : null;
     }
 
     /**
-     * Creates an axios instance with DHIS2 configuration
+     * Creates an axios instance with DHIS2 configuration, retries and
+     * rate limiting
      * @private
      */
     createAxiosInstance(config, isSource = false) {
-        return axios.create({
-            baseURL: config.url.replace(/\/$/, ""),
-            auth: {
-                username: config.username,
-                password: config.password,
-            },
+        return createClient(config, {
             responseType: isSource ? "text" : "json",
             headers: {
                 Accept: isSource ? "text/csv" : "application/json",
@@ -61,190 +159,239 @@ class DHIS2DataTransfer {
     }
 
     /**
-     * Fetches organisation units from both levels
-     * @private
+     * Fetches the org units assigned to each dataset
+     * @param {string[]} dataSets
+     * @param {import("axios").AxiosInstance} [api=this.destApi] the instance to read
+     * @returns {Promise<{id: string, name: string, organisationUnits: {id: string, name: string}[]}[]>}
      */
-    async fetchOrgUnits(level, fields) {
-        const url = `/api/organisationUnits.json`;
-        const params = {
-            fields,
-            paging: false,
-            level,
-            filter: `name:in:[Adjumani District,Alebtong District,Amolatar District,Amudat District,Amuria District,Amuru District,Apac District,Bukwo District,Bulambuli District,Busia District,Butambala District,Butebo District,Kyenjojo District,Kyotera District,Lamwo District,Mpigi District]`,
-        };
-
-        try {
-            const { data } = await this.destApi.get(url, { params });
-            return data.organisationUnits;
-        } catch (error) {
-            console.log(
-                `Failed to fetch level ${level} organization units: ${error.message}`,
-            );
-        }
-    }
-    async fetchDataElements(dataSets) {
-        console.log("Fetching data elements...");
+    async fetchDataSetUnits(dataSets, api = this.destApi) {
+        this.logger.info("Fetching data sets units...");
         const url = `/api/dataSets.json`;
         const params = {
-            fields: "id,dataSetElements[dataElement[id,name]],organisationUnits[id,name]",
+            fields: "id,name,organisationUnits[id,name]",
             paging: false,
             filter: `id:in:[${dataSets.join(",")}]`,
         };
-        let organisationUnits = [];
-        let dataElements = [];
-        try {
-            const { data } = await this.destApi.get(url, { params });
-            data.dataSets.forEach((ds) => {
-                dataElements = dataElements.concat(
-                    ds.dataSetElements.map((de) => de.dataElement.id),
-                );
-                organisationUnits = organisationUnits.concat(
-                    ds.organisationUnits,
-                );
-            });
-        } catch (error) {
-            console.log(
-                `Failed to fetch level ${level} organization units: ${error.message}`,
-            );
-        }
-        return {
-            organisationUnits: uniqBy(organisationUnits, "id"),
-            dataElements: uniq(dataElements),
-        };
-    }
-    async fetchDataSetUnits() {
-        console.log("Fetching data sets units...");
-        const url = `/api/dataSets.json`;
-        const params = {
-            fields: "organisationUnits[id,name]",
-            paging: false,
-            filter: `id:in:[onFoQ4ko74y,RtEYsASU7PG,ic1BSWhGOso,nGkMm2VBT4G,VDhwrW9DiC1,quMWqLxzcfO,dFRD2A5fdvn,DFMoIONIalm,EBqVAQRmiPm]`,
-        };
-
-        try {
-            const { data } = await this.destApi.get(url, { params });
-            return data.dataSets.flatMap((ds) => ds.organisationUnits);
-        } catch (error) {
-            console.log(
-                `Failed to fetch datasets organization units: ${error.message}`,
-            );
-        }
+        const { data } = await api.get(url, {
+            params,
+            responseType: "json",
+            headers: { Accept: "application/json" },
+        });
+        return data.dataSets;
     }
 
     /**
-     * Gets combined organisation units
+     * Processes a batch of data values, waiting for the import job to
+     * finish so that the result carries the final ImportSummary counts
+     * @private
+     * @returns {Promise<{dataValues: number, status?: string, importCount?: Object, conflicts?: Object[], error?: string}>}
      */
-    async getOrganisations() {
-        try {
-            console.log("Fetching organisation units...");
-            const units = await Promise.all([this.fetchOrgUnits(3, "id,name")]);
-            return units;
-        } catch (error) {
-            console.error("Failed to fetch organization units:", error.message);
-        }
+    async processDataValuesBatch(dataValues) {
+        if (!dataValues.length) return { dataValues: 0 };
+        return this.importPayload(this.importFormat.serialize(dataValues), {
+            dataValues,
+            contentType: this.importFormat.contentType,
+        });
     }
 
     /**
-     * Processes a batch of data values
+     * Deletes a batch of data values on the destination, in an import of
+     * its own with importStrategy=DELETE
      * @private
+     * @returns {Promise<{dataValues: number, status?: string, importCount?: Object, conflicts?: Object[], error?: string}>}
      */
-    async processDataValuesBatch(dataValues) {
-        console.log(`Importing ${dataValues.length} data values...`);
-        if (!dataValues.length) return { imported: 0 };
+    async processDeletionsBatch(dataValues) {
+        if (!dataValues.length) return { dataValues: 0 };
+        return this.importPayload(this.importFormat.serialize(dataValues), {
+            dataValues,
+            contentType: this.importFormat.contentType,
+            importStrategy: "DELETE",
+        });
+    }
 
+    /**
+     * Posts an import payload to the destination and follows its job
+     * @param {Object|string} payload JSON body or serialized payload
+     * @param {Object} options
+     * @param {Object[]} options.dataValues the payload's data values, to match conflicts against
+     * @param {string} [options.contentType="application/json"]
+     * @param {string} [options.importStrategy] overrides the transfer's import strategy
+     * @returns {Promise<{dataValues: number, status?: string, importCount?: Object, conflicts?: Object[], error?: string}>}
+     */
+    async importPayload(
+        payload,
+        { dataValues, contentType = "application/json", importStrategy },
+    ) {
+        this.logger.info(
+            `${importStrategy === "DELETE" ? "Deleting" : "Importing"} ${dataValues.length} data values...`,
+        );
         try {
             const { data } = await this.destApi.post(
                 "/api/dataValueSets",
-                { dataValues },
+                payload,
                 {
-                    headers: { "Content-Type": "application/json" },
-                    params: { async: true },
+                    headers: { "Content-Type": contentType },
+                    params: {
+                        ...this.importOptions,
+                        ...(importStrategy && { importStrategy }),
+                        ...this.destIdSchemes,
+                        dryRun: this.dryRun,
+                        async: true,
+                    },
                 },
             );
-            console.log(JSON.stringify(data));
+            const result = await this.jobTracker.track(data);
+            this.conflictReport?.add(result.conflicts, dataValues);
+            this.logger.info(
+                `${this.dryRun ? "Dry-run import" : "Import"} ${result.status}: ${ImportJobTracker.format(
+                    {
+                        ...result.importCount,
+                        conflicts: result.conflicts,
+                    },
+                )}`,
+            );
+            return {
+                dataValues: dataValues.length,
+                ...result,
+                error:
+                    result.status === "ERROR"
+                        ? result.description || "Import failed"
+                        : undefined,
+            };
         } catch (error) {
-            console.log(error.response.data);
-            console.log(error.message);
+            const conflicts = conflictsFromError(error);
+            this.conflictReport?.add(conflicts, dataValues);
+            this.logger.error(
+                `Import request failed: ${error.message}${
+                    conflicts.length ? ` (${conflicts.length} conflicts)` : ""
+                }`,
+            );
+            return {
+                dataValues: dataValues.length,
+                conflicts,
+                error: error.message,
+            };
         }
     }
 
     /**
-     * Downloads and processes CSV data for an organization unit
-     * @private
+     * Builds the /api/dataValueSets export query for an org unit and range
+     * @param {string[]} datasets
+     * @param {string} orgUnitId
+     * @param {{startDate?: string, endDate?: string, periods?: string[], lastUpdated?: string, lastUpdatedDuration?: string}} range
+     * @param {Object<string, string>} idSchemes
+     * @returns {{query: URLSearchParams, label: string}} the query and a description of the range
      */
-    async downloadCSV(
+    exportQuery(
         datasets,
-        orgUnit,
-        startDate,
-        endDate,
-        current,
-        total,
+        orgUnitId,
+        { startDate, endDate, periods = [], lastUpdated, lastUpdatedDuration },
+        idSchemes,
     ) {
-        const params = new URLSearchParams({
-            orgUnit: orgUnit.id,
-            startDate,
-            endDate,
-        });
-        datasets.forEach((id) => params.append("dataSet", id));
+        const query = new URLSearchParams({ orgUnit: orgUnitId });
+        if (periods.length) {
+            periods.forEach((pe) => query.append("period", pe));
+        } else if (startDate) {
+            query.append("startDate", startDate);
+            query.append("endDate", endDate);
+        }
+        if (lastUpdated) query.append("lastUpdated", lastUpdated);
+        if (lastUpdatedDuration) {
+            query.append("lastUpdatedDuration", lastUpdatedDuration);
+        }
+        datasets.forEach((id) => query.append("dataSet", id));
+        for (const [param, scheme] of Object.entries(idSchemes)) {
+            if (param in ID_SCHEME_PARAMS) query.append(param, scheme);
+        }
+        const label = periods.length
+            ? periods.join(",")
+            : startDate
+              ? `${startDate} to ${endDate}`
+              : `changes since ${lastUpdated || lastUpdatedDuration}`;
+        return { query, label };
+    }
 
-        console.log(
-            `Downloading data for ${orgUnit.name} (${current}/${total})...`,
-        );
+    /**
+     * Identifier of an org unit on the source. Org units are usually
+     * selected on the destination, so the source is queried by the
+     * identifier mapped to them
+     * @param {{id: string, sourceId?: string}} orgUnit
+     * @returns {string}
+     */
+    sourceOrgUnitId(orgUnit) {
+        if (orgUnit.sourceId) return orgUnit.sourceId;
+        return this.mapping
+            ? this.mapping.sourceIdFor("orgUnit", orgUnit.id)
+            : orgUnit.id;
+    }
+
+    /**
+     * Identifier of an org unit on the destination
+     * @param {{id: string, sourceId?: string}} orgUnit
+     * @returns {string}
+     */
+    destinationOrgUnitId(orgUnit) {
+        if (!orgUnit.sourceId || !this.mapping) return orgUnit.id;
+        return this.mapping.destinationIdFor("orgUnit", orgUnit.id);
+    }
 
-        const { data: csvData } = await this.sourceApi.get(
-            `/api/dataValueSets.csv?${params.toString()}`,
+    /**
+     * Downloads the data of an organization unit and imports it with the
+     * transfer's strategy
+     * @private
+     */
+    async downloadCSV(datasets, orgUnit, range, current, total) {
+        const { query, label } = this.exportQuery(
+            datasets,
+            this.sourceOrgUnitId(orgUnit),
+            range,
+            this.sourceIdSchemes,
         );
-        console.log(
-            `Finished Downloading data for ${orgUnit.name} (${current}/${total})...`,
+        if (this.propagateDeletions) query.append("includeDeleted", "true");
+        this.exportFormat.exportQuery(query);
+        this.logger.info(
+            `Transferring ${label} data for ${orgUnit.name} (${current}/${total})...`,
         );
-
-        return new Promise((resolve, reject) => {
-            const dataValues = [];
-
-            Papa.parse(csvData, {
-                header: true,
-                skipEmptyLines: true,
-                transform: (value) => value.trim(),
-                step: ({ data }) => {
-                    if (this.isValidDataValue(data)) {
-                        dataValues.push(this.normalizeDataValue(data));
-                    }
-                },
-                complete: async () => {
-                    try {
-                        const batches = chunk(dataValues, this.batchSize);
-                        for (const batch of batches) {
-                            await this.processDataValuesBatch(batch);
-                        }
-                        resolve({
-                            processed: true,
-                        });
-                    } catch (error) {
-                        reject(error);
-                    }
-                },
-                error: reject,
-            });
-        });
+        const result = await this.strategy.run({ datasets, orgUnit, query });
+        this.logger.info(
+            `Finished ${label} data for ${orgUnit.name} (${current}/${total}): ${result.count} data values${
+                result.deleted ? `, ${result.deleted} deleted` : ""
+            }`,
+        );
+        return result;
     }
 
     /**
-     * Validates data value row
+     * Validates data value row. Category and attribute option combos may be
+     * empty when exported by code or name, as DHIS2 leaves the cell empty
+     * for the default combo when it has no code; the import then applies
+     * the default
      * @private
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {boolean} [options.deleted=false] validate a deleted row, which
+     *   needs no value, instead of a live one
      */
+    isValidDataValue(data, { deleted = false } = {}) {
+        if (this.isDeletedDataValue(data) !== deleted) return false;
+        const required = ["dataelement", "period", "orgunit"];
+        if (!deleted) required.push("value");
+        if (schemeFor(this.sourceIdSchemes, "categoryOptionCombo") === "UID") {
+            required.push("categoryoptioncombo");
+        }
+        if (schemeFor(this.sourceIdSchemes, "attributeOptionCombo") === "UID") {
+            required.push("attributeoptioncombo");
+        }
+        return required.every((field) => Boolean(data[field]?.trim()));
+    }
+
     /**
-     * Validates data value row
+     * Whether a row is a value deleted on the source, as exported with
+     * includeDeleted
      * @private
      */
-    isValidDataValue(data) {
-        return [
-            "dataelement",
-            "period",
-            "orgunit",
-            "value",
-            "categoryoptioncombo",
-            "attributeoptioncombo",
-        ].every((field) => Boolean(data[field]?.trim()));
+    isDeletedDataValue(data) {
+        return data.deleted?.trim().toLowerCase() === "true";
     }
 
     /**
@@ -252,7 +399,7 @@ class DHIS2DataTransfer {
      * @private
      */
     normalizeDataValue(data) {
-        return {
+        const dataValue = {
             dataElement: data.dataelement,
             period: data.period,
             orgUnit: data.orgunit,
@@ -264,77 +411,1553 @@ class DHIS2DataTransfer {
             comment: data.comment,
             followup: data.followup,
         };
+        // Leave out empty combos so that the destination applies its default
+        if (!dataValue.categoryOptionCombo) {
+            delete dataValue.categoryOptionCombo;
+        }
+        if (!dataValue.attributeOptionCombo) {
+            delete dataValue.attributeOptionCombo;
+        }
+        return dataValue;
     }
 
     /**
-     * Transfers data between DHIS2 instances
+     * Resolves the org units to transfer and logs a preview of them
+     * @private
+     * @param {string[]} datasets
+     * @param {Object} [options]
+     * @param {import("./orgUnitSelector").OrgUnitSelection|string[]} [options.orgUnits]
+     *   selection, or a list of org unit UIDs
+     * @param {number} [options.level] shorthand for a selection of one level
      */
-    async transferData(datasets, startDate, endDate) {
+    async resolveOrgUnits(datasets, { orgUnits = {}, level } = {}) {
+        const selection = Array.isArray(orgUnits)
+            ? { ids: orgUnits }
+            : { ...orgUnits };
+        if (level && !selection.levels) selection.levels = [level];
+        // An export to an archive may run without a destination
+        if (!this.destApi && !selection.from) selection.from = "source";
+        const selector = new OrgUnitSelector(selection);
+        if (!(selector.from === "source" ? this.sourceApi : this.destApi)) {
+            throw new Error(
+                `Org units are selected on the ${selector.from}, which is not configured`,
+            );
+        }
+        const units = await selector.resolve(
+            { source: this.sourceApi, destination: this.destApi },
+            { dataSets: datasets },
+        );
+        selector.preview(units, this.logger);
+        // Source org units need no mapping to query the source
+        return selector.from === "source"
+            ? units.map((ou) => ({ ...ou, sourceId: ou.id }))
+            : units;
+    }
+
+    /**
+     * Groups datasets by their period type from dataSetPeriods. Datasets
+     * of unknown type fall back to the given type, or are grouped under null
+     * @private
+     */
+    groupDataSetsByPeriodType(datasets, fallbackType = null) {
+        const groups = new Map();
+        for (const id of datasets) {
+            const type = dataSetPeriods.get(id) || fallbackType;
+            groups.set(type, [...(groups.get(type) || []), id]);
+        }
+        return groups;
+    }
+
+    /**
+     * Lists the fetches needed for datasets of one period type: one per
+     * period, or a single date-range fetch when the type is unknown
+     * @private
+     */
+    periodSelections(periodType, startDate, endDate, periods = []) {
+        if (periods.length) {
+            return periods
+                .filter(
+                    (pe) => !periodType || parsePeriod(pe).type === periodType,
+                )
+                .map((pe) => ({ key: pe, periods: [pe] }));
+        }
+        if (!periodType) {
+            return [{ key: `${startDate} to ${endDate}`, startDate, endDate }];
+        }
+        return periodsInRange(periodType, startDate, endDate).map(({ id }) => ({
+            key: id,
+            periods: [id],
+        }));
+    }
+
+    /**
+     * Works out the lastUpdated filter for an incremental fetch
+     * @private
+     */
+    incrementalRange(syncState, datasets, orgUnit, { initialSince }) {
+        const lastUpdated = syncState.since(datasets, orgUnit.id);
+        if (lastUpdated) return { lastUpdated };
+        if (initialSince) return initialSince;
+        throw new Error(
+            "No previous sync recorded; pass --initial-since for the first incremental run",
+        );
+    }
+
+    /**
+     * Lists the fetches needed per org unit: one per period type and
+     * period, or a single fetch of all changes in incremental mode
+     * @private
+     * @returns {{key: string, datasets: string[], periods?: string[], startDate?: string, endDate?: string}[]}
+     */
+    planFetches(datasets, startDate, endDate, options) {
+        if (options.syncState) {
+            // Incremental runs request every change since the last sync,
+            // whatever its period, so all datasets are fetched together
+            return [{ key: "changes since last sync", datasets }];
+        }
+        const fetches = [];
+        for (const [type, ids] of this.groupDataSetsByPeriodType(
+            datasets,
+            options.periodType,
+        )) {
+            for (const selection of this.periodSelections(
+                type,
+                startDate,
+                endDate,
+                options.periods,
+            )) {
+                fetches.push({ ...selection, datasets: ids });
+            }
+        }
+        return fetches;
+    }
+
+    /**
+     * Transfers data between DHIS2 instances, one fetch per org unit and
+     * period so that a single failed period can be re-run on its own
+     * @param {string[]} datasets
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options]
+     * @param {string[]} [options.periods] periods to transfer instead of the date range
+     * @param {string} [options.periodType] period type of datasets missing from dataSetPeriods
+     * @param {import("./orgUnitSelector").OrgUnitSelection|string[]} [options.orgUnits] org units
+     *   to transfer, default those assigned to the datasets on the destination
+     * @param {number} [options.level] transfer all org units at this level
+     * @param {CheckpointJournal} [options.journal] records unit progress and skips completed units
+     * @param {SyncState} [options.syncState] enables incremental mode: only values changed since the
+     *   last sync of each dataset and org unit are transferred
+     * @param {{lastUpdated?: string, lastUpdatedDuration?: string}} [options.initialSince] where to
+     *   start incremental mode for datasets and org units that have never been synced
+     * @returns {Promise<{periods: Object<string, {dataSets: string[], orgUnits: number, dataValues: number, deleted: number, failed: number, skipped: number, unmapped: number, registrations: number, approvals: number}>, errors: Object[], totals: Object, interrupted: number}>}
+     */
+    async transferData(datasets, startDate, endDate, options = {}) {
         try {
-            const { organisationUnits } =
-                await this.fetchDataElements(datasets);
-            let errors = [];
-            for (const [index, orgUnit] of organisationUnits.entries()) {
+            this.strategy.check();
+            await this.aggregation?.prepare(datasets);
+            const organisationUnits = await this.resolveOrgUnits(
+                datasets,
+                this.aggregation
+                    ? {
+                          orgUnits: this.aggregation.selection(
+                              options.orgUnits,
+                          ),
+                      }
+                    : options,
+            );
+            const { syncState } = options;
+            const fetches = this.planFetches(
+                datasets,
+                startDate,
+                endDate,
+                options,
+            );
+
+            const periods = {};
+            for (const { key, datasets: ids } of fetches) {
+                periods[key] = periods[key] || {
+                    dataSets: [],
+                    orgUnits: 0,
+                    dataValues: 0,
+                    deleted: 0,
+                    failed: 0,
+                    skipped: 0,
+                    unmapped: 0,
+                    registrations: 0,
+                    approvals: 0,
+                };
+                periods[key].dataSets.push(...ids);
+            }
+
+            const { journal } = options;
+            const units = [];
+            for (const orgUnit of organisationUnits) {
+                for (const { datasets: ids, ...selection } of fetches) {
+                    const statuses = journal
+                        ? ids.map((id) =>
+                              journal.status(orgUnit.id, id, selection.key),
+                          )
+                        : [];
+                    const pending = ids.filter(
+                        (id, i) => statuses[i] !== "completed",
+                    );
+                    if (!pending.length) {
+                        periods[selection.key].skipped++;
+                        continue;
+                    }
+                    units.push({
+                        orgUnit,
+                        selection,
+                        datasets: pending,
+                        retry: statuses.includes("failed"),
+                    });
+                }
+            }
+            // Retry units that failed in an earlier attempt first
+            units.sort((a, b) => b.retry - a.retry);
+            if (journal) {
+                const skipped = Object.values(periods).reduce(
+                    (sum, { skipped }) => sum + skipped,
+                    0,
+                );
+                this.logger.info(
+                    `Run ${journal.runId}: ${units.length} units to transfer (${units.filter((u) => u.retry).length} retries), ${skipped} already completed`,
+                );
+            }
+
+            const errors = [];
+            let interrupted = 0;
+            const transferUnit = async (unit, index) => {
+                const { orgUnit, selection, datasets: ids } = unit;
+                const summary = periods[selection.key];
+                journal?.record("pending", orgUnit.id, ids, selection.key);
                 try {
-                    await this.downloadCSV(
-                        datasets,
+                    const range = syncState
+                        ? this.incrementalRange(
+                              syncState,
+                              ids,
+                              orgUnit,
+                              options,
+                          )
+                        : selection;
+                    const unitArgs = [
+                        ids,
                         orgUnit,
-                        startDate,
-                        endDate,
+                        range,
                         index + 1,
-                        organisationUnits.length,
+                        units.length,
+                    ];
+                    const { count, deleted, unmapped, lastUpdated } = this
+                        .aggregation
+                        ? await this.aggregation.transferUnit(...unitArgs)
+                        : await this.downloadCSV(...unitArgs);
+                    const completeness = await this.completeness?.transferUnit({
+                        datasets: ids,
+                        orgUnit,
+                        range,
+                    });
+                    if (!this.dryRun) {
+                        syncState?.update(ids, orgUnit.id, lastUpdated);
+                    }
+                    summary.orgUnits++;
+                    summary.registrations += completeness?.registrations || 0;
+                    summary.approvals += completeness?.approvals || 0;
+                    summary.dataValues += count;
+                    summary.deleted += deleted;
+                    summary.unmapped += unmapped;
+                    journal?.record(
+                        "completed",
+                        orgUnit.id,
+                        ids,
+                        selection.key,
+                    );
+                } catch (error) {
+                    // Left pending in the journal, so --resume redoes it
+                    if (error instanceof InterruptedError) {
+                        interrupted++;
+                        this.logger.warn(
+                            `Stopped ${orgUnit.name} for ${selection.key} before it finished`,
+                        );
+                        return;
+                    }
+                    summary.failed++;
+                    errors.push({
+                        orgUnit: orgUnit.name,
+                        period: selection.key,
+                        dataSets: ids,
+                        error: error.message,
+                    });
+                    journal?.record(
+                        "failed",
+                        orgUnit.id,
+                        ids,
+                        selection.key,
+                        error.message,
+                    );
+                    this.logger.error(
+                        `Error processing ${orgUnit.name} for ${selection.key}:`,
+                        error.message,
+                    );
+                }
+            };
+            const notStarted = await this.pool.run(units, transferUnit);
+            interrupted += notStarted;
+            // Imports of units that failed part-way may still be running
+            await this.pool.drain();
+            if (interrupted) {
+                this.logger.warn(
+                    `Interrupted with ${interrupted} of ${units.length} units unfinished${
+                        journal ? "; run again with --resume to continue" : ""
+                    }`,
+                );
+            }
+
+            this.logSummary(periods);
+            return {
+                periods,
+                errors,
+                totals: this.jobTracker.totals,
+                interrupted,
+            };
+        } catch (error) {
+            this.logger.error(`Transfer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Logs the counts of each period, the values changed by each rule and
+     * the import totals
+     * @private
+     */
+    logSummary(periods) {
+        this.logger.info("=== Transfer Summary by Period ===");
+        for (const [key, summary] of Object.entries(periods)) {
+            this.logger.info(
+                `${key} (${summary.dataSets.join(", ")}): ${summary.orgUnits} org units, ${summary.dataValues} data values, ${
+                    this.propagateDeletions
+                        ? `${summary.deleted} deleted, `
+                        : ""
+                }${summary.failed} failed, ${summary.skipped} skipped${
+                    this.mapping ? `, ${summary.unmapped} unmapped` : ""
+                }${
+                    this.completeness?.registrations
+                        ? `, ${summary.registrations} complete registrations`
+                        : ""
+                }${
+                    this.completeness?.approvals
+                        ? `, ${summary.approvals} approvals`
+                        : ""
+                }`,
+            );
+        }
+        for (const { name, changed } of this.rules?.summary() || []) {
+            this.logger.info(`Rule ${name}: ${changed} values changed`);
+        }
+        this.logger.info(
+            `${this.dryRun ? "Dry-run totals, nothing was saved" : "Import totals"} (${this.jobTracker.totals.jobs} jobs): ${ImportJobTracker.format(this.jobTracker.totals)}`,
+        );
+        this.completeness?.logTotals();
+    }
+
+    /**
+     * Compares the values of each org unit and period on the source and the
+     * destination. Missing, extra and differing values go to the report;
+     * with repush, the missing and differing values are imported again
+     * @param {string[]} datasets
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options]
+     * @param {string[]} [options.periods] periods to compare instead of the date range
+     * @param {string} [options.periodType] period type of datasets missing from dataSetPeriods
+     * @param {import("./orgUnitSelector").OrgUnitSelection|string[]} [options.orgUnits] org units
+     *   to compare, default those assigned to the datasets on the destination
+     * @param {ReconciliationReport} [options.report] receives every mismatch
+     * @param {boolean} [options.repush=false] import missing and differing values again
+     * @returns {Promise<{periods: Object<string, Object>, errors: Object[], totals: import("./reconcile").ReconciliationCounts, interrupted: number}>}
+     */
+    async verifyData(datasets, startDate, endDate, options = {}) {
+        try {
+            const organisationUnits = await this.resolveOrgUnits(
+                datasets,
+                options,
+            );
+            const fetches = this.planFetches(
+                datasets,
+                startDate,
+                endDate,
+                options,
+            );
+            const reconciler = new Reconciler(this, options);
+            const totals = Reconciler.emptyCounts();
+            const periods = {};
+            for (const { key, datasets: ids } of fetches) {
+                periods[key] = periods[key] || {
+                    dataSets: [],
+                    orgUnits: 0,
+                    failed: 0,
+                    ...Reconciler.emptyCounts(),
+                };
+                periods[key].dataSets.push(...ids);
+            }
+            const units = organisationUnits.flatMap((orgUnit) =>
+                fetches.map(({ datasets: ids, ...range }) => ({
+                    orgUnit,
+                    datasets: ids,
+                    range,
+                })),
+            );
+
+            const errors = [];
+            let interrupted = 0;
+            const verifyUnit = async (unit, index) => {
+                const { orgUnit, range } = unit;
+                const summary = periods[range.key];
+                try {
+                    const counts = await reconciler.verify(unit);
+                    summary.orgUnits++;
+                    for (const name of Reconciler.COUNTS) {
+                        summary[name] += counts[name];
+                        totals[name] += counts[name];
+                    }
+                    const inSync =
+                        !counts.missing && !counts.extra && !counts.different;
+                    (inSync ? this.logger.info : this.logger.warn)(
+                        `Verified ${range.key} for ${orgUnit.name} (${index + 1}/${units.length}): ${Reconciler.format(counts)}`,
+                    );
+                } catch (error) {
+                    if (error instanceof InterruptedError) {
+                        interrupted++;
+                        return;
+                    }
+                    summary.failed++;
+                    errors.push({
+                        orgUnit: orgUnit.name,
+                        period: range.key,
+                        dataSets: unit.datasets,
+                        error: error.message,
+                    });
+                    this.logger.error(
+                        `Error verifying ${orgUnit.name} for ${range.key}:`,
+                        error.message,
+                    );
+                }
+            };
+            const notStarted = await this.pool.run(units, verifyUnit);
+            interrupted += notStarted;
+            await this.pool.drain();
+            if (interrupted) {
+                this.logger.warn(
+                    `Interrupted with ${interrupted} of ${units.length} units not verified`,
+                );
+            }
+
+            this.logger.info("=== Verification Summary by Period ===");
+            for (const [key, summary] of Object.entries(periods)) {
+                this.logger.info(
+                    `${key} (${summary.dataSets.join(", ")}): ${summary.orgUnits} org units, ${Reconciler.format(summary)}, ${summary.failed} failed`,
+                );
+            }
+            this.logger.info(
+                `Verification totals: ${totals.source} source and ${totals.destination} destination values; ${Reconciler.format(totals)}`,
+            );
+            return { periods, errors, totals, interrupted };
+        } catch (error) {
+            this.logger.error(`Verification failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks before a transfer with the same settings that the destination
+     * has the metadata its values need, and estimates from a sample of the
+     * org units how many values it would reject
+     * @param {string[]} datasets
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options] as for transferData, and
+     * @param {number} [options.sample] org units whose values are read
+     * @returns {Promise<import("./preflight").PreflightResult>}
+     */
+    async preflight(datasets, startDate, endDate, options = {}) {
+        const organisationUnits = await this.resolveOrgUnits(datasets, options);
+        const fetches = this.planFetches(datasets, startDate, endDate, options);
+        const { syncState } = options;
+        const check = new PreflightCheck(this, { sample: options.sample });
+        return check.run(
+            datasets,
+            organisationUnits,
+            fetches,
+            (orgUnit, fetch) =>
+                syncState
+                    ? this.incrementalRange(
+                          syncState,
+                          fetch.datasets,
+                          orgUnit,
+                          options,
+                      )
+                    : fetch,
+        );
+    }
+
+    /**
+     * Exports the data of each dataset, org unit and period to an archive
+     * instead of importing it. Exports are kept as the source returns them,
+     * with the values deleted on the source unless deletions are not
+     * propagated
+     * @param {DataArchive} archive opened for writing
+     * @param {string[]} datasets
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options]
+     * @param {string[]} [options.periods] periods to export instead of the date range
+     * @param {string} [options.periodType] period type of datasets missing from dataSetPeriods
+     * @param {import("./orgUnitSelector").OrgUnitSelection|string[]} [options.orgUnits] org units
+     *   to export, default those assigned to the datasets
+     * @param {boolean} [options.resume=false] skip exports already in the archive
+     * @returns {Promise<{periods: Object<string, {dataSets: string[], exports: number, rows: number, deleted: number, failed: number, skipped: number}>, errors: Object[], interrupted: number}>}
+     */
+    async exportArchive(archive, datasets, startDate, endDate, options = {}) {
+        try {
+            const organisationUnits = await this.resolveOrgUnits(
+                datasets,
+                options,
+            );
+            const fetches = this.planFetches(
+                datasets,
+                startDate,
+                endDate,
+                options,
+            );
+            const periods = {};
+            const units = [];
+            for (const { datasets: ids, ...selection } of fetches) {
+                const summary = (periods[selection.key] = periods[
+                    selection.key
+                ] || {
+                    dataSets: [],
+                    exports: 0,
+                    rows: 0,
+                    deleted: 0,
+                    failed: 0,
+                    skipped: 0,
+                });
+                summary.dataSets.push(...ids);
+                for (const orgUnit of organisationUnits) {
+                    const sourceId = this.sourceOrgUnitId(orgUnit);
+                    for (const dataSet of ids) {
+                        if (
+                            options.resume &&
+                            archive.entry(dataSet, sourceId, selection.key)
+                        ) {
+                            summary.skipped++;
+                            continue;
+                        }
+                        units.push({ orgUnit, sourceId, dataSet, selection });
+                    }
+                }
+            }
+
+            const errors = [];
+            const exportUnit = async (unit, index) => {
+                const { orgUnit, sourceId, dataSet, selection } = unit;
+                const { key, ...range } = selection;
+                const summary = periods[key];
+                try {
+                    const { query, label } = this.exportQuery(
+                        [dataSet],
+                        sourceId,
+                        range,
+                        this.sourceIdSchemes,
+                    );
+                    if (this.propagateDeletions) {
+                        query.append("includeDeleted", "true");
+                    }
+                    this.exportFormat.exportQuery(query);
+                    const { data } = await this.sourceApi.get(
+                        `${this.exportFormat.exportPath}?${query}`,
+                        {
+                            responseType: "stream",
+                            headers: { Accept: this.exportFormat.accept },
+                        },
+                    );
+                    const entry = await archive.write(
+                        {
+                            dataSet,
+                            orgUnit: { id: sourceId, name: orgUnit.name },
+                            period: key,
+                            range,
+                            includeDeleted: this.propagateDeletions,
+                            format: this.exportFormat,
+                        },
+                        data,
+                    );
+                    summary.exports++;
+                    summary.rows += entry.rows;
+                    summary.deleted += entry.deleted;
+                    this.logger.info(
+                        `Exported ${dataSet} ${label} for ${orgUnit.name} (${index + 1}/${units.length}): ${entry.rows} rows in ${entry.file}`,
                     );
                 } catch (error) {
+                    summary.failed++;
                     errors.push({
                         orgUnit: orgUnit.name,
+                        period: key,
+                        dataSets: [dataSet],
                         error: error.message,
                     });
-                    console.error(
-                        `Error processing ${orgUnit.name}:`,
+                    this.logger.error(
+                        `Error exporting ${dataSet} for ${orgUnit.name} for ${key}:`,
                         error.message,
                     );
                 }
+            };
+            const interrupted = await this.pool.run(units, exportUnit);
+            if (interrupted) {
+                this.logger.warn(
+                    `Interrupted with ${interrupted} of ${units.length} exports not started; run again with --resume to continue`,
+                );
+            }
+
+            this.logger.info("=== Export Summary by Period ===");
+            for (const [key, summary] of Object.entries(periods)) {
+                this.logger.info(
+                    `${key} (${summary.dataSets.join(", ")}): ${summary.exports} exports, ${summary.rows} rows${
+                        this.propagateDeletions
+                            ? ` (${summary.deleted} deleted)`
+                            : ""
+                    }, ${summary.failed} failed, ${summary.skipped} skipped`,
+                );
             }
-            return errors;
+            return { periods, errors, interrupted };
         } catch (error) {
-            console.log(`Transfer failed: ${error.message}`);
+            this.logger.error(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Imports the exports of an archive as a transfer would have imported
+     * them from the source: rules and mappings apply and deleted values are
+     * deleted. Each file is checked against its checksum before it is read
+     * @param {DataArchive} archive opened for reading
+     * @param {Object} [options]
+     * @param {CheckpointJournal} [options.journal] records progress and skips completed exports
+     * @returns {Promise<{periods: Object<string, Object>, errors: Object[], totals: Object, interrupted: number}>}
+     *   as for transferData
+     */
+    async importArchive(archive, { journal } = {}) {
+        try {
+            // Entries may differ in format when exports shared a directory
+            const formats = new Map();
+            for (const entry of archive.entries) {
+                const format = DataArchive.format(entry);
+                if (formats.has(format.name)) continue;
+                await format.prepare(this.sourceApi || this.destApi);
+                formats.set(format.name, format);
+            }
+            const periods = {};
+            const units = [];
+            for (const entry of archive.entries) {
+                const { dataSet, orgUnit, period } = entry;
+                const summary = (periods[period] = periods[period] || {
+                    dataSets: [],
+                    orgUnits: 0,
+                    dataValues: 0,
+                    deleted: 0,
+                    failed: 0,
+                    skipped: 0,
+                    unmapped: 0,
+                });
+                if (!summary.dataSets.includes(dataSet)) {
+                    summary.dataSets.push(dataSet);
+                }
+                if (
+                    journal?.status(orgUnit.id, dataSet, period) === "completed"
+                ) {
+                    summary.skipped++;
+                    continue;
+                }
+                units.push(entry);
+            }
+            if (journal) {
+                this.logger.info(
+                    `Run ${journal.runId}: ${units.length} of ${archive.entries.length} exports to import`,
+                );
+            }
+
+            const errors = [];
+            let interrupted = 0;
+            const importEntry = async (entry, index) => {
+                const { dataSet, orgUnit, period } = entry;
+                const summary = periods[period];
+                journal?.record("pending", orgUnit.id, [dataSet], period);
+                try {
+                    await archive.verify(entry);
+                    this.logger.info(
+                        `Importing ${entry.file} for ${orgUnit.name} (${index + 1}/${units.length})...`,
+                    );
+                    const result = new UnitResult(this, orgUnit);
+                    await pipeline(
+                        archive.read(entry),
+                        formats.get(entry.format || "csv").reader(),
+                        async (rows) => {
+                            for await (const row of rows) await result.add(row);
+                        },
+                    );
+                    const { count, deleted, unmapped } = await result.finish();
+                    this.logger.info(
+                        `Finished ${entry.file} for ${orgUnit.name} (${index + 1}/${units.length}): ${count} data values${
+                            deleted ? `, ${deleted} deleted` : ""
+                        }`,
+                    );
+                    summary.orgUnits++;
+                    summary.dataValues += count;
+                    summary.deleted += deleted;
+                    summary.unmapped += unmapped;
+                    journal?.record("completed", orgUnit.id, [dataSet], period);
+                } catch (error) {
+                    if (error instanceof InterruptedError) {
+                        interrupted++;
+                        return;
+                    }
+                    summary.failed++;
+                    errors.push({
+                        orgUnit: orgUnit.name,
+                        period,
+                        dataSets: [dataSet],
+                        error: error.message,
+                    });
+                    journal?.record(
+                        "failed",
+                        orgUnit.id,
+                        [dataSet],
+                        period,
+                        error.message,
+                    );
+                    this.logger.error(
+                        `Error importing ${entry.file}:`,
+                        error.message,
+                    );
+                }
+            };
+            const notStarted = await this.pool.run(units, importEntry);
+            interrupted += notStarted;
+            await this.pool.drain();
+            if (interrupted) {
+                this.logger.warn(
+                    `Interrupted with ${interrupted} of ${units.length} exports unfinished${
+                        journal ? "; run again with --resume to continue" : ""
+                    }`,
+                );
+            }
+            this.logSummary(periods);
+            return {
+                periods,
+                errors,
+                totals: this.jobTracker.totals,
+                interrupted,
+            };
+        } catch (error) {
+            this.logger.error(`Archive import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Closes the conflict and skip reports and logs where they were written
+     */
+    closeReports() {
+        const reportPath = this.conflictReport?.close();
+        if (reportPath) {
+            this.logger.info(
+                `${this.conflictReport.count} conflicts written to ${reportPath}`,
+            );
+        }
+        const skipReportPath = this.skipReport?.close();
+        if (skipReportPath) {
+            this.logger.info(
+                `${this.skipReport.count} unmapped data values written to ${skipReportPath}`,
+            );
+        }
+        const completenessReport = this.completeness?.report;
+        const completenessPath = completenessReport?.close();
+        if (completenessPath) {
+            this.logger.info(
+                `${completenessReport.count} refused registrations and approvals written to ${completenessPath}`,
+            );
         }
     }
 }
 
-async function main() {
-    const configs = {
-        source: {
-            url: process.env.SOURCE_DHIS2_URL,
-            username: process.env.SOURCE_DHIS2_USERNAME,
-            password: process.env.SOURCE_DHIS2_PASSWORD,
+/**
+ * Runs one transfer with settings from the command line or a job file
+ * @param {Object} args settings as returned by parseCliArgs or loadJobs
+ * @param {{source: DHISConfig, dest: DHISConfig}} configs
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] stops the transfer gracefully when aborted
+ * @returns {Promise<boolean>} whether every unit was transferred
+ */
+async function runTransfer(args, configs, { signal } = {}) {
+    if (
+        args.aggregateUp &&
+        (args.verify ||
+            args.exportArchive ||
+            args.importArchive ||
+            args.preflight)
+    ) {
+        // An aggregate-up job may be run with these from the command line
+        logger.error(
+            "Aggregate-up transfers import analytics totals and cannot be verified, archived or pre-flight checked",
+        );
+        return false;
+    }
+    if (args.exportArchive) return runArchiveExport(args, configs, { signal });
+    let archive;
+    if (args.importArchive) {
+        try {
+            archive = new DataArchive(args.importArchive).open();
+        } catch (error) {
+            logger.error(error.message);
+            return false;
+        }
+    }
+    const transfer = new DHIS2DataTransfer(
+        configs.source,
+        configs.dest,
+        args.batchSize,
+        {
+            sourceIdSchemes: args.exportIdSchemes,
+            destIdSchemes: args.importIdSchemes,
+            importOptions: args.importOptions,
+            dryRun: args.dryRun,
+            strategy: args.strategy,
+            exportFormat: args.exportFormat,
+            importFormat: args.importFormat,
+            propagateDeletions: !args.keepDeleted,
+            // Totals have no registrations of their own
+            registrations: !args.skipRegistrations && !args.aggregateUp,
+            approvals: args.approvals,
+            aggregateUp: args.aggregateUp,
+            concurrency: args.concurrency,
+            uploads: args.uploads,
+            queuedBatches: args.queuedBatches,
+            signal,
         },
-        dest: {
-            url: process.env.DEST_DHIS2_URL,
-            username: process.env.DEST_DHIS2_USERNAME,
-            password: process.env.DEST_DHIS2_PASSWORD,
+    );
+    const runId =
+        args.runId ||
+        CheckpointJournal.deriveRunId({
+            job: args.name,
+            datasets: [...args.datasets].sort(),
+            periods: args.periods,
+            startDate: args.startDate,
+            endDate: args.endDate,
+            orgUnits: args.orgUnits,
+            incremental: args.incremental,
+            aggregateUp: args.aggregateUp,
+            importArchive:
+                args.importArchive && path.resolve(args.importArchive),
+        });
+    const reportPrefix = `reports/${runId}${args.dryRun ? "-dryrun" : ""}`;
+    // A resumed run adds to the reports of its earlier attempts, whose
+    // finished units are not transferred again
+    const reportOptions = { append: args.resume };
+    transfer.conflictReport = new ConflictReport(
+        args.conflictReport || `${reportPrefix}-conflicts.csv`,
+        reportOptions,
+    );
+    if (transfer.completeness) {
+        transfer.completeness.report = new CompletenessReport(
+            args.completenessReport || `${reportPrefix}-completeness.csv`,
+            reportOptions,
+        );
+    }
+    if (args.mappingFiles.length || args.mapBy) {
+        const mapping = new MetadataMapping();
+        try {
+            args.mappingFiles.forEach((file) => mapping.loadFile(file));
+            if (args.mapBy && !transfer.sourceApi) {
+                throw new Error(
+                    "Matching metadata by code or name needs the source, which is not configured",
+                );
+            }
+            if (args.mapBy) {
+                await mapping.buildFromMetadata(
+                    transfer.sourceApi,
+                    transfer.destApi,
+                    { matchBy: args.mapBy, types: args.mapTypes },
+                );
+            }
+        } catch (error) {
+            logger.error(`Failed to load mappings: ${error.message}`);
+            return false;
+        }
+        logger.info("Mapping entries:", mapping.sizes());
+        transfer.mapping = mapping;
+        transfer.skipReport = new SkipReport(
+            args.skipReport || `${reportPrefix}-skipped.csv`,
+            reportOptions,
+        );
+    }
+    if (args.rules) {
+        try {
+            const rules =
+                typeof args.rules === "string"
+                    ? TransformRules.loadFile(args.rules)
+                    : new TransformRules(args.rules);
+            transfer.rules = await rules.resolve(
+                transfer.sourceApi,
+                archive
+                    ? uniq(archive.entries.map(({ dataSet }) => dataSet))
+                    : args.datasets,
+            );
+        } catch (error) {
+            logger.error(`Failed to load rules: ${error.message}`);
+            return false;
+        }
+        // Job files may name a rules file, only read here
+        if (
+            args.incremental &&
+            TransformRules.hasAggregate(transfer.rules.rules)
+        ) {
+            logger.error(
+                "Incremental mode exports only changed values and cannot apply aggregate rules, whose sums need every combo",
+            );
+            return false;
+        }
+        logger.info(
+            `Value rules: ${transfer.rules.rules.map(({ name }) => name).join(", ")}`,
+        );
+    }
+    if (args.verify) {
+        return runVerification(transfer, args, { runId, reportPrefix });
+    }
+    if (archive) return runArchiveImport(transfer, archive, args, { runId });
+    if (!(await prepareExportFormat(transfer))) return false;
+    if (
+        args.assignOrgUnits &&
+        !(await runAssignments(transfer, args, { reportPrefix }))
+    ) {
+        return false;
+    }
+    const syncState = args.incremental
+        ? new SyncState(args.syncState).load()
+        : undefined;
+    if (
+        args.preflight &&
+        !(await runPreflight(transfer, args, { syncState, reportPrefix }))
+    ) {
+        return false;
+    }
+
+    // A dry run saves nothing, so it neither reads nor records checkpoints
+    const journal = args.dryRun
+        ? null
+        : new CheckpointJournal(runId).open(args.resume);
+    logger.info(
+        args.dryRun
+            ? `Starting dry run ${runId}: imports are validated on the destination but not saved`
+            : `${args.resume ? "Resuming" : "Starting"} run ${runId} (checkpoints in ${journal.path})`,
+    );
+    if (args.keepDeleted) {
+        logger.info("Values deleted on the source are left on the destination");
+    }
+    if (transfer.completeness) {
+        logger.info(
+            `Copying ${[
+                transfer.completeness.registrations && "complete registrations",
+                transfer.completeness.approvals && "approvals",
+            ]
+                .filter(Boolean)
+                .join(" and ")} with the data values`,
+        );
+    }
+    if (args.aggregateUp) {
+        const { level, dataElements = [] } = args.aggregateUp;
+        logger.info(
+            `Aggregate-up: importing the source's analytics totals of ${
+                dataElements.length
+                    ? `${dataElements.length} data elements`
+                    : "the datasets' data elements"
+            } for org units at level ${level} instead of their raw values`,
+        );
+    }
+    logger.info(
+        `Transferring ${args.datasets.join(", ")} for ${
+            args.incremental
+                ? "changes since the last sync"
+                : args.periods.length
+                  ? args.periods.join(", ")
+                  : `${args.startDate} to ${args.endDate}`
+        }`,
+    );
+    const result = await transfer.transferData(
+        args.datasets,
+        args.startDate,
+        args.endDate,
+        {
+            periods: args.periods,
+            periodType: args.periodType,
+            orgUnits: args.orgUnits,
+            journal,
+            syncState,
+            initialSince: args.initialSince,
         },
+    );
+    logger.info("Transfer completed:", result?.errors);
+    transfer.closeReports();
+    return Boolean(result) && !result.errors.length && !result.interrupted;
+}
+
+/**
+ * Proposes or makes the dataset assignments the destination lacks before a
+ * transfer, writing them to the assignment report. A dry run only proposes
+ * @private
+ * @returns {Promise<boolean>} whether the comparison ran and every
+ *   assignment asked for was made
+ */
+async function runAssignments(transfer, args, { reportPrefix }) {
+    const apply = args.assignOrgUnits === "apply" && !args.dryRun;
+    const report = new AssignmentReport(
+        args.assignmentReport || `${reportPrefix}-assignments.csv`,
+    );
+    logger.info(
+        `Comparing dataset org unit assignments${
+            apply ? "; missing ones are assigned on the destination" : ""
+        }...`,
+    );
+    let counts;
+    try {
+        counts = await new OrgUnitAssignments(transfer, {
+            apply,
+            report,
+        }).run(args.datasets);
+    } catch (error) {
+        logger.error(`Failed to compare assignments: ${error.message}`);
+        return false;
+    }
+    const reportPath = report.close();
+    logger.info(
+        `Assignments: ${counts.missing} missing on the destination, ${
+            apply
+                ? `${counts.assigned} assigned, ${counts.failed} failed`
+                : `${counts.proposed} proposed`
+        }, ${counts.unknown} org units unknown on the destination${
+            reportPath ? `; written to ${reportPath}` : ""
+        }`,
+    );
+    return !counts.failed;
+}
+
+/**
+ * Runs the pre-flight check before a transfer, writing the metadata
+ * problems to the pre-flight report
+ * @private
+ * @returns {Promise<boolean>} whether the transfer may go ahead: the check
+ *   ran and its estimate of rejected values is within args.preflight.maxRejected
+ */
+async function runPreflight(transfer, args, { syncState, reportPrefix }) {
+    const { maxRejected = { count: 0 }, sample } = args.preflight;
+    const report = new PreflightReport(
+        args.preflightReport || `${reportPrefix}-preflight.csv`,
+    );
+    logger.info("Running pre-flight check...");
+    let result;
+    try {
+        result = await transfer.preflight(
+            args.datasets,
+            args.startDate,
+            args.endDate,
+            {
+                periods: args.periods,
+                periodType: args.periodType,
+                orgUnits: args.orgUnits,
+                syncState,
+                initialSince: args.initialSince,
+                sample,
+            },
+        );
+    } catch (error) {
+        logger.error(`Pre-flight check failed: ${error.message}`);
+        return false;
+    }
+    report.add(result.issues);
+    const reportPath = report.close();
+    const errors = result.issues.filter(
+        ({ severity }) => severity === "error",
+    ).length;
+    logger.info(
+        `Pre-flight: ${errors} errors and ${result.issues.length - errors} warnings${
+            reportPath ? `, written to ${reportPath}` : ""
+        }`,
+    );
+    const { estimate } = result;
+    if (!estimate) {
+        logger.info("Pre-flight: no values sampled; nothing to estimate");
+        return true;
+    }
+    logger.info(
+        `Pre-flight: ${result.rejected} of ${result.values} values sampled from ${result.sampled} of ${result.orgUnits} org units would be rejected${
+            result.unmapped ? ` and ${result.unmapped} are unmapped` : ""
+        }; estimated ${estimate.rejected} of ${estimate.values} for the transfer`,
+    );
+    if (PreflightCheck.exceeds(result, maxRejected)) {
+        const limit =
+            "percent" in maxRejected
+                ? `${maxRejected.percent}%`
+                : maxRejected.count;
+        logger.error(
+            `Pre-flight: the estimated ${estimate.rejected} rejected values exceed the limit of ${limit}; the transfer was not started`,
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Loads what the export format needs from the source before the first
+ * export, e.g. the categories ADX disaggregations are resolved with
+ * @private
+ * @returns {Promise<boolean>} whether the format is ready
+ */
+async function prepareExportFormat(transfer) {
+    const format = transfer.exportFormat;
+    try {
+        await format.prepare(transfer.sourceApi);
+        return true;
+    } catch (error) {
+        logger.error(
+            `Failed to prepare ${format.name} exports: ${error.message}`,
+        );
+        return false;
+    }
+}
+
+/**
+ * Exports the data selected by the settings to an archive directory, for
+ * a later run with --import-archive. Mappings and rules are left for the
+ * import
+ * @private
+ * @returns {Promise<boolean>} whether every export was written
+ */
+async function runArchiveExport(args, configs, { signal }) {
+    if (args.incremental) {
+        logger.error(
+            "Incremental transfers cannot be exported to an archive; give periods or a date range",
+        );
+        return false;
+    }
+    const transfer = new DHIS2DataTransfer(
+        configs.source,
+        configs.dest,
+        args.batchSize,
+        {
+            sourceIdSchemes: args.exportIdSchemes,
+            exportFormat: args.exportFormat,
+            propagateDeletions: !args.keepDeleted,
+            // Archives hold data values only
+            registrations: false,
+            concurrency: args.concurrency,
+            signal,
+        },
+    );
+    if (!(await prepareExportFormat(transfer))) return false;
+    let archive;
+    try {
+        archive = new DataArchive(args.exportArchive).create({
+            source: configs.source.url,
+            idSchemes: args.exportIdSchemes,
+        });
+    } catch (error) {
+        logger.error(`Failed to open archive: ${error.message}`);
+        return false;
+    }
+    if (args.mappingFiles?.length || args.mapBy || args.rules) {
+        logger.info(
+            "Mappings and rules are not applied to the archive; they apply when it is imported",
+        );
+    }
+    logger.info(
+        `Exporting ${args.datasets.join(", ")} for ${
+            args.periods.length
+                ? args.periods.join(", ")
+                : `${args.startDate} to ${args.endDate}`
+        } to ${archive.directory}${args.resume ? ", skipping exports already there" : ""}`,
+    );
+    const result = await transfer.exportArchive(
+        archive,
+        args.datasets,
+        args.startDate,
+        args.endDate,
+        {
+            periods: args.periods,
+            periodType: args.periodType,
+            orgUnits: args.orgUnits,
+            resume: args.resume,
+        },
+    );
+    logger.info(
+        `Archive manifest with ${archive.entries.length} exports: ${archive.manifestPath}`,
+    );
+    return Boolean(result) && !result.errors.length && !result.interrupted;
+}
+
+/**
+ * Imports an archive written by --export-archive into the destination,
+ * with the transfer's mappings and rules
+ * @private
+ * @returns {Promise<boolean>} whether every export was imported
+ */
+async function runArchiveImport(transfer, archive, args, { runId }) {
+    // The rows are in the identifiers they were exported with
+    transfer.sourceIdSchemes = archive.idSchemes;
+    const journal = args.dryRun
+        ? null
+        : new CheckpointJournal(runId).open(args.resume);
+    logger.info(
+        args.dryRun
+            ? `Starting dry run ${runId}: imports are validated on the destination but not saved`
+            : `${args.resume ? "Resuming" : "Starting"} run ${runId} (checkpoints in ${journal.path})`,
+    );
+    logger.info(
+        `Importing archive ${archive.directory}: ${archive.entries.length} exports from ${archive.manifest.source}`,
+    );
+    const result = await transfer.importArchive(archive, { journal });
+    logger.info("Import completed:", result?.errors);
+    transfer.closeReports();
+    return Boolean(result) && !result.errors.length && !result.interrupted;
+}
+
+/**
+ * Compares the source and destination after a transfer with the same
+ * settings, writing mismatches to the reconciliation report
+ * @private
+ * @returns {Promise<boolean>} whether both instances hold the same values,
+ *   or every mismatch was re-pushed
+ */
+async function runVerification(transfer, args, { runId, reportPrefix }) {
+    if (args.incremental) {
+        logger.error(
+            "Incremental transfers cannot be verified; give periods or a date range",
+        );
+        return false;
+    }
+    const report = new ReconciliationReport(
+        args.reconciliationReport || `${reportPrefix}-reconciliation.csv`,
+    );
+    logger.info(
+        `Verifying run ${runId}${
+            args.repush
+                ? `; missing and differing values are re-pushed${args.dryRun ? " as a dry run" : ""}`
+                : ""
+        }`,
+    );
+    const result = await transfer.verifyData(
+        args.datasets,
+        args.startDate,
+        args.endDate,
+        {
+            periods: args.periods,
+            periodType: args.periodType,
+            orgUnits: args.orgUnits,
+            report,
+            repush: args.repush,
+        },
+    );
+    const reportPath = report.close();
+    if (reportPath) {
+        logger.info(`${report.count} mismatches written to ${reportPath}`);
+    }
+    transfer.closeReports();
+    if (!result || result.errors.length || result.interrupted) return false;
+    const { missing, extra, different, repushed } = result.totals;
+    return !extra && missing + different === (args.repush ? repushed : 0);
+}
+
+/**
+ * Runs the jobs of a job file one after the other
+ * @param {Object} args
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] stops the running job gracefully and
+ *   skips the rest when aborted
+ * @returns {Promise<boolean>} whether every job succeeded
+ */
+async function runJobs(args, { signal } = {}) {
+    let jobs;
+    try {
+        jobs = loadJobs(args.jobFile, { names: args.jobs, dataSetPeriods });
+    } catch (error) {
+        logger.error(error.message);
+        return false;
+    }
+    const history = new RunHistory();
+    const failed = [];
+    for (const [index, job] of jobs.entries()) {
+        if (signal?.aborted) {
+            const skipped = jobs.slice(index).map(({ name }) => name);
+            logger.warn(`Interrupted; skipped jobs: ${skipped.join(", ")}`);
+            failed.push(...skipped);
+            break;
+        }
+        const succeeded = await runJob(job, args, { signal, history });
+        if (!succeeded) failed.push(job.name);
+    }
+    logger.info(
+        `${jobs.length - failed.length} of ${jobs.length} jobs succeeded${
+            failed.length ? `; failed: ${failed.join(", ")}` : ""
+        }`,
+    );
+    return !failed.length;
+}
+
+/**
+ * Runs one job of a job file and records the run in the history. A job
+ * already running, in this process or another, is skipped
+ * @private
+ * @param {Object} job settings as returned by loadJobs
+ * @param {Object} args job file run arguments: dryRun, resume, verify, ...
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {RunHistory} options.history
+ * @param {string} [options.trigger="manual"] schedule or manual
+ * @param {string} [options.scheduledFor] the time the schedule fired for
+ * @returns {Promise<boolean>} whether the job ran and succeeded
+ */
+async function runJob(job, args, { signal, history, ...details }) {
+    const dryRun = job.dryRun || args.dryRun;
+    const runId = args.runId || job.runId;
+    const run = {
+        ...details,
+        periods: job.incremental
+            ? ["incremental"]
+            : job.periods.length
+              ? job.periods
+              : [`${job.startDate} to ${job.endDate}`],
+        ...(dryRun && { dryRun }),
+        ...(runId && { runId }),
     };
+    const lock = new JobLock(job.name);
+    const holder = lock.acquire();
+    if (holder) {
+        const reason = `already running in process ${holder.pid} since ${holder.startedAt}`;
+        logger.warn(`Job ${job.name} skipped: ${reason}`);
+        history.skip(job.name, reason, run);
+        return false;
+    }
+    const record = history.start(job.name, run);
+    try {
+        logger.info(
+            `=== Job ${job.name}${job.description ? `: ${job.description}` : ""} ===`,
+        );
+        const succeeded = await runTransfer(
+            {
+                ...job,
+                dryRun,
+                resume: args.resume,
+                verify: args.verify,
+                repush: args.repush,
+                // --preflight checks jobs that do not ask for it themselves
+                preflight: job.preflight || (args.preflight ? {} : null),
+                exportArchive: args.exportArchive,
+                importArchive: args.importArchive,
+                runId,
+            },
+            { source: job.source, dest: job.dest },
+            { signal },
+        );
+        history.finish(
+            record,
+            succeeded
+                ? "succeeded"
+                : signal?.aborted
+                  ? "interrupted"
+                  : "failed",
+        );
+        return succeeded;
+    } catch (error) {
+        history.finish(record, "failed", error.message);
+        throw error;
+    } finally {
+        lock.release();
+    }
+}
 
-    const datasets = [
-        "onFoQ4ko74y",
-        "RtEYsASU7PG",
-        "ic1BSWhGOso",
-        "nGkMm2VBT4G",
-        "VDhwrW9DiC1",
-        "quMWqLxzcfO",
-        "dFRD2A5fdvn",
-        "DFMoIONIalm",
-        "EBqVAQRmiPm",
-    ];
+/**
+ * Keeps running the selected jobs of a job file on their schedules until
+ * the signal is aborted
+ * @private
+ * @returns {Promise<boolean>} false when no job could be scheduled
+ */
+async function runSchedule(args, { signal }) {
+    let jobs;
+    try {
+        jobs = loadJobs(args.jobFile, { names: args.jobs, dataSetPeriods });
+    } catch (error) {
+        logger.error(error.message);
+        return false;
+    }
+    const scheduled = jobs.filter(({ schedule }) => schedule);
+    if (!scheduled.length) {
+        logger.error(
+            `No ${args.jobs.length ? "selected " : ""}job in ${args.jobFile} has a schedule`,
+        );
+        return false;
+    }
+    const history = new RunHistory();
+    const scheduler = new Scheduler({
+        jobs: scheduled,
+        signal,
+        run: async (name, scheduledFor) => {
+            const details = {
+                trigger: "schedule",
+                scheduledFor: scheduledFor.toISOString(),
+            };
+            // Read again for every run, so that edits to the job file apply
+            // and periods are taken relative to the time the schedule fired
+            let job;
+            try {
+                [job] = loadJobs(args.jobFile, {
+                    names: [name],
+                    dataSetPeriods,
+                    now: scheduledFor,
+                });
+            } catch (error) {
+                logger.error(error.message);
+                history.finish(
+                    history.start(name, details),
+                    "failed",
+                    error.message,
+                );
+                return false;
+            }
+            return runJob(job, args, { signal, history, ...details });
+        },
+    });
+    logger.info(
+        `Scheduling ${scheduled.length} job(s) from ${args.jobFile}${
+            args.dryRun ? " as dry runs" : ""
+        }; run history in ${history.path}`,
+    );
+    await scheduler.run();
+    logger.info("Scheduler stopped");
+    return true;
+}
 
-    const transfer = new DHIS2DataTransfer(configs.source, configs.dest);
-    const result = await transfer.transferData(
-        datasets,
-        "2024-10-01",
-        "2024-12-31",
+/**
+ * Prints the latest runs recorded in the run history
+ * @private
+ */
+function printHistory({ jobs, limit }) {
+    const runs = new RunHistory().list({ jobs, limit });
+    if (!runs.length) {
+        console.log("No job runs recorded");
+        return;
+    }
+    const duration = ({ status, startedAt, finishedAt }) => {
+        if (!finishedAt || status === "skipped") return "";
+        const seconds = Math.round(
+            (Date.parse(finishedAt) - Date.parse(startedAt)) / 1000,
+        );
+        return seconds < 3600
+            ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+            : `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    };
+    const rows = [
+        ["STARTED", "JOB", "TRIGGER", "STATUS", "TOOK", "PERIODS", "NOTE"],
+        ...runs.map((run) => [
+            run.startedAt,
+            run.job,
+            run.trigger,
+            `${run.status}${run.dryRun ? " (dry run)" : ""}`,
+            duration(run),
+            (run.periods || []).join(","),
+            run.error || "",
+        ]),
+    ];
+    const widths = rows[0].map((_, column) =>
+        Math.max(...rows.map((row) => row[column].length)),
     );
-    console.log("Transfer completed:", result);
+    for (const row of rows) {
+        console.log(
+            row
+                .map((cell, column) => cell.padEnd(widths[column]))
+                .join("  ")
+                .trimEnd(),
+        );
+    }
+}
+
+/**
+ * Stops the transfer gracefully on SIGINT or SIGTERM: no further org units
+ * or batches are started, imports in flight finish, and checkpoints, sync
+ * state and reports are saved. A second signal exits at once
+ * @param {AbortController} controller
+ * @returns {() => void} removes the handlers
+ */
+function handleShutdownSignals(controller) {
+    const onSignal = (signal) => {
+        if (controller.signal.aborted) {
+            logger.warn(`Received ${signal} again, exiting immediately`);
+            process.exit(130);
+        }
+        logger.warn(
+            `Received ${signal}. Finishing in-flight imports and saving state; send it again to exit immediately`,
+        );
+        controller.abort();
+    };
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+    return () => {
+        process.off("SIGINT", onSignal);
+        process.off("SIGTERM", onSignal);
+    };
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseCliArgs(argv, dataSetPeriods);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.history) {
+        printHistory(args);
+        return;
+    }
+    let configs;
+    if (!args.jobFile) {
+        try {
+            // Archives are written from the source and read into the
+            // destination, each without the other instance
+            configs = loadConfig({
+                source: !args.importArchive,
+                dest: !args.exportArchive,
+            });
+        } catch (error) {
+            logger.error(error.message);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    const controller = new AbortController();
+    const removeHandlers = handleShutdownSignals(controller);
+    try {
+        const { signal } = controller;
+        const succeeded = args.schedule
+            ? await runSchedule(args, { signal })
+            : args.jobFile
+              ? await runJobs(args, { signal })
+              : await runTransfer(args, configs, { signal });
+        // 130 is the shell's code for a process stopped by Ctrl+C
+        if (!succeeded) process.exitCode = signal.aborted ? 130 : 1;
+    } finally {
+        removeHandlers();
+    }
 }
 
 if (require.main === module) {
@@ -342,3 +1965,6 @@ if (require.main === module) {
 }
 
 module.exports = DHIS2DataTransfer;
+module.exports.main = main;
+module.exports.runTransfer = runTransfer;
+module.exports.dataSetPeriods = dataSetPeriods;
@@ -0,0 +1,266 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const ReportWriter = require("./reportWriter");
+const { logger } = require("./logger");
+
+/**
+ * Data value fields that can be mapped and the metadata endpoint their
+ * identifiers come from. Attribute option combos are category option combos
+ */
+const MAPPING_TYPES = {
+    dataElement: "dataElements",
+    categoryOptionCombo: "categoryOptionCombos",
+    attributeOptionCombo: "categoryOptionCombos",
+    orgUnit: "organisationUnits",
+};
+
+const MATCH_PROPERTIES = ["code", "name"];
+
+const SKIP_REPORT_COLUMNS = [
+    "dataelement",
+    "period",
+    "orgunit",
+    "categoryoptioncombo",
+    "attributeoptioncombo",
+    "value",
+    "reason",
+];
+
+function checkType(type, origin) {
+    if (!MAPPING_TYPES[type]) {
+        throw new Error(
+            `Unknown mapping type "${type}" in ${origin}. Expected one of: ${Object.keys(MAPPING_TYPES).join(", ")}`,
+        );
+    }
+}
+
+/**
+ * Translates data element, category option combo, attribute option combo
+ * and org unit identifiers from the source instance to the destination.
+ *
+ * Only fields that have a mapping table are translated; a data value whose
+ * identifier is missing from a table is skipped rather than sent.
+ */
+class MetadataMapping {
+    constructor() {
+        /** @type {Map<string, Map<string, string>>} */
+        this.tables = new Map();
+        this.stats = { mapped: 0, skipped: 0 };
+    }
+
+    /**
+     * Adds a mapping. Existing entries are kept unless overwrite is set
+     * @param {string} type one of MAPPING_TYPES
+     * @param {string} source
+     * @param {string} destination
+     * @param {boolean} [overwrite=true]
+     */
+    set(type, source, destination, overwrite = true) {
+        if (!this.tables.has(type)) this.tables.set(type, new Map());
+        const table = this.tables.get(type);
+        if (overwrite || !table.has(source)) table.set(source, destination);
+    }
+
+    /**
+     * Loads a mapping file. CSV files need the columns type, source and
+     * destination; JSON files map each type to a {source: destination} object
+     * @param {string} filePath
+     */
+    loadFile(filePath) {
+        const content = fs.readFileSync(filePath, "utf8");
+        const extension = path.extname(filePath).toLowerCase();
+
+        if (extension === ".json") {
+            const tables = JSON.parse(content);
+            for (const [type, entries] of Object.entries(tables)) {
+                checkType(type, filePath);
+                for (const [source, destination] of Object.entries(entries)) {
+                    this.set(type, source, destination);
+                }
+            }
+            return this;
+        }
+        if (extension !== ".csv") {
+            throw new Error(
+                `Unsupported mapping file ${filePath}. Use .csv or .json`,
+            );
+        }
+
+        const { data, meta } = Papa.parse(content, {
+            header: true,
+            skipEmptyLines: true,
+            transformHeader: (header) => header.trim().toLowerCase(),
+            transform: (value) => value.trim(),
+        });
+        const missing = ["type", "source", "destination"].filter(
+            (column) => !meta.fields.includes(column),
+        );
+        if (missing.length) {
+            throw new Error(
+                `Mapping file ${filePath} is missing column(s): ${missing.join(", ")}`,
+            );
+        }
+        for (const [index, row] of data.entries()) {
+            checkType(row.type, `${filePath} line ${index + 2}`);
+            this.set(row.type, row.source, row.destination);
+        }
+        return this;
+    }
+
+    /**
+     * Builds mapping tables by matching metadata on both instances by code
+     * or name. Entries already loaded from files take precedence; objects
+     * whose code or name is not unique on an instance are left unmapped
+     * @param {import("axios").AxiosInstance} sourceApi
+     * @param {import("axios").AxiosInstance} destApi
+     * @param {Object} [options]
+     * @param {string} [options.matchBy="code"] code or name
+     * @param {string[]} [options.types] mapping types to build, default all
+     */
+    async buildFromMetadata(
+        sourceApi,
+        destApi,
+        { matchBy = "code", types = Object.keys(MAPPING_TYPES) } = {},
+    ) {
+        if (!MATCH_PROPERTIES.includes(matchBy)) {
+            throw new Error(`Cannot match metadata by "${matchBy}"`);
+        }
+        const fetched = new Map();
+        const fetchIndex = async (api, resource) => {
+            const { data } = await api.get(`/api/${resource}.json`, {
+                params: { fields: `id,${matchBy}`, paging: false },
+                responseType: "json",
+                headers: { Accept: "application/json" },
+            });
+            const index = new Map();
+            const duplicates = new Set();
+            for (const object of data[resource] || []) {
+                const key = object[matchBy];
+                if (!key) continue;
+                if (index.has(key)) duplicates.add(key);
+                index.set(key, object.id);
+            }
+            duplicates.forEach((key) => index.delete(key));
+            return index;
+        };
+
+        for (const type of types) {
+            checkType(type, "--map-types");
+            const resource = MAPPING_TYPES[type];
+            if (!fetched.has(resource)) {
+                logger.info(`Matching ${resource} by ${matchBy}...`);
+                const [source, destination] = await Promise.all([
+                    fetchIndex(sourceApi, resource),
+                    fetchIndex(destApi, resource),
+                ]);
+                fetched.set(resource, { source, destination });
+            }
+            const { source, destination } = fetched.get(resource);
+            let matched = 0;
+            for (const [key, sourceId] of source) {
+                if (!destination.has(key)) continue;
+                this.set(type, sourceId, destination.get(key), false);
+                matched++;
+            }
+            logger.info(
+                `Matched ${matched} of ${source.size} source ${resource} for ${type}`,
+            );
+        }
+        return this;
+    }
+
+    /**
+     * Translates a data value
+     * @param {Object} dataValue normalised data value
+     * @returns {{dataValue: Object}|{reason: string}} the mapped value, or why it was skipped
+     */
+    apply(dataValue) {
+        const mapped = { ...dataValue };
+        for (const [type, table] of this.tables) {
+            const sourceId = dataValue[type];
+            if (!sourceId) continue;
+            if (!table.has(sourceId)) {
+                this.stats.skipped++;
+                return { reason: `No ${type} mapping for ${sourceId}` };
+            }
+            mapped[type] = table.get(sourceId);
+        }
+        this.stats.mapped++;
+        return { dataValue: mapped };
+    }
+
+    /**
+     * Looks up the source identifier mapped to a destination identifier,
+     * e.g. to query the source for an org unit selected on the destination
+     * @param {string} type
+     * @param {string} destinationId
+     * @returns {string} the source identifier, or destinationId when unmapped
+     */
+    sourceIdFor(type, destinationId) {
+        for (const [source, destination] of this.tables.get(type) || []) {
+            if (destination === destinationId) return source;
+        }
+        return destinationId;
+    }
+
+    /**
+     * Looks up the destination identifier mapped to a source identifier
+     * @param {string} type
+     * @param {string} sourceId
+     * @returns {string} the destination identifier, or sourceId when unmapped
+     */
+    destinationIdFor(type, sourceId) {
+        return this.tables.get(type)?.get(sourceId) || sourceId;
+    }
+
+    /**
+     * @returns {Object<string, number>} number of entries per mapping type
+     */
+    sizes() {
+        return Object.fromEntries(
+            [...this.tables].map(([type, table]) => [type, table.size]),
+        );
+    }
+}
+
+/**
+ * Report of data values that were not sent because they could not be
+ * mapped, in the DHIS2 CSV column layout plus the reason
+ */
+class SkipReport {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     * @param {Object} [options] as for ReportWriter, e.g. append
+     */
+    constructor(filePath, options) {
+        this.writer = new ReportWriter(filePath, SKIP_REPORT_COLUMNS, options);
+    }
+
+    get count() {
+        return this.writer.count;
+    }
+
+    /**
+     * @param {{dataValue: Object, reason: string}[]} entries
+     */
+    add(entries) {
+        this.writer.add(
+            entries.map(({ dataValue, reason }) => ({
+                dataelement: dataValue.dataElement,
+                period: dataValue.period,
+                orgunit: dataValue.orgUnit,
+                categoryoptioncombo: dataValue.categoryOptionCombo,
+                attributeoptioncombo: dataValue.attributeOptionCombo,
+                value: dataValue.value,
+                reason,
+            })),
+        );
+    }
+
+    close() {
+        return this.writer.close();
+    }
+}
+
+module.exports = { MetadataMapping, SkipReport, MAPPING_TYPES };
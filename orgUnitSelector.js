@@ -0,0 +1,306 @@
+const { chunk, orderBy } = require("lodash");
+
+const UID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{10}$/;
+
+// Ids per request, keeping URLs well under server limits
+const FILTER_CHUNK_SIZE = 100;
+
+/**
+ * Ways of selecting org units and the /api/organisationUnits filter each
+ * one translates to
+ */
+const CRITERIA = {
+    ids: (values) => `id:in:[${values.join(",")}]`,
+    levels: (values) => `level:in:[${values.join(",")}]`,
+    names: (values) => `name:in:[${values.join(",")}]`,
+    groups: (values) => `organisationUnitGroups.id:in:[${values.join(",")}]`,
+    groupSets: (values) =>
+        `organisationUnitGroups.groupSets.id:in:[${values.join(",")}]`,
+    dataSets: (values) => `dataSets.id:in:[${values.join(",")}]`,
+};
+
+const SELECTOR_KEYS = [...Object.keys(CRITERIA), "boundary", "exclude", "from"];
+const INSTANCES = ["source", "destination"];
+
+// Lists the first few values of a long list
+const abbreviate = (values, limit = 3) =>
+    values.length > limit
+        ? `${values.slice(0, limit).join(", ")} and ${values.length - limit} more`
+        : values.join(", ");
+
+/**
+ * @typedef {Object} OrgUnitSelection
+ * @property {string} [from="destination"] instance the org units are read from
+ * @property {string[]} [ids] explicit org unit UIDs
+ * @property {number[]} [levels] every org unit at these levels
+ * @property {string[]} [names] org units with these exact names
+ * @property {string[]} [groups] members of these org unit groups
+ * @property {string[]} [groupSets] members of any group in these group sets
+ * @property {boolean|string[]} [dataSets] org units assigned to these datasets;
+ *   true for the datasets being transferred
+ * @property {string[]} [boundary] limit the selection to these org units and
+ *   their descendants; on its own, selects all of them
+ * @property {OrgUnitSelection} [exclude] org units to leave out, selected the same way
+ */
+
+/**
+ * Resolves an org unit selection against a DHIS2 instance.
+ *
+ * Criteria combine like the DHIS2 org unit dimension: the units matched by
+ * ids, levels, names, groups, group sets and dataset assignment are added
+ * together, a boundary narrows them to its subtree, and exclusions are
+ * removed last. Without any criteria, the org units assigned to the
+ * transferred datasets are selected
+ */
+class OrgUnitSelector {
+    static CRITERIA = Object.keys(CRITERIA);
+
+    /**
+     * @param {OrgUnitSelection} [selection]
+     */
+    constructor(selection = {}) {
+        this.selection = selection;
+        this.from = selection.from || "destination";
+    }
+
+    /**
+     * Checks a selection, e.g. from a job file
+     * @param {OrgUnitSelection} selection
+     * @param {string} [where="orgUnits"] location used in messages
+     * @param {boolean} [nested=false] whether this is an exclude selection
+     * @returns {string[]} problems found, empty when valid
+     */
+    static validate(selection, where = "orgUnits", nested = false) {
+        if (
+            selection === null ||
+            typeof selection !== "object" ||
+            Array.isArray(selection)
+        ) {
+            return [`${where} must be an object`];
+        }
+        const errors = [];
+        // An exclusion is read from the same instance and cannot exclude again
+        const keys = nested
+            ? SELECTOR_KEYS.filter((key) => key !== "from" && key !== "exclude")
+            : SELECTOR_KEYS;
+        for (const key of Object.keys(selection)) {
+            if (!keys.includes(key)) {
+                errors.push(
+                    `${where}.${key} is not a known setting. Expected one of: ${keys.join(", ")}`,
+                );
+            }
+        }
+        const list = (key, test, description) => {
+            const value = selection[key];
+            if (value === undefined) return;
+            if (!Array.isArray(value) || !value.length) {
+                errors.push(`${where}.${key} must be a non-empty list`);
+                return;
+            }
+            value.forEach((item, index) => {
+                if (!test(item)) {
+                    errors.push(
+                        `${where}.${key}[${index}] must be ${description}`,
+                    );
+                }
+            });
+        };
+        const isUid = (value) => UID_PATTERN.test(value);
+        list("ids", isUid, "an org unit UID");
+        list(
+            "levels",
+            (value) => Number.isInteger(value) && value > 0,
+            "a positive integer",
+        );
+        list(
+            "names",
+            (value) => typeof value === "string" && value.trim() !== "",
+            "an org unit name",
+        );
+        list("groups", isUid, "an org unit group UID");
+        list("groupSets", isUid, "an org unit group set UID");
+        list("boundary", isUid, "an org unit UID");
+        if (selection.dataSets !== true) {
+            list("dataSets", isUid, "a dataset UID");
+        }
+        if (
+            selection.from !== undefined &&
+            !INSTANCES.includes(selection.from)
+        ) {
+            errors.push(
+                `${where}.from must be one of: ${INSTANCES.join(", ")}`,
+            );
+        }
+        if (selection.exclude !== undefined && !nested) {
+            errors.push(
+                ...OrgUnitSelector.validate(
+                    selection.exclude,
+                    `${where}.exclude`,
+                    true,
+                ),
+            );
+        }
+        return errors;
+    }
+
+    /**
+     * Fetches the org units matching one set of filters
+     * @private
+     */
+    static async fetch(api, filters) {
+        const params = new URLSearchParams({
+            fields: "id,name,level,path",
+            paging: false,
+        });
+        filters.forEach((filter) => params.append("filter", filter));
+        const { data } = await api.get("/api/organisationUnits.json", {
+            params,
+            responseType: "json",
+            headers: { Accept: "application/json" },
+        });
+        return data.organisationUnits || [];
+    }
+
+    /**
+     * Resolves one level of a selection (without its exclusions)
+     * @private
+     * @returns {Promise<Map<string, Object>>} org units by id
+     */
+    static async match(api, selection, dataSets, fallbackToDataSets) {
+        const criteria = {};
+        for (const key of OrgUnitSelector.CRITERIA) {
+            const values =
+                key === "dataSets" && selection.dataSets === true
+                    ? dataSets
+                    : selection[key];
+            if (values?.length) criteria[key] = values;
+        }
+        const boundary = selection.boundary || [];
+        if (
+            !Object.keys(criteria).length &&
+            !boundary.length &&
+            fallbackToDataSets
+        ) {
+            criteria.dataSets = dataSets;
+        }
+
+        // A boundary on its own selects its whole subtree
+        const queries = Object.keys(criteria).length
+            ? Object.entries(criteria).flatMap(([key, values]) =>
+                  chunk(values, FILTER_CHUNK_SIZE).map((part) =>
+                      CRITERIA[key](part),
+                  ),
+              )
+            : [null];
+        const units = new Map();
+        for (const filter of queries) {
+            for (const parent of boundary.length ? boundary : [null]) {
+                const filters = [
+                    ...(filter ? [filter] : []),
+                    ...(parent ? [`path:like:${parent}`] : []),
+                ];
+                if (!filters.length) continue;
+                for (const unit of await OrgUnitSelector.fetch(api, filters)) {
+                    // path:like is a substring match; check the UID is in the path
+                    if (
+                        parent &&
+                        !(unit.path || "").split("/").includes(parent)
+                    ) {
+                        continue;
+                    }
+                    units.set(unit.id, unit);
+                }
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Resolves the selection to a de-duplicated list of org units, sorted
+     * by level and name
+     * @param {{source: import("axios").AxiosInstance, destination: import("axios").AxiosInstance}} apis
+     * @param {Object} [options]
+     * @param {string[]} [options.dataSets] datasets being transferred
+     * @returns {Promise<{id: string, name: string, level: number, path: string}[]>}
+     */
+    async resolve(apis, { dataSets = [] } = {}) {
+        const api = apis[this.from];
+        const units = await OrgUnitSelector.match(
+            api,
+            this.selection,
+            dataSets,
+            true,
+        );
+        const { exclude } = this.selection;
+        if (exclude) {
+            const excluded = await OrgUnitSelector.match(
+                api,
+                exclude,
+                dataSets,
+                false,
+            );
+            excluded.forEach((unit, id) => units.delete(id));
+        }
+        return orderBy([...units.values()], ["level", "name"]);
+    }
+
+    /**
+     * Describes the selection, e.g. "levels 5, 6 within ImspTQPwCqd"
+     * @param {OrgUnitSelection} [selection] default this selector's selection
+     * @returns {string}
+     */
+    describe(selection = this.selection) {
+        const parts = OrgUnitSelector.CRITERIA.filter(
+            (key) => selection[key] !== undefined,
+        ).map((key) =>
+            key === "dataSets" && selection.dataSets === true
+                ? "assigned to the datasets"
+                : `${key} ${abbreviate(selection[key])}`,
+        );
+        let description = parts.join(" + ") || "assigned to the datasets";
+        if (selection.boundary?.length) {
+            description = `${
+                parts.length ? description : "all"
+            } within ${abbreviate(selection.boundary)}`;
+        }
+        if (selection.exclude) {
+            description += `, excluding ${this.describe(selection.exclude)}`;
+        }
+        return description;
+    }
+
+    /**
+     * Logs the resolved org units: the total, the count per level and the
+     * first names
+     * @param {Object[]} units
+     * @param {Object} logger
+     * @param {number} [limit=10] names to list
+     */
+    preview(units, logger, limit = 10) {
+        const levels = new Map();
+        for (const unit of units) {
+            levels.set(unit.level, (levels.get(unit.level) || 0) + 1);
+        }
+        (units.length ? logger.info : logger.warn)(
+            `Selected ${units.length} ${this.from} org units (${this.describe()})${
+                levels.size
+                    ? `: ${[...levels]
+                          .map(
+                              ([level, count]) =>
+                                  `${count} at level ${level ?? "?"}`,
+                          )
+                          .join(", ")}`
+                    : ""
+            }`,
+        );
+        if (!units.length) return;
+        const names = units.slice(0, limit).map((unit) => unit.name);
+        logger.info(
+            `  ${names.join(", ")}${
+                units.length > limit ? ` and ${units.length - limit} more` : ""
+            }`,
+        );
+    }
+}
+
+module.exports = OrgUnitSelector;
@@ -0,0 +1,330 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Period types built from whole months: length in months, first month of
+ * the year (0 = January) and the DHIS2 ISO identifier format
+ */
+const MONTH_BASED = {
+    monthly: {
+        months: 1,
+        offset: 0,
+        format: (year, month) => `${year}${pad(month + 1)}`,
+    },
+    bimonthly: {
+        months: 2,
+        offset: 0,
+        format: (year, month) => `${year}${pad(month / 2 + 1)}B`,
+    },
+    quarterly: {
+        months: 3,
+        offset: 0,
+        format: (year, month) => `${year}Q${month / 3 + 1}`,
+    },
+    sixmonthly: {
+        months: 6,
+        offset: 0,
+        format: (year, month) => `${year}S${month / 6 + 1}`,
+    },
+    yearly: { months: 12, offset: 0, format: (year) => `${year}` },
+    financialapril: {
+        months: 12,
+        offset: 3,
+        format: (year) => `${year}April`,
+    },
+    financialjuly: {
+        months: 12,
+        offset: 6,
+        format: (year) => `${year}July`,
+    },
+    financialoct: { months: 12, offset: 9, format: (year) => `${year}Oct` },
+    financialnov: {
+        months: 12,
+        offset: 10,
+        format: (year) => `${year}Nov`,
+    },
+};
+
+const PERIOD_TYPES = ["daily", "weekly", ...Object.keys(MONTH_BASED)];
+
+const FINANCIAL_SUFFIXES = {
+    April: "financialapril",
+    July: "financialjuly",
+    Oct: "financialoct",
+    Nov: "financialnov",
+};
+
+/**
+ * @typedef {Object} Period
+ * @property {string} id DHIS2 ISO period identifier, e.g. 2024Q4
+ * @property {string} type lower-case period type, e.g. quarterly
+ * @property {string} startDate first day (YYYY-MM-DD)
+ * @property {string} endDate last day (YYYY-MM-DD)
+ */
+
+function pad(number) {
+    return String(number).padStart(2, "0");
+}
+
+function toDate(dateString) {
+    return new Date(`${dateString}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalises a period type name, accepting DHIS2 names such as "FinancialJuly"
+ * @param {string} periodType
+ * @returns {string}
+ * @throws {Error} for unsupported period types
+ */
+function normalizePeriodType(periodType) {
+    const type = String(periodType).toLowerCase();
+    if (!PERIOD_TYPES.includes(type)) {
+        throw new Error(`Unsupported period type: ${periodType}`);
+    }
+    return type;
+}
+
+/**
+ * Returns the Monday that starts ISO week 1 of the given ISO week-year
+ * @private
+ */
+function isoWeekOneStart(year) {
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    return new Date(jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY);
+}
+
+function weekPeriod(start) {
+    const thursday = new Date(start.getTime() + 3 * DAY);
+    const year = thursday.getUTCFullYear();
+    const week =
+        Math.round((start - isoWeekOneStart(year)) / (7 * DAY)) + 1;
+    return {
+        id: `${year}W${week}`,
+        type: "weekly",
+        startDate: formatDate(start),
+        endDate: formatDate(new Date(start.getTime() + 6 * DAY)),
+    };
+}
+
+function monthBasedPeriod(type, monthIndex) {
+    const { months, format } = MONTH_BASED[type];
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    const start = new Date(Date.UTC(year, month, 1));
+    const end = new Date(Date.UTC(year, month + months, 0));
+    return {
+        id: format(start.getUTCFullYear(), start.getUTCMonth()),
+        type,
+        startDate: formatDate(start),
+        endDate: formatDate(end),
+    };
+}
+
+/**
+ * Returns the period of the given type that contains a date
+ * @param {string} periodType
+ * @param {string|Date} date
+ * @returns {Period}
+ */
+function periodContaining(periodType, date) {
+    const type = normalizePeriodType(periodType);
+    const day = typeof date === "string" ? toDate(date) : date;
+    const utcDay = new Date(
+        Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()),
+    );
+
+    if (type === "daily") {
+        const dateString = formatDate(utcDay);
+        return {
+            id: dateString.replace(/-/g, ""),
+            type,
+            startDate: dateString,
+            endDate: dateString,
+        };
+    }
+    if (type === "weekly") {
+        return weekPeriod(
+            new Date(utcDay.getTime() - ((utcDay.getUTCDay() + 6) % 7) * DAY),
+        );
+    }
+
+    const { months, offset } = MONTH_BASED[type];
+    const monthIndex = utcDay.getUTCFullYear() * 12 + utcDay.getUTCMonth();
+    const shift = (((monthIndex - offset) % months) + months) % months;
+    return monthBasedPeriod(type, monthIndex - shift);
+}
+
+/**
+ * Returns the period immediately after the given one
+ * @param {Period} period
+ * @returns {Period}
+ */
+function nextPeriod(period) {
+    return periodContaining(
+        period.type,
+        new Date(toDate(period.endDate).getTime() + DAY),
+    );
+}
+
+/**
+ * Returns the last period of the given type that ended before a date
+ * @param {string} periodType
+ * @param {Date} [date=new Date()]
+ * @returns {Period}
+ */
+function previousPeriod(periodType, date = new Date()) {
+    const current = periodContaining(periodType, date);
+    return periodContaining(
+        periodType,
+        new Date(toDate(current.startDate).getTime() - DAY),
+    );
+}
+
+/**
+ * Expands a date range into the periods of the given type that fall
+ * completely within it, matching DHIS2's startDate/endDate semantics
+ * @param {string} periodType
+ * @param {string} startDate YYYY-MM-DD
+ * @param {string} endDate YYYY-MM-DD
+ * @returns {Period[]}
+ */
+function periodsInRange(periodType, startDate, endDate) {
+    const periods = [];
+    let period = periodContaining(periodType, startDate);
+    if (period.startDate < startDate) period = nextPeriod(period);
+    while (period.endDate <= endDate) {
+        periods.push(period);
+        period = nextPeriod(period);
+    }
+    return periods;
+}
+
+/**
+ * Parses a DHIS2 ISO period identifier
+ * @param {string} id e.g. 202410, 2024Q4, 2024W40, 2024, 2024July
+ * @returns {Period}
+ * @throws {Error} for identifiers that are not valid periods
+ */
+function parsePeriod(id) {
+    const patterns = [
+        [/^(\d{4})(\d{2})(\d{2})$/, "daily"],
+        [/^(\d{4})W(\d{1,2})$/, "weekly"],
+        [/^(\d{4})(\d{2})$/, "monthly"],
+        [/^(\d{4})(\d{2})B$/, "bimonthly"],
+        [/^(\d{4})Q([1-4])$/, "quarterly"],
+        [/^(\d{4})S([12])$/, "sixmonthly"],
+        [/^(\d{4})$/, "yearly"],
+        [/^(\d{4})(April|July|Oct|Nov)$/, null],
+    ];
+
+    for (const [pattern, patternType] of patterns) {
+        const match = pattern.exec(id);
+        if (!match) continue;
+        const year = Number(match[1]);
+        const type = patternType || FINANCIAL_SUFFIXES[match[2]];
+        let period;
+
+        if (type === "daily") {
+            const date = toDate(`${match[1]}-${match[2]}-${match[3]}`);
+            if (isNaN(date)) break;
+            period = periodContaining(type, date);
+        } else if (type === "weekly") {
+            period = weekPeriod(
+                new Date(
+                    isoWeekOneStart(year).getTime() +
+                        (Number(match[2]) - 1) * 7 * DAY,
+                ),
+            );
+        } else {
+            const { months, offset } = MONTH_BASED[type];
+            const index = patternType ? Number(match[2] || 1) - 1 : 0;
+            const month =
+                type === "monthly" ? index : offset + index * months;
+            if (month < 0 || month > 11) break;
+            period = monthBasedPeriod(type, year * 12 + month);
+        }
+
+        if (period.id === id) return period;
+        break;
+    }
+    throw new Error(`Invalid period: ${id}`);
+}
+
+/**
+ * Finds the datasets that none of the given periods is of the type of.
+ * Their fetches would be empty, as each dataset is fetched only for the
+ * periods of its own type
+ * @param {string[]} datasets
+ * @param {string[]} periods valid period identifiers
+ * @param {(id: string) => string|undefined} typeOf period type of a
+ *   dataset, undefined when unknown, which takes every period
+ * @returns {{id: string, type: string}[]}
+ */
+function datasetsWithoutPeriods(datasets, periods, typeOf) {
+    const types = new Set(periods.map((pe) => parsePeriod(pe).type));
+    return datasets
+        .map((id) => ({ id, type: typeOf(id) }))
+        .filter(({ type }) => type && !types.has(type));
+}
+
+// ISO 8601 durations of the period types, as ADX writes periods
+const DURATIONS = {
+    daily: "P1D",
+    weekly: "P7D",
+    monthly: "P1M",
+    bimonthly: "P2M",
+    quarterly: "P3M",
+    sixmonthly: "P6M",
+    yearly: "P1Y",
+    financialapril: "P1Y",
+    financialjuly: "P1Y",
+    financialoct: "P1Y",
+    financialnov: "P1Y",
+};
+
+/**
+ * Writes a DHIS2 period as an ADX period: its first day and duration
+ * @param {string} id e.g. 202410
+ * @returns {string} e.g. 2024-10-01/P1M
+ * @throws {Error} for identifiers that are not valid periods
+ */
+function toAdxPeriod(id) {
+    const { type, startDate } = parsePeriod(id);
+    return `${startDate}/${DURATIONS[type]}`;
+}
+
+/**
+ * Reads an ADX period back as a DHIS2 period identifier
+ * @param {string} adxPeriod e.g. 2024-10-01/P1M
+ * @returns {string} e.g. 202410
+ * @throws {Error} when no supported period type starts on that day with that duration
+ */
+function fromAdxPeriod(adxPeriod) {
+    const [startDate, duration] = adxPeriod.trim().split("/");
+    for (const [type, typeDuration] of Object.entries(DURATIONS)) {
+        if (typeDuration !== duration?.toUpperCase()) continue;
+        try {
+            const period = periodContaining(type, startDate);
+            if (period.startDate === startDate) return period.id;
+        } catch (error) {
+            break;
+        }
+    }
+    throw new Error(`Unsupported ADX period: ${adxPeriod}`);
+}
+
+module.exports = {
+    PERIOD_TYPES,
+    normalizePeriodType,
+    periodContaining,
+    nextPeriod,
+    previousPeriod,
+    periodsInRange,
+    parsePeriod,
+    datasetsWithoutPeriods,
+    toAdxPeriod,
+    fromAdxPeriod,
+};
@@ -0,0 +1,625 @@
+const { chunk } = require("lodash");
+const { pipeline } = require("stream/promises");
+const ReportWriter = require("./reportWriter");
+const { ID_SCHEME_PARAMS } = require("./idSchemes");
+
+// Ids per request, keeping URLs well under server limits
+const FILTER_CHUNK_SIZE = 100;
+
+const COMBO_FIELDS = "id,name,categoryOptionCombos[id,name]";
+const DATA_SET_FIELDS = [
+    "id",
+    "name",
+    `categoryCombo[${COMBO_FIELDS}]`,
+    `dataSetElements[dataElement[id,name,categoryCombo[${COMBO_FIELDS}]],categoryCombo[${COMBO_FIELDS}]]`,
+    "organisationUnits[id,name]",
+].join(",");
+
+/**
+ * Report columns: errors reject the values they affect, warnings do not.
+ * Identifiers are those of the destination, names those of the source
+ * where the object is missing on the destination
+ */
+const COLUMNS = [
+    "severity",
+    "type",
+    "id",
+    "name",
+    "dataset",
+    "problem",
+    "sampledvalues",
+];
+
+/**
+ * @typedef {Object} PreflightIssue
+ * @property {string} severity error or warning
+ * @property {string} type dataSet, dataElement, categoryCombo,
+ *   categoryOptionCombo, attributeOptionCombo or orgUnit
+ * @property {string} id
+ * @property {string} [name]
+ * @property {string} [dataset]
+ * @property {string} problem
+ * @property {number} sampledvalues sampled source values it affects
+ */
+
+/**
+ * @typedef {Object} PreflightResult
+ * @property {PreflightIssue[]} issues
+ * @property {number} orgUnits org units selected for the transfer
+ * @property {number} sampled org units whose values were read
+ * @property {number} values valid source values in the sample
+ * @property {number} rejected of those, values the destination would reject
+ * @property {number} unmapped of those, values without a mapping, which are skipped
+ * @property {{values: number, rejected: number}|null} estimate for the
+ *   whole transfer, scaled from the sample; null when values were not sampled
+ */
+
+/**
+ * Report of the metadata problems found by a pre-flight check, one row per
+ * missing or mismatched object
+ */
+class PreflightReport {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     */
+    constructor(filePath) {
+        this.writer = new ReportWriter(filePath, COLUMNS);
+    }
+
+    get path() {
+        return this.writer.path;
+    }
+
+    get count() {
+        return this.writer.count;
+    }
+
+    /**
+     * @param {PreflightIssue[]} issues
+     */
+    add(issues) {
+        this.writer.add(issues);
+    }
+
+    close() {
+        return this.writer.close();
+    }
+}
+
+/**
+ * Reads the datasets with their elements, combos and org units
+ * @private
+ */
+async function fetchDataSets(api, ids) {
+    const dataSets = [];
+    for (const part of chunk(ids, FILTER_CHUNK_SIZE)) {
+        const { data } = await api.get("/api/dataSets.json", {
+            params: {
+                fields: DATA_SET_FIELDS,
+                filter: `id:in:[${part.join(",")}]`,
+                paging: false,
+            },
+            responseType: "json",
+            headers: { Accept: "application/json" },
+        });
+        dataSets.push(...data.dataSets);
+    }
+    return dataSets;
+}
+
+/**
+ * Reads data elements outside the datasets with their category combos
+ * @private
+ */
+async function fetchDataElements(api, ids) {
+    const dataElements = [];
+    for (const part of chunk(ids, FILTER_CHUNK_SIZE)) {
+        const { data } = await api.get("/api/dataElements.json", {
+            params: {
+                fields: `id,name,categoryCombo[${COMBO_FIELDS}]`,
+                filter: `id:in:[${part.join(",")}]`,
+                paging: false,
+            },
+            responseType: "json",
+            headers: { Accept: "application/json" },
+        });
+        dataElements.push(...data.dataElements);
+    }
+    return dataElements;
+}
+
+/**
+ * Indexes the data elements of datasets by UID, with what the datasets
+ * accept for each: the category option combos of its combo (a dataset
+ * element may override the data element's), and the attribute option
+ * combos and org units of the datasets it belongs to
+ * @private
+ */
+function indexElements(dataSets) {
+    const elements = new Map();
+    for (const dataSet of dataSets) {
+        const attributeCombos = (
+            dataSet.categoryCombo?.categoryOptionCombos || []
+        ).map(({ id }) => id);
+        const orgUnits = (dataSet.organisationUnits || []).map(({ id }) => id);
+        for (const { dataElement, categoryCombo } of dataSet.dataSetElements ||
+            []) {
+            const combo = categoryCombo || dataElement.categoryCombo;
+            const element = elements.get(dataElement.id) || {
+                id: dataElement.id,
+                name: dataElement.name,
+                combos: new Map(),
+                categoryOptionCombos: new Map(),
+                attributeOptionCombos: new Set(),
+                orgUnits: new Set(),
+                dataSets: [],
+            };
+            if (combo) {
+                element.combos.set(combo.id, combo);
+                for (const { id, name } of combo.categoryOptionCombos || []) {
+                    element.categoryOptionCombos.set(id, name);
+                }
+            }
+            attributeCombos.forEach((id) =>
+                element.attributeOptionCombos.add(id),
+            );
+            orgUnits.forEach((id) => element.orgUnits.add(id));
+            element.dataSets.push(dataSet.id);
+            elements.set(dataElement.id, element);
+        }
+    }
+    return elements;
+}
+
+/**
+ * Compares the metadata of the transferred datasets on both instances
+ * before a transfer: data elements, category combos and their option
+ * combos, attribute option combos and org unit assignments, in destination
+ * identifiers after mappings. It then reads the source values of a sample
+ * of the org units, as a transfer would, to count those the destination
+ * would reject and to estimate that number for the whole transfer.
+ *
+ * The estimate checks values in UIDs; with other ID schemes only the
+ * metadata is compared
+ */
+class PreflightCheck {
+    /**
+     * @param {import("./main")} transfer with its mappings and rules loaded
+     * @param {Object} [options]
+     * @param {number} [options.sample=10] org units whose values are read,
+     *   spread over the selection; 0 reads them all
+     */
+    constructor(transfer, { sample = 10 } = {}) {
+        this.transfer = transfer;
+        this.sample = sample;
+        /** @type {Map<string, PreflightIssue>} */
+        this.issues = new Map();
+        this.elements = new Map();
+        this.otherElements = new Map();
+    }
+
+    /**
+     * Records a problem once per object
+     * @private
+     * @returns {PreflightIssue}
+     */
+    issue(key, fields) {
+        if (!this.issues.has(key)) {
+            this.issues.set(key, { ...fields, sampledvalues: 0 });
+        }
+        return this.issues.get(key);
+    }
+
+    /**
+     * @private
+     */
+    toDestination(type, id) {
+        return this.transfer.mapping?.destinationIdFor(type, id) ?? id;
+    }
+
+    /**
+     * Compares the datasets on both instances, recording what is missing
+     * or mismatched on the destination
+     * @param {string[]} datasets
+     * @param {{id: string, name: string}[]} orgUnits selected org units,
+     *   in destination identifiers
+     */
+    async compare(datasets, orgUnits) {
+        const { transfer } = this;
+        const [sourceSets, destinationSets] = await Promise.all([
+            fetchDataSets(transfer.sourceApi, datasets),
+            fetchDataSets(transfer.destApi, datasets),
+        ]);
+        this.elements = indexElements(destinationSets);
+
+        // Data elements outside the datasets still accept values
+        const sourceElements = indexElements(sourceSets);
+        const outside = [...sourceElements.keys()]
+            .map((id) => this.toDestination("dataElement", id))
+            .filter((id) => !this.elements.has(id));
+        this.otherElements = new Map(
+            (await fetchDataElements(transfer.destApi, outside)).map(
+                (dataElement) => [dataElement.id, dataElement],
+            ),
+        );
+
+        for (const id of datasets) {
+            const source = sourceSets.find((dataSet) => dataSet.id === id);
+            const destination = destinationSets.find(
+                (dataSet) => dataSet.id === id,
+            );
+            if (!source) {
+                this.issue(`dataSet|${id}`, {
+                    severity: "warning",
+                    type: "dataSet",
+                    id,
+                    problem: "missing on the source; nothing is exported",
+                });
+                continue;
+            }
+            if (!destination) {
+                this.issue(`dataSet|${id}`, {
+                    severity: "error",
+                    type: "dataSet",
+                    id,
+                    name: source.name,
+                    problem: "missing on the destination",
+                });
+                continue;
+            }
+            this.compareElements(source, sourceElements);
+            this.compareAttributeCombos(source, destination);
+            this.compareOrgUnits(destination, orgUnits);
+        }
+    }
+
+    /**
+     * @private
+     */
+    compareElements(source, sourceElements) {
+        for (const { dataElement } of source.dataSetElements || []) {
+            const element = sourceElements.get(dataElement.id);
+            const id = this.toDestination("dataElement", element.id);
+            let accepted = this.elements.get(id);
+            if (!accepted) {
+                const other = this.otherElements.get(id);
+                if (!other) {
+                    this.issue(`dataElement|${id}`, {
+                        severity: "error",
+                        type: "dataElement",
+                        id,
+                        name: element.name,
+                        dataset: source.id,
+                        problem: "missing on the destination",
+                    });
+                    continue;
+                }
+                this.issue(`dataElement|${id}`, {
+                    severity: "warning",
+                    type: "dataElement",
+                    id,
+                    name: element.name,
+                    dataset: source.id,
+                    problem: "not in the dataset on the destination",
+                });
+                accepted = indexElements([
+                    { dataSetElements: [{ dataElement: other }] },
+                ]).get(id);
+            }
+            // Mapped option combos may legitimately sit in other combos;
+            // they are checked one by one below
+            for (const [comboId, combo] of element.combos) {
+                if (this.transfer.mapping || accepted.combos.has(comboId)) {
+                    continue;
+                }
+                this.issue(`categoryCombo|${comboId}|${id}`, {
+                    severity: "warning",
+                    type: "categoryCombo",
+                    id: comboId,
+                    name: combo.name,
+                    dataset: source.id,
+                    problem: `data element ${id} uses ${[...accepted.combos.keys()].join(", ")} on the destination`,
+                });
+            }
+            for (const [combo, name] of element.categoryOptionCombos) {
+                const comboId = this.toDestination(
+                    "categoryOptionCombo",
+                    combo,
+                );
+                if (accepted.categoryOptionCombos.has(comboId)) continue;
+                this.issue(`categoryOptionCombo|${comboId}|${id}`, {
+                    severity: "error",
+                    type: "categoryOptionCombo",
+                    id: comboId,
+                    name,
+                    dataset: source.id,
+                    problem: `not in the category combo of data element ${id} on the destination`,
+                });
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    compareAttributeCombos(source, destination) {
+        const accepted = new Set(
+            (destination.categoryCombo?.categoryOptionCombos || []).map(
+                ({ id }) => id,
+            ),
+        );
+        for (const { id: combo, name } of source.categoryCombo
+            ?.categoryOptionCombos || []) {
+            const id = this.toDestination("attributeOptionCombo", combo);
+            if (accepted.has(id)) continue;
+            this.issue(`attributeOptionCombo|${id}|${source.id}`, {
+                severity: "error",
+                type: "attributeOptionCombo",
+                id,
+                name,
+                dataset: source.id,
+                problem:
+                    "not in the attribute combo of the dataset on the destination",
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    compareOrgUnits(destination, orgUnits) {
+        const assigned = new Set(
+            (destination.organisationUnits || []).map(({ id }) => id),
+        );
+        for (const orgUnit of orgUnits) {
+            if (assigned.has(orgUnit.id)) continue;
+            this.issue(`orgUnit|${orgUnit.id}|${destination.id}`, {
+                severity: "error",
+                type: "orgUnit",
+                id: orgUnit.id,
+                name: orgUnit.name,
+                dataset: destination.id,
+                problem: "not assigned to the dataset on the destination",
+            });
+        }
+    }
+
+    /**
+     * Finds the problem that would get a mapped data value rejected
+     * @param {Object} dataValue in destination identifiers
+     * @returns {PreflightIssue|null}
+     */
+    rejection(dataValue) {
+        const {
+            dataElement,
+            categoryOptionCombo,
+            attributeOptionCombo,
+            orgUnit,
+        } = dataValue;
+        const element = this.elements.get(dataElement);
+        const other = !element && this.otherElements.get(dataElement);
+        if (!element && !other) {
+            return this.issue(`dataElement|${dataElement}`, {
+                severity: "error",
+                type: "dataElement",
+                id: dataElement,
+                problem: "missing on the destination",
+            });
+        }
+        const accepted =
+            element ||
+            indexElements([{ dataSetElements: [{ dataElement: other }] }]).get(
+                dataElement,
+            );
+        // An empty combo is the default, which the destination fills in
+        if (
+            categoryOptionCombo &&
+            !accepted.categoryOptionCombos.has(categoryOptionCombo)
+        ) {
+            return this.issue(
+                `categoryOptionCombo|${categoryOptionCombo}|${dataElement}`,
+                {
+                    severity: "error",
+                    type: "categoryOptionCombo",
+                    id: categoryOptionCombo,
+                    problem: `not in the category combo of data element ${dataElement} on the destination`,
+                },
+            );
+        }
+        // Dataset settings only bind data elements within the datasets
+        if (!element) return null;
+        if (
+            attributeOptionCombo &&
+            !element.attributeOptionCombos.has(attributeOptionCombo)
+        ) {
+            const [dataset] = element.dataSets;
+            return this.issue(
+                `attributeOptionCombo|${attributeOptionCombo}|${dataset}`,
+                {
+                    severity: "error",
+                    type: "attributeOptionCombo",
+                    id: attributeOptionCombo,
+                    dataset,
+                    problem:
+                        "not in the attribute combo of the dataset on the destination",
+                },
+            );
+        }
+        if (!element.orgUnits.has(orgUnit)) {
+            const [dataset] = element.dataSets;
+            return this.issue(`orgUnit|${orgUnit}|${dataset}`, {
+                severity: "error",
+                type: "orgUnit",
+                id: orgUnit,
+                dataset,
+                problem: "not assigned to the dataset on the destination",
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Picks the org units whose values are read, evenly over the selection
+     * @private
+     */
+    sampleOrgUnits(orgUnits) {
+        if (!this.sample || orgUnits.length <= this.sample) return orgUnits;
+        const step = orgUnits.length / this.sample;
+        return Array.from(
+            { length: this.sample },
+            (_, index) => orgUnits[Math.floor(index * step)],
+        );
+    }
+
+    /**
+     * Reads the source values of one org unit and fetch, counting those
+     * the destination would reject
+     * @private
+     */
+    async sampleUnit(orgUnit, datasets, range, counts) {
+        const { transfer } = this;
+        const format = transfer.exportFormat;
+        const { query } = transfer.exportQuery(
+            datasets,
+            transfer.sourceOrgUnitId(orgUnit),
+            range,
+            transfer.sourceIdSchemes,
+        );
+        format.exportQuery(query);
+        const { data } = await transfer.sourceApi.get(
+            `${format.exportPath}?${query}`,
+            { responseType: "stream", headers: { Accept: format.accept } },
+        );
+        const rules = transfer.rules?.session();
+        const check = (dataValue) => {
+            let mapped = dataValue;
+            if (transfer.mapping) {
+                ({ dataValue: mapped } = transfer.mapping.apply(dataValue));
+                if (!mapped) {
+                    counts.unmapped++;
+                    return;
+                }
+            }
+            const issue = this.rejection(mapped);
+            if (!issue) return;
+            issue.sampledvalues++;
+            counts.rejected++;
+        };
+        await pipeline(data, format.reader(), async (rows) => {
+            for await (const row of rows) {
+                if (!transfer.isValidDataValue(row)) continue;
+                counts.values++;
+                const dataValue = transfer.normalizeDataValue(row);
+                const transformed = rules ? rules.apply(dataValue) : dataValue;
+                if (transformed) check(transformed);
+            }
+        });
+        rules?.finish().forEach(check);
+    }
+
+    /**
+     * Runs the check
+     * @param {string[]} datasets
+     * @param {Object[]} orgUnits selected org units, as resolved for the transfer
+     * @param {{datasets: string[], key: string}[]} fetches the transfer's fetches per org unit
+     * @param {(orgUnit: Object, fetch: Object) => Object} rangeFor export range of a fetch
+     * @returns {Promise<PreflightResult>}
+     */
+    async run(datasets, orgUnits, fetches, rangeFor) {
+        const { transfer } = this;
+        await this.compare(
+            datasets,
+            orgUnits.map((orgUnit) => ({
+                ...orgUnit,
+                id: transfer.destinationOrgUnitId(orgUnit),
+            })),
+        );
+        const counts = { values: 0, rejected: 0, unmapped: 0 };
+        const byUid = [transfer.sourceIdSchemes, transfer.destIdSchemes].every(
+            (schemes) =>
+                Object.entries(schemes).every(
+                    ([param, scheme]) =>
+                        !(param in ID_SCHEME_PARAMS) || scheme === "UID",
+                ),
+        );
+        const sampled = byUid ? this.sampleOrgUnits(orgUnits) : [];
+        if (!byUid) {
+            transfer.logger.warn(
+                "Pre-flight: values are only checked in UIDs; comparing metadata only",
+            );
+        }
+        // The sample must not count towards the transfer's rule and
+        // mapping summaries
+        const mappingStats = transfer.mapping && { ...transfer.mapping.stats };
+        const ruleCounts = transfer.rules?.rules.map(({ changed }) => changed);
+        try {
+            for (const [index, orgUnit] of sampled.entries()) {
+                transfer.logger.info(
+                    `Pre-flight: reading values of ${orgUnit.name} (${index + 1}/${sampled.length})...`,
+                );
+                for (const fetch of fetches) {
+                    await this.sampleUnit(
+                        orgUnit,
+                        fetch.datasets,
+                        rangeFor(orgUnit, fetch),
+                        counts,
+                    );
+                }
+            }
+        } finally {
+            if (mappingStats)
+                Object.assign(transfer.mapping.stats, mappingStats);
+            ruleCounts?.forEach((changed, index) => {
+                transfer.rules.rules[index].changed = changed;
+            });
+        }
+        const scale = sampled.length ? orgUnits.length / sampled.length : 0;
+        return {
+            issues: [...this.issues.values()],
+            orgUnits: orgUnits.length,
+            sampled: sampled.length,
+            ...counts,
+            estimate: sampled.length
+                ? {
+                      values: Math.round(counts.values * scale),
+                      rejected: Math.round(counts.rejected * scale),
+                  }
+                : null,
+        };
+    }
+
+    /**
+     * Parses a rejection threshold: a number of values or a percentage
+     * @param {number|string} value e.g. 100 or "5%"
+     * @returns {{count: number}|{percent: number}}
+     * @throws {Error} for anything else
+     */
+    static parseThreshold(value) {
+        const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(String(value).trim());
+        if (!match || (!match[2] && !Number.isInteger(Number(match[1])))) {
+            throw new Error(
+                "must be a number of values or a percentage such as 5%",
+            );
+        }
+        return match[2]
+            ? { percent: Number(match[1]) }
+            : { count: Number(match[1]) };
+    }
+
+    /**
+     * Whether a result has more rejected values than a threshold allows
+     * @param {PreflightResult} result
+     * @param {{count: number}|{percent: number}} threshold
+     * @returns {boolean}
+     */
+    static exceeds(result, threshold) {
+        if (!result.estimate) return false;
+        const { values, rejected } = result.estimate;
+        if ("percent" in threshold) {
+            return values > 0 && (rejected / values) * 100 > threshold.percent;
+        }
+        return rejected > threshold.count;
+    }
+}
+
+module.exports = { PreflightCheck, PreflightReport };
@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+const { chunk } = require("lodash");
+const { pipeline } = require("stream/promises");
+const ReportWriter = require("./reportWriter");
+const { UnitResult } = require("./strategies/base");
+const { CsvFormat } = require("./formats");
+
+/**
+ * Report columns; the data value columns use the DHIS2 CSV header names.
+ * Identifiers are those of the destination
+ */
+const COLUMNS = [
+    "dataelement",
+    "period",
+    "orgunit",
+    "categoryoptioncombo",
+    "attributeoptioncombo",
+    "status",
+    "sourcevalue",
+    "destinationvalue",
+    "sourcecomment",
+    "destinationcomment",
+];
+
+/**
+ * @typedef {Object} ReconciliationCounts
+ * @property {number} source values exported by the source
+ * @property {number} destination values exported by the destination
+ * @property {number} matched values equal on both
+ * @property {number} missing source values absent from the destination
+ * @property {number} extra destination values absent from the source
+ * @property {number} different values present on both with another value or comment
+ * @property {number} unmapped source values without a mapping, not compared
+ * @property {number} repushed missing and differing values imported again
+ */
+const COUNTS = [
+    "source",
+    "destination",
+    "matched",
+    "missing",
+    "extra",
+    "different",
+    "unmapped",
+    "repushed",
+];
+
+// Identifies a data value within an export
+const valueKey = (dataValue) =>
+    [
+        dataValue.dataElement,
+        dataValue.period,
+        dataValue.orgUnit,
+        dataValue.categoryOptionCombo || "",
+        dataValue.attributeOptionCombo || "",
+    ].join("|");
+
+// Hashes what an import would change: the value and its comment
+const valueHash = (dataValue) =>
+    crypto
+        .createHash("sha1")
+        .update(`${dataValue.value}\u0000${dataValue.comment || ""}`)
+        .digest("base64");
+
+/**
+ * Report of the values that differ between the source and destination,
+ * one row per missing, extra or differing value
+ */
+class ReconciliationReport {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     */
+    constructor(filePath) {
+        this.writer = new ReportWriter(filePath, COLUMNS);
+    }
+
+    get path() {
+        return this.writer.path;
+    }
+
+    get count() {
+        return this.writer.count;
+    }
+
+    /**
+     * @param {{status: string, source?: Object, destination?: Object}[]} entries
+     */
+    add(entries) {
+        this.writer.add(
+            entries.map(({ status, source, destination }) => {
+                const dataValue = source || destination;
+                return {
+                    dataelement: dataValue.dataElement,
+                    period: dataValue.period,
+                    orgunit: dataValue.orgUnit,
+                    categoryoptioncombo: dataValue.categoryOptionCombo,
+                    attributeoptioncombo: dataValue.attributeOptionCombo,
+                    status,
+                    sourcevalue: source?.value,
+                    destinationvalue: destination?.value,
+                    sourcecomment: source?.comment,
+                    destinationcomment: destination?.comment,
+                };
+            }),
+        );
+    }
+
+    close() {
+        return this.writer.close();
+    }
+}
+
+/**
+ * Reads the values of an org unit and range back from both instances and
+ * compares them by row and value hash. Source values are validated,
+ * transformed and mapped as a transfer would, so that they are compared in
+ * destination identifiers; a unit's source values are held in memory while
+ * the destination export is read
+ */
+class Reconciler {
+    static COUNTS = COUNTS;
+
+    /**
+     * @param {import("./main")} transfer
+     * @param {Object} [options]
+     * @param {ReconciliationReport} [options.report] receives every mismatch
+     * @param {boolean} [options.repush=false] import missing and differing values again
+     */
+    constructor(transfer, { report = null, repush = false } = {}) {
+        this.transfer = transfer;
+        this.report = report;
+        this.repush = repush;
+    }
+
+    /**
+     * @returns {ReconciliationCounts} all zero
+     */
+    static emptyCounts() {
+        return Object.fromEntries(COUNTS.map((name) => [name, 0]));
+    }
+
+    /**
+     * Formats counts for logging
+     * @param {ReconciliationCounts} counts
+     */
+    static format({ matched, missing, extra, different, unmapped, repushed }) {
+        return `matched ${matched}, missing ${missing}, extra ${extra}, different ${different}${
+            unmapped ? `, unmapped ${unmapped}` : ""
+        }${repushed ? `, re-pushed ${repushed}` : ""}`;
+    }
+
+    /**
+     * Streams a CSV export, passing each row to a callback
+     * @private
+     */
+    async read(api, query, onRow) {
+        const { data } = await api.get(`/api/dataValueSets.csv?${query}`, {
+            responseType: "stream",
+            headers: { Accept: "text/csv" },
+        });
+        await pipeline(data, new CsvFormat().reader(), async (rows) => {
+            for await (const row of rows) onRow(row);
+        });
+    }
+
+    /**
+     * Compares the values of one org unit and range
+     * @param {Object} unit
+     * @param {string[]} unit.datasets
+     * @param {{id: string, name: string, sourceId?: string}} unit.orgUnit
+     * @param {Object} unit.range periods or dates, as for an export
+     * @returns {Promise<ReconciliationCounts>}
+     * @throws {Error} when an export fails or a re-pushed batch fails to import
+     */
+    async verify({ datasets, orgUnit, range }) {
+        const { transfer } = this;
+        const counts = Reconciler.emptyCounts();
+
+        const expected = new Map();
+        const rules = transfer.rules?.session();
+        const expect = (dataValue) => {
+            let mapped = dataValue;
+            if (transfer.mapping) {
+                ({ dataValue: mapped } = transfer.mapping.apply(dataValue));
+                if (!mapped) {
+                    counts.unmapped++;
+                    return;
+                }
+            }
+            expected.set(valueKey(mapped), mapped);
+        };
+        const source = transfer.exportQuery(
+            datasets,
+            transfer.sourceOrgUnitId(orgUnit),
+            range,
+            transfer.sourceIdSchemes,
+        );
+        await this.read(transfer.sourceApi, source.query, (row) => {
+            if (!transfer.isValidDataValue(row)) return;
+            counts.source++;
+            const dataValue = transfer.normalizeDataValue(row);
+            // Values dropped by a rule are not expected on the destination
+            const transformed = rules ? rules.apply(dataValue) : dataValue;
+            if (transformed) expect(transformed);
+        });
+        rules?.finish().forEach(expect);
+
+        const mismatches = [];
+        const destination = transfer.exportQuery(
+            datasets,
+            transfer.destinationOrgUnitId(orgUnit),
+            range,
+            transfer.destIdSchemes,
+        );
+        await this.read(transfer.destApi, destination.query, (row) => {
+            if (!row.dataelement || !row.period || !row.orgunit) return;
+            counts.destination++;
+            const actual = transfer.normalizeDataValue({
+                ...row,
+                value: row.value || "",
+            });
+            const key = valueKey(actual);
+            const wanted = expected.get(key);
+            if (!wanted) {
+                counts.extra++;
+                mismatches.push({ status: "extra", destination: actual });
+                return;
+            }
+            expected.delete(key);
+            if (valueHash(wanted) === valueHash(actual)) {
+                counts.matched++;
+                return;
+            }
+            counts.different++;
+            mismatches.push({
+                status: "different",
+                source: wanted,
+                destination: actual,
+            });
+        });
+        // What is left was not found on the destination
+        for (const dataValue of expected.values()) {
+            counts.missing++;
+            mismatches.push({ status: "missing", source: dataValue });
+        }
+        this.report?.add(mismatches);
+
+        const repush = mismatches
+            .filter(({ source }) => source)
+            .map(({ source }) => source);
+        if (this.repush && repush.length) {
+            const result = new UnitResult(transfer, orgUnit);
+            for (const batch of chunk(repush, transfer.batchSize)) {
+                await result.upload(batch);
+            }
+            counts.repushed = (await result.finish()).count;
+        }
+        return counts;
+    }
+}
+
+module.exports = { Reconciler, ReconciliationReport };
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+
+/**
+ * Writes report rows to a CSV or JSON file, chosen by the file extension.
+ * CSV rows are appended as they arrive so that a crashed run still leaves a
+ * usable report; JSON reports are written as an array when closed. The file
+ * is only created once the first row is added. A report opened to append,
+ * e.g. by a resumed run, keeps the rows an earlier attempt wrote there.
+ */
+class ReportWriter {
+    /**
+     * @param {string} filePath ending in .csv or .json
+     * @param {string[]} columns column order for CSV reports
+     * @param {Object} [options]
+     * @param {boolean} [options.append=false] add to an existing report
+     *   instead of replacing it
+     */
+    constructor(filePath, columns, { append = false } = {}) {
+        const extension = path.extname(filePath).toLowerCase();
+        if (![".csv", ".json"].includes(extension)) {
+            throw new Error(
+                `Unsupported report format "${extension}" for ${filePath}. Use .csv or .json`,
+            );
+        }
+        this.path = filePath;
+        this.format = extension.slice(1);
+        this.columns = columns;
+        this.append = append;
+        this.count = 0;
+        this.rows = [];
+    }
+
+    /**
+     * Adds rows to the report
+     * @param {Object[]} rows objects keyed by column name
+     */
+    add(rows) {
+        if (!rows.length) return;
+        if (this.count === 0) {
+            fs.mkdirSync(path.dirname(this.path), { recursive: true });
+            const existing = this.append && fs.existsSync(this.path);
+            if (existing && this.format === "json") {
+                this.rows = JSON.parse(fs.readFileSync(this.path, "utf8"));
+            } else if (!existing && this.format === "csv") {
+                fs.writeFileSync(this.path, `${this.columns.join(",")}\n`);
+            }
+        }
+        this.count += rows.length;
+
+        if (this.format === "json") {
+            this.rows.push(...rows);
+            return;
+        }
+        const csv = Papa.unparse(rows, {
+            columns: this.columns,
+            header: false,
+            newline: "\n",
+        });
+        fs.appendFileSync(this.path, `${csv}\n`);
+    }
+
+    /**
+     * Finishes the report
+     * @returns {string|null} the report path, or null when nothing was written
+     */
+    close() {
+        if (this.count === 0) return null;
+        if (this.format === "json") {
+            fs.writeFileSync(this.path, JSON.stringify(this.rows, null, 2));
+        }
+        return this.path;
+    }
+}
+
+module.exports = ReportWriter;
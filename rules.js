@@ -0,0 +1,565 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const RULE_TYPES = ["filter", "map", "rename", "aggregate"];
+const SCOPE_KEYS = ["dataElements", "dataSets", "categoryOptionCombos"];
+const RULE_KEYS = {
+    filter: ["drop"],
+    map: ["values", "scale", "round"],
+    rename: ["to"],
+    aggregate: ["into"],
+};
+const DROP_CONDITIONS = ["empty", "zero", "negative", "nonNumeric"];
+const RENAME_FIELDS = [
+    "dataElement",
+    "categoryOptionCombo",
+    "attributeOptionCombo",
+];
+const NUMERIC_VALUE_TYPES = new Set([
+    "NUMBER",
+    "INTEGER",
+    "INTEGER_POSITIVE",
+    "INTEGER_NEGATIVE",
+    "INTEGER_ZERO_OR_POSITIVE",
+    "PERCENTAGE",
+    "UNIT_INTERVAL",
+]);
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+// What an aggregate sums over: the value's key without its combo
+const sumKey = (dataValue) =>
+    [
+        dataValue.dataElement,
+        dataValue.period,
+        dataValue.orgUnit,
+        dataValue.attributeOptionCombo || "",
+    ].join("|");
+
+// Drops floating point noise such as 0.30000000000000004
+const formatNumber = (number) => String(Number(number.toPrecision(15)));
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} type filter, map, rename or aggregate
+ * @property {string} [name] used in the summary, default "<type> #<position>"
+ * @property {string[]} [dataElements] only values of these data elements
+ * @property {string[]} [dataSets] only values of these datasets' data elements
+ * @property {string[]} [categoryOptionCombos] only values of these combos; for
+ *   aggregate, the combos that are summed
+ * @property {string[]} [drop] filter: empty, zero, negative and/or nonNumeric
+ *   (non-numeric values of numeric data elements)
+ * @property {Object<string, string>} [values] map: rewrites whole values, e.g. option codes
+ * @property {number} [scale] map: multiplies numeric values
+ * @property {number} [round] map: decimals numeric values are rounded to
+ * @property {Object<string, string>} [to] rename: new dataElement, categoryOptionCombo
+ *   and/or attributeOptionCombo
+ * @property {string} [into] aggregate: the combo receiving the sum
+ */
+
+/**
+ * Transforms data values before they are mapped and uploaded. Rules apply
+ * in order, each to the values within its scope, and count the values they
+ * change. They see the source identifiers, as exported; renamed and
+ * aggregated values still go through the metadata mapping afterwards.
+ *
+ * Aggregate rules sum the values of several category option combos into
+ * one, per data element, period, org unit and attribute option combo. The
+ * sums are only complete once a unit's export has been read, so they are
+ * released by RuleSession.finish(). They need every combo of the unit, so
+ * they cannot be used with incremental exports, which hold only the values
+ * that changed
+ */
+class TransformRules {
+    /**
+     * @param {Rule[]} [rules]
+     */
+    constructor(rules = []) {
+        this.rules = rules.map((rule, index) => ({
+            ...rule,
+            name: rule.name || `${rule.type} #${index + 1}`,
+            changed: 0,
+        }));
+        /** @type {Map<string, Set<string>>} data elements by dataset */
+        this.dataSetElements = new Map();
+        /** @type {Map<string, string>} value type by data element */
+        this.valueTypes = new Map();
+    }
+
+    /**
+     * @param {Rule[]} rules
+     * @returns {boolean} whether any rule is an aggregate, which needs every
+     *   combo of a unit and so a full export
+     */
+    static hasAggregate(rules) {
+        return rules.some((rule) => rule?.type === "aggregate");
+    }
+
+    /**
+     * Checks a list of rules, e.g. from a job file
+     * @param {Rule[]} rules
+     * @param {string} [where="rules"] location used in messages
+     * @returns {string[]} problems found, empty when valid
+     */
+    static validate(rules, where = "rules") {
+        if (!Array.isArray(rules)) return [`${where} must be a list`];
+        const errors = [];
+        const isName = (value) => typeof value === "string" && value !== "";
+        rules.forEach((rule, index) => {
+            const at = `${where}[${index}]`;
+            if (!isObject(rule)) {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            if (!RULE_TYPES.includes(rule.type)) {
+                errors.push(
+                    `${at}.type must be one of: ${RULE_TYPES.join(", ")}`,
+                );
+                return;
+            }
+            const keys = [
+                "type",
+                "name",
+                ...SCOPE_KEYS,
+                ...RULE_KEYS[rule.type],
+            ];
+            for (const key of Object.keys(rule)) {
+                if (!keys.includes(key)) {
+                    errors.push(
+                        `${at}.${key} is not a known setting of a ${rule.type} rule. Expected one of: ${keys.join(", ")}`,
+                    );
+                }
+            }
+            for (const key of SCOPE_KEYS) {
+                const value = rule[key];
+                if (
+                    value !== undefined &&
+                    (!Array.isArray(value) ||
+                        !value.length ||
+                        !value.every(isName))
+                ) {
+                    errors.push(
+                        `${at}.${key} must be a non-empty list of identifiers`,
+                    );
+                }
+            }
+            if (rule.type === "filter") {
+                if (
+                    !Array.isArray(rule.drop) ||
+                    !rule.drop.length ||
+                    !rule.drop.every((condition) =>
+                        DROP_CONDITIONS.includes(condition),
+                    )
+                ) {
+                    errors.push(
+                        `${at}.drop must be a list of: ${DROP_CONDITIONS.join(", ")}`,
+                    );
+                }
+            }
+            if (rule.type === "map") {
+                if (
+                    rule.values === undefined &&
+                    rule.scale === undefined &&
+                    rule.round === undefined
+                ) {
+                    errors.push(`${at} needs values, scale or round`);
+                }
+                if (rule.values !== undefined && !isObject(rule.values)) {
+                    errors.push(`${at}.values must map old values to new ones`);
+                }
+                if (rule.scale !== undefined && !Number.isFinite(rule.scale)) {
+                    errors.push(`${at}.scale must be a number`);
+                }
+                if (
+                    rule.round !== undefined &&
+                    !(Number.isInteger(rule.round) && rule.round >= 0)
+                ) {
+                    errors.push(
+                        `${at}.round must be a whole number of decimals`,
+                    );
+                }
+            }
+            if (rule.type === "rename") {
+                if (
+                    !isObject(rule.to) ||
+                    !Object.keys(rule.to).length ||
+                    !Object.entries(rule.to).every(
+                        ([field, value]) =>
+                            RENAME_FIELDS.includes(field) && isName(value),
+                    )
+                ) {
+                    errors.push(
+                        `${at}.to must give a new ${RENAME_FIELDS.join(", ")} or a combination`,
+                    );
+                }
+            }
+            if (rule.type === "aggregate") {
+                if ((rule.categoryOptionCombos || []).length < 2) {
+                    errors.push(
+                        `${at}.categoryOptionCombos must list the combos to sum`,
+                    );
+                }
+                if (!isName(rule.into)) {
+                    errors.push(
+                        `${at}.into must be the combo receiving the sum`,
+                    );
+                }
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Loads rules from a JSON or YAML file holding a list of rules, or an
+     * object with a rules list
+     * @param {string} filePath
+     * @returns {TransformRules}
+     * @throws {Error} when the file cannot be read or the rules are invalid
+     */
+    static loadFile(filePath) {
+        const content = fs.readFileSync(filePath, "utf8");
+        const extension = path.extname(filePath).toLowerCase();
+        let document;
+        if (extension === ".json") {
+            document = JSON.parse(content);
+        } else if (extension === ".yaml" || extension === ".yml") {
+            document = YAML.parse(content);
+        } else {
+            throw new Error(
+                `Unsupported rules file ${filePath}. Use .json, .yaml or .yml`,
+            );
+        }
+        const rules = isObject(document) ? document.rules : document;
+        const errors = TransformRules.validate(rules);
+        if (errors.length) {
+            throw new Error(
+                `Invalid rules file ${filePath}:\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+            );
+        }
+        return new TransformRules(rules);
+    }
+
+    /**
+     * Fetches what the rules need from the source: the data elements of the
+     * datasets rules are scoped to and, for nonNumeric filters, the value
+     * types of the transferred data elements
+     * @param {import("axios").AxiosInstance|null} api source instance
+     * @param {string[]} [dataSets] datasets being transferred
+     * @throws {Error} when the rules need the source and it is not configured
+     */
+    async resolve(api, dataSets = []) {
+        const scoped = this.rules.flatMap((rule) => rule.dataSets || []);
+        const needsTypes = this.rules.some((rule) =>
+            rule.drop?.includes("nonNumeric"),
+        );
+        const ids = [...new Set([...scoped, ...(needsTypes ? dataSets : [])])];
+        if (!ids.length) return this;
+        if (!api) {
+            throw new Error(
+                "Rules scoped to dataSets or dropping nonNumeric values read the datasets from the source, which is not configured",
+            );
+        }
+        const { data } = await api.get("/api/dataSets.json", {
+            params: {
+                fields: "id,dataSetElements[dataElement[id,valueType]]",
+                paging: false,
+                filter: `id:in:[${ids.join(",")}]`,
+            },
+            responseType: "json",
+            headers: { Accept: "application/json" },
+        });
+        for (const dataSet of data.dataSets || []) {
+            const elements = new Set();
+            for (const { dataElement } of dataSet.dataSetElements || []) {
+                elements.add(dataElement.id);
+                this.valueTypes.set(dataElement.id, dataElement.valueType);
+            }
+            this.dataSetElements.set(dataSet.id, elements);
+        }
+        return this;
+    }
+
+    /**
+     * Whether a data value is within a rule's scope
+     * @private
+     */
+    matches(rule, dataValue) {
+        if (
+            rule.dataElements &&
+            !rule.dataElements.includes(dataValue.dataElement)
+        ) {
+            return false;
+        }
+        if (
+            rule.dataSets &&
+            !rule.dataSets.some((id) =>
+                this.dataSetElements.get(id)?.has(dataValue.dataElement),
+            )
+        ) {
+            return false;
+        }
+        return (
+            !rule.categoryOptionCombos ||
+            rule.categoryOptionCombos.includes(dataValue.categoryOptionCombo)
+        );
+    }
+
+    /**
+     * Starts applying the rules to one unit's values
+     * @returns {RuleSession}
+     */
+    session() {
+        return new RuleSession(this);
+    }
+
+    /**
+     * @returns {{name: string, type: string, changed: number}[]} values changed per rule
+     */
+    summary() {
+        return this.rules.map(({ name, type, changed }) => ({
+            name,
+            type,
+            changed,
+        }));
+    }
+}
+
+/**
+ * Applies the rules to the values of one org unit and period, holding the
+ * sums of aggregate rules until the unit is finished
+ */
+class RuleSession {
+    /**
+     * @param {TransformRules} rules
+     */
+    constructor(rules) {
+        this.owner = rules;
+        /** @type {Map<number, Map<string, Object>>} sums by aggregate rule index */
+        this.sums = new Map();
+        /** @type {Set<string>} aggregate rule indexes and keys that were summed */
+        this.summed = new Set();
+        /** @type {Map<number, Map<string, Object>>} deleted sums by aggregate rule index */
+        this.deletions = new Map();
+    }
+
+    /**
+     * Applies the rules, from the given one on, to a data value
+     * @param {Object} dataValue
+     * @param {number} [from=0] index of the first rule to apply
+     * @returns {Object|null} the transformed value, or null when it was
+     *   dropped or is held for an aggregate
+     */
+    apply(dataValue, from = 0) {
+        const { rules } = this.owner;
+        let current = dataValue;
+        for (let index = from; index < rules.length; index++) {
+            const rule = rules[index];
+            if (!this.owner.matches(rule, current)) continue;
+            switch (rule.type) {
+                case "filter":
+                    if (this.dropped(rule, current)) {
+                        rule.changed++;
+                        return null;
+                    }
+                    break;
+                case "map": {
+                    const value = this.mapValue(rule, current.value);
+                    if (value !== current.value) {
+                        rule.changed++;
+                        current = { ...current, value };
+                    }
+                    break;
+                }
+                case "rename":
+                    current = this.rename(rule, current);
+                    break;
+                case "aggregate":
+                    if (this.add(index, rule, current)) {
+                        rule.changed++;
+                        return null;
+                    }
+                    break;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Applies the rules, from the given one on, to a value deleted on the
+     * source, so that it is deleted under its new identifiers. Renames
+     * apply; a deleted combo of an aggregate is held instead, as the sum it
+     * was part of is recomputed from the unit's other combos, or deleted by
+     * finishDeletions() when none of them is left
+     * @param {Object} dataValue
+     * @param {number} [from=0] index of the first rule to apply
+     * @returns {Object|null} the deletion, or null when it is held
+     */
+    applyDeletion(dataValue, from = 0) {
+        const { rules } = this.owner;
+        let current = dataValue;
+        for (let index = from; index < rules.length; index++) {
+            const rule = rules[index];
+            if (!this.owner.matches(rule, current)) continue;
+            if (rule.type === "rename") {
+                current = this.rename(rule, current);
+            } else if (rule.type === "aggregate") {
+                if (!this.deletions.has(index)) {
+                    this.deletions.set(index, new Map());
+                }
+                this.deletions.get(index).set(sumKey(current), {
+                    ...current,
+                    categoryOptionCombo: rule.into,
+                });
+                return null;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Releases the sums of the unit's aggregate rules, passed through the
+     * rules that follow each aggregate
+     * @returns {Object[]}
+     */
+    finish() {
+        const released = [];
+        for (let index = 0; index < this.owner.rules.length; index++) {
+            const sums = this.sums.get(index);
+            if (!sums) continue;
+            this.sums.delete(index);
+            for (const { total, ...dataValue } of sums.values()) {
+                const result = this.apply(
+                    { ...dataValue, value: formatNumber(total) },
+                    index + 1,
+                );
+                if (result) released.push(result);
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Releases the deletions of aggregate sums whose combos were all
+     * deleted on the source, passed through the rules that follow each
+     * aggregate. Call after finish(), once every value has been read
+     * @returns {Object[]}
+     */
+    finishDeletions() {
+        const released = [];
+        for (let index = 0; index < this.owner.rules.length; index++) {
+            const deletions = this.deletions.get(index);
+            if (!deletions) continue;
+            this.deletions.delete(index);
+            for (const [key, dataValue] of deletions) {
+                if (this.summed.has(`${index}|${key}`)) continue;
+                const result = this.applyDeletion(dataValue, index + 1);
+                if (result) released.push(result);
+            }
+        }
+        return released;
+    }
+
+    /**
+     * @private
+     */
+    dropped(rule, { dataElement, value }) {
+        const numeric = NUMBER_PATTERN.test(value);
+        return rule.drop.some((condition) => {
+            switch (condition) {
+                case "empty":
+                    return value === "";
+                case "zero":
+                    return numeric && Number(value) === 0;
+                case "negative":
+                    return numeric && Number(value) < 0;
+                case "nonNumeric":
+                    return (
+                        !numeric &&
+                        value !== "" &&
+                        NUMERIC_VALUE_TYPES.has(
+                            this.owner.valueTypes.get(dataElement),
+                        )
+                    );
+            }
+            return false;
+        });
+    }
+
+    /**
+     * @private
+     */
+    mapValue(rule, value) {
+        let mapped = value;
+        if (rule.values && Object.hasOwn(rule.values, mapped)) {
+            mapped = String(rule.values[mapped]);
+        }
+        if (
+            (rule.scale !== undefined || rule.round !== undefined) &&
+            NUMBER_PATTERN.test(mapped)
+        ) {
+            let number = Number(mapped) * (rule.scale ?? 1);
+            if (rule.round !== undefined) {
+                const factor = 10 ** rule.round;
+                number = Math.round(number * factor) / factor;
+            }
+            const formatted = formatNumber(number);
+            // Leave values that are numerically unchanged as exported
+            if (Number(formatted) !== Number(mapped)) mapped = formatted;
+        }
+        return mapped;
+    }
+
+    /**
+     * @private
+     */
+    rename(rule, dataValue) {
+        const renamed = { ...dataValue, ...rule.to };
+        if (
+            RENAME_FIELDS.some((field) => renamed[field] !== dataValue[field])
+        ) {
+            rule.changed++;
+        }
+        return renamed;
+    }
+
+    /**
+     * Adds a numeric value to its aggregate sum
+     * @private
+     * @returns {boolean} whether the value was taken
+     */
+    add(index, rule, dataValue) {
+        if (!NUMBER_PATTERN.test(dataValue.value)) return false;
+        if (!this.sums.has(index)) this.sums.set(index, new Map());
+        const sums = this.sums.get(index);
+        const key = sumKey(dataValue);
+        this.summed.add(`${index}|${key}`);
+        const sum = sums.get(key);
+        if (!sum) {
+            sums.set(key, {
+                dataElement: dataValue.dataElement,
+                period: dataValue.period,
+                orgUnit: dataValue.orgUnit,
+                categoryOptionCombo: rule.into,
+                attributeOptionCombo: dataValue.attributeOptionCombo,
+                storedBy: dataValue.storedBy,
+                lastUpdated: dataValue.lastUpdated,
+                total: Number(dataValue.value),
+            });
+            return true;
+        }
+        sum.total += Number(dataValue.value);
+        if (
+            dataValue.lastUpdated &&
+            (!sum.lastUpdated ||
+                Date.parse(dataValue.lastUpdated) > Date.parse(sum.lastUpdated))
+        ) {
+            sum.lastUpdated = dataValue.lastUpdated;
+        }
+        return true;
+    }
+}
+
+module.exports = { TransformRules, RuleSession, RULE_TYPES };
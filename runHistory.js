@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const JobLock = require("./jobLock");
+
+const STATUSES = ["running", "succeeded", "failed", "interrupted", "skipped"];
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string} id
+ * @property {string} job
+ * @property {string} trigger schedule or manual
+ * @property {string} [scheduledFor] the time the schedule fired for
+ * @property {string} status running, succeeded, failed, interrupted or
+ *   skipped; a run whose process ended without finishing it reads as abandoned
+ * @property {string[]} [periods] periods, date range or "incremental"
+ * @property {boolean} [dryRun]
+ * @property {string} [runId] checkpoint run ID
+ * @property {number} pid
+ * @property {string} startedAt
+ * @property {string} [finishedAt]
+ * @property {string} [error] why the run failed or was skipped
+ */
+
+/**
+ * Append-only JSON-lines history of job runs, written by job file runs and
+ * the scheduler and read back with --history. A run is written when it
+ * starts and again when it ends; the last line of each run wins.
+ */
+class RunHistory {
+    static DEFAULT_PATH = path.join("state", "run-history.jsonl");
+
+    /**
+     * @param {string} [filePath="state/run-history.jsonl"]
+     */
+    constructor(filePath = RunHistory.DEFAULT_PATH) {
+        this.path = filePath;
+    }
+
+    /**
+     * @private
+     */
+    append(record) {
+        if (!STATUSES.includes(record.status)) {
+            throw new Error(`Invalid run status: ${record.status}`);
+        }
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.appendFileSync(this.path, `${JSON.stringify(record)}\n`);
+        return record;
+    }
+
+    /**
+     * Records the start of a run
+     * @param {string} job
+     * @param {Object} [details] trigger, scheduledFor, periods, dryRun, runId
+     * @returns {RunRecord}
+     */
+    start(job, details = {}) {
+        return this.append({
+            id: crypto.randomUUID(),
+            job,
+            trigger: "manual",
+            ...details,
+            status: "running",
+            pid: process.pid,
+            startedAt: new Date().toISOString(),
+        });
+    }
+
+    /**
+     * Records the end of a run
+     * @param {RunRecord} record as returned by start
+     * @param {string} status succeeded, failed or interrupted
+     * @param {string} [error]
+     * @returns {RunRecord}
+     */
+    finish(record, status, error) {
+        return this.append({
+            ...record,
+            status,
+            finishedAt: new Date().toISOString(),
+            ...(error && { error }),
+        });
+    }
+
+    /**
+     * Records a run that did not start, e.g. because the job was running
+     * @param {string} job
+     * @param {string} reason
+     * @param {Object} [details] as for start
+     * @returns {RunRecord}
+     */
+    skip(job, reason, details = {}) {
+        const now = new Date().toISOString();
+        return this.append({
+            id: crypto.randomUUID(),
+            job,
+            trigger: "manual",
+            ...details,
+            status: "skipped",
+            pid: process.pid,
+            startedAt: now,
+            finishedAt: now,
+            error: reason,
+        });
+    }
+
+    /**
+     * Reads the latest runs, oldest first
+     * @param {Object} [options]
+     * @param {string[]} [options.jobs] only these jobs, default all
+     * @param {number} [options.limit] at most this many runs
+     * @returns {RunRecord[]}
+     */
+    list({ jobs = [], limit } = {}) {
+        if (!fs.existsSync(this.path)) return [];
+        const runs = new Map();
+        for (const line of fs.readFileSync(this.path, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                runs.set(record.id, record);
+            } catch (error) {
+                // A line cut short by a crash
+            }
+        }
+        const selected = [...runs.values()]
+            .filter((record) => !jobs.length || jobs.includes(record.job))
+            .map((record) =>
+                record.status === "running" && !JobLock.isRunning(record.pid)
+                    ? { ...record, status: "abandoned" }
+                    : record,
+            )
+            .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+        return limit ? selected.slice(-limit) : selected;
+    }
+}
+
+module.exports = RunHistory;
@@ -0,0 +1,111 @@
+const { CronSchedule } = require("./cron");
+const { logger: defaultLogger } = require("./logger");
+
+// Longest single wait; the schedule is looked at again after it, so that
+// clock changes and sleeps of the machine are noticed
+const MAX_WAIT = 60 * 1000;
+
+/**
+ * Starts jobs when their cron schedules fall due and keeps running until
+ * the abort signal. Runs missed while the scheduler was not running are not
+ * made up, as with cron. Jobs run side by side when their times coincide;
+ * keeping a job from overlapping with its own previous run is left to the
+ * run callback, which also sees runs started from the command line
+ */
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {{name: string, schedule: string}[]} options.jobs
+     * @param {(name: string, scheduledFor: Date) => Promise<boolean>} options.run
+     *   runs a job, resolving to whether it succeeded
+     * @param {AbortSignal} [options.signal] stops scheduling when aborted;
+     *   runs in progress are waited for
+     * @param {Object} [options.logger]
+     */
+    constructor({ jobs, run, signal, logger = defaultLogger }) {
+        this.jobs = jobs.map(({ name, schedule }) => ({
+            name,
+            schedule: new CronSchedule(schedule),
+            next: null,
+        }));
+        this.runJob = run;
+        this.signal = signal;
+        this.logger = logger;
+        this.running = new Set();
+    }
+
+    /**
+     * Waits for the given time, or less when the signal is aborted
+     * @private
+     */
+    wait(milliseconds) {
+        return new Promise((resolve) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                this.signal?.removeEventListener("abort", onAbort);
+                resolve();
+            }, milliseconds);
+            this.signal?.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Starts a run without waiting for it
+     * @private
+     */
+    start(name, scheduledFor) {
+        const run = Promise.resolve()
+            .then(() => this.runJob(name, scheduledFor))
+            .catch((error) => {
+                this.logger.error(`Job ${name} failed: ${error.message}`);
+            })
+            .finally(() => this.running.delete(run));
+        this.running.add(run);
+    }
+
+    /**
+     * Runs the schedule until the signal is aborted, then waits for the
+     * runs in progress
+     * @returns {Promise<void>}
+     */
+    async run() {
+        const now = new Date();
+        for (const job of this.jobs) {
+            job.next = job.schedule.next(now);
+            this.logger.info(
+                `Job ${job.name} (${job.schedule}): next run ${job.next.toISOString()}`,
+            );
+        }
+        while (!this.signal?.aborted) {
+            const due = Math.min(...this.jobs.map(({ next }) => next));
+            const delay = due - Date.now();
+            if (delay > 0) {
+                await this.wait(Math.min(delay, MAX_WAIT));
+                continue;
+            }
+            const current = new Date();
+            for (const job of this.jobs) {
+                if (job.next > current) continue;
+                this.logger.info(
+                    `Job ${job.name} is due (${job.schedule}, ${job.next.toISOString()})`,
+                );
+                this.start(job.name, job.next);
+                job.next = job.schedule.next(current);
+                this.logger.info(
+                    `Job ${job.name}: next run ${job.next.toISOString()}`,
+                );
+            }
+        }
+        if (this.running.size) {
+            this.logger.info(
+                `Waiting for ${this.running.size} running job(s) to stop`,
+            );
+        }
+        await Promise.all(this.running);
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,293 @@
+/**
+ * Collects the outcome of transferring one org unit and period: validates,
+ * normalises, transforms and maps each exported row, queues batches on the
+ * transfer's work pool and reports the counts once the export is exhausted
+ * and its imports have finished. Values deleted on the source are batched
+ * separately and deleted on the destination.
+ *
+ * Nothing grows with the size of the export: unmapped values go to the skip
+ * report a batch at a time and only the counts of each import are kept
+ */
+class UnitResult {
+    /**
+     * @param {import("../main")} transfer
+     * @param {{id: string, name: string}} orgUnit
+     */
+    constructor(transfer, orgUnit) {
+        this.transfer = transfer;
+        this.orgUnit = orgUnit;
+        this.count = 0;
+        this.deleted = 0;
+        this.values = [];
+        this.deletions = [];
+        this.unmapped = [];
+        this.unmappedCount = 0;
+        this.batches = [];
+        this.latestUpdate = null;
+        this.pending = new Set();
+        this.failure = null;
+        this.rules = transfer.rules?.session() || null;
+    }
+
+    /**
+     * Takes an exported row (lower-case CSV headers), queueing a batch for
+     * import or deletion once enough values have been collected
+     * @param {Object} row
+     * @throws {import("../workPool").InterruptedError} when the transfer is stopping
+     */
+    async add(row) {
+        const { transfer } = this;
+        const deleted = transfer.isDeletedDataValue(row);
+        const dataValue = this.accept(row, deleted);
+        if (dataValue) await this.push(dataValue, deleted);
+    }
+
+    /**
+     * Adds a ready data value to its batch
+     * @private
+     */
+    async push(dataValue, deleted = false) {
+        const batch = deleted ? this.deletions : this.values;
+        batch.push(dataValue);
+        if (batch.length >= this.transfer.batchSize) {
+            await (deleted ? this.flushDeletions() : this.flushValues());
+        }
+    }
+
+    /**
+     * Queues the values and deletions collected so far
+     * @private
+     */
+    async flush() {
+        await this.flushValues();
+        await this.flushDeletions();
+    }
+
+    /**
+     * @private
+     */
+    async flushValues() {
+        const batch = this.values;
+        this.values = [];
+        await this.upload(batch);
+    }
+
+    /**
+     * @private
+     */
+    async flushDeletions() {
+        const batch = this.deletions;
+        this.deletions = [];
+        if (!batch.length) return;
+        await this.submit(
+            () => this.transfer.processDeletionsBatch(batch),
+            true,
+        );
+    }
+
+    /**
+     * Turns an exported row into a data value ready for import
+     * @param {Object} row
+     * @param {boolean} [deleted=false] whether the row is a value deleted on the source
+     * @returns {Object|null} the data value, or null if it is invalid, dropped
+     *   or held by a rule, unmapped or a deletion that is not propagated
+     */
+    accept(row, deleted = false) {
+        const { transfer } = this;
+        if (deleted && !transfer.propagateDeletions) return null;
+        if (!transfer.isValidDataValue(row, { deleted })) return null;
+        // Deleted values may have lost their value; only the key matters
+        const dataValue = transfer.normalizeDataValue(
+            deleted ? { ...row, value: row.value || "" } : row,
+        );
+        if (
+            dataValue.lastUpdated &&
+            (!this.latestUpdate ||
+                Date.parse(dataValue.lastUpdated) >
+                    Date.parse(this.latestUpdate))
+        ) {
+            this.latestUpdate = dataValue.lastUpdated;
+        }
+        if (!this.rules) return this.map(dataValue);
+        // Deleted values keep their key under renames; deleted combos of an
+        // aggregate wait for the sum to be recomputed or deleted in finish()
+        const transformed = deleted
+            ? this.rules.applyDeletion(dataValue)
+            : this.rules.apply(dataValue);
+        return transformed && this.map(transformed);
+    }
+
+    /**
+     * Maps a data value to destination identifiers, collecting it for the
+     * skip report when it cannot be mapped
+     * @private
+     * @returns {Object|null}
+     */
+    map(dataValue) {
+        const { transfer } = this;
+        if (!transfer.mapping) return dataValue;
+        const mapped = transfer.mapping.apply(dataValue);
+        if (mapped.dataValue) return mapped.dataValue;
+        this.unmapped.push({ dataValue, reason: mapped.reason });
+        if (this.unmapped.length >= transfer.batchSize) this.flushUnmapped();
+        return null;
+    }
+
+    /**
+     * Writes the unmapped values collected so far to the skip report
+     * @private
+     */
+    flushUnmapped() {
+        if (!this.unmapped.length) return;
+        this.transfer.skipReport?.add(this.unmapped);
+        this.unmappedCount += this.unmapped.length;
+        this.unmapped = [];
+    }
+
+    /**
+     * Queues a batch of accepted data values for import. Resolves once the
+     * batch is queued, so the export is read further while it is imported
+     * @param {Object[]} dataValues
+     * @throws {import("../workPool").InterruptedError} when the transfer is stopping
+     */
+    async upload(dataValues) {
+        if (!dataValues.length) return;
+        await this.submit(() =>
+            this.transfer.processDataValuesBatch(dataValues),
+        );
+    }
+
+    /**
+     * Queues an import on the transfer's work pool and records its result
+     * @param {() => Promise<Object>} task resolving to an import result
+     * @param {boolean} [deletion=false] whether the import deletes values
+     * @throws {import("../workPool").InterruptedError} when the transfer is stopping
+     */
+    async submit(task, deletion = false) {
+        const { done } = await this.transfer.pool.upload(task);
+        const settled = done
+            .then(
+                (result) => this.record(result, deletion),
+                (error) => {
+                    this.failure = this.failure || error;
+                },
+            )
+            .finally(() => this.pending.delete(settled));
+        this.pending.add(settled);
+    }
+
+    /**
+     * Keeps the counts of an import; its conflicts are already in the
+     * conflict report
+     * @param {{dataValues: number, status?: string, importCount?: Object, error?: string}} result
+     * @param {boolean} [deletion=false] whether the import deleted values
+     */
+    record({ dataValues, status, importCount, error }, deletion = false) {
+        this.batches.push({ dataValues, status, importCount, error, deletion });
+        if (deletion) this.deleted += dataValues;
+        else this.count += dataValues;
+    }
+
+    /**
+     * Queues the last batches, waits for the unit's imports, reports
+     * unmapped values and returns the unit's counts
+     * @param {string} [serverDate] Date header of the export response
+     * @returns {Promise<{processed: boolean, count: number, deleted: number, unmapped: number, lastUpdated: string|null, batches: Object[]}>}
+     * @throws {Error} when any batch failed to import or was dropped on shutdown
+     */
+    async finish(serverDate) {
+        const { transfer, orgUnit } = this;
+        // Sums of aggregate rules are complete once the export is read
+        for (const dataValue of this.rules?.finish() || []) {
+            const mapped = this.map(dataValue);
+            if (mapped) await this.push(mapped);
+        }
+        // ... and so are the sums whose combos were all deleted
+        for (const dataValue of this.rules?.finishDeletions() || []) {
+            const mapped = this.map(dataValue);
+            if (mapped) await this.push(mapped, true);
+        }
+        await this.flush();
+        await Promise.all(this.pending);
+        if (this.failure) throw this.failure;
+        this.flushUnmapped();
+        if (this.unmappedCount) {
+            transfer.logger.warn(
+                `Skipped ${this.unmappedCount} data values without a mapping for ${orgUnit.name}`,
+            );
+        }
+        const failed = this.batches.filter((result) => result.error).length;
+        if (failed) {
+            throw new Error(
+                `${failed} of ${this.batches.length} batches failed to import`,
+            );
+        }
+        return {
+            processed: true,
+            count: this.count,
+            deleted: this.deleted,
+            unmapped: this.unmappedCount,
+            // Without values, the source server's clock marks how far the
+            // transfer got
+            lastUpdated:
+                this.latestUpdate ||
+                (serverDate ? new Date(serverDate).toISOString() : null),
+            batches: this.batches,
+        };
+    }
+}
+
+/**
+ * How data values travel from the source export to the destination import.
+ * Subclasses implement run(); the core builds the export query and keeps
+ * journals, sync state and summaries
+ */
+class TransferStrategy {
+    /**
+     * @param {import("../main")} transfer
+     */
+    constructor(transfer) {
+        this.transfer = transfer;
+    }
+
+    /**
+     * Throws when the transfer's settings cannot be honoured by the strategy
+     */
+    check() {}
+
+    /**
+     * Transfers the values of one org unit and period
+     * @abstract
+     * @param {Object} unit
+     * @param {string[]} unit.datasets
+     * @param {{id: string, name: string}} unit.orgUnit
+     * @param {URLSearchParams} unit.query /api/dataValueSets export parameters
+     * @returns {Promise<{processed: boolean, count: number, deleted: number, unmapped: number, lastUpdated: string|null, batches: Object[]}>}
+     */
+    async run(unit) {
+        throw new Error(`${this.constructor.name} does not implement run()`);
+    }
+
+    /**
+     * @returns {string} export URL for a unit
+     */
+    exportUrl({ query }) {
+        return `${this.transfer.exportFormat.exportPath}?${query.toString()}`;
+    }
+
+    /**
+     * Requests a unit's export from the source in the transfer's export
+     * format
+     * @protected
+     * @param {Object} unit
+     * @param {Object} [config] further request settings, e.g. responseType
+     */
+    download(unit, config = {}) {
+        return this.transfer.sourceApi.get(this.exportUrl(unit), {
+            ...config,
+            headers: { Accept: this.transfer.exportFormat.accept },
+        });
+    }
+}
+
+module.exports = { TransferStrategy, UnitResult };
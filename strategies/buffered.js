@@ -0,0 +1,20 @@
+const { TransferStrategy, UnitResult } = require("./base");
+
+/**
+ * Downloads a unit's whole export into memory, parses it at once and
+ * imports it in batches. Memory grows with the export, so
+ * keep it to units of moderate size; the streaming strategy is the default
+ */
+class BufferedStrategy extends TransferStrategy {
+    async run(unit) {
+        const { transfer } = this;
+        const { data: text, headers } = await this.download(unit);
+        const data = await transfer.exportFormat.parse(text);
+
+        const result = new UnitResult(transfer, unit.orgUnit);
+        for (const row of data) await result.add(row);
+        return result.finish(headers.date);
+    }
+}
+
+module.exports = BufferedStrategy;
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const StreamingStrategy = require("./streaming");
+
+/**
+ * Downloads a unit's export to a temporary file before importing it
+ * from disk, so that a slow destination does not hold the source export
+ * open. The file is removed once the unit is done
+ */
+class FileStagedStrategy extends StreamingStrategy {
+    /**
+     * @param {import("../main")} transfer
+     * @param {Object} [options]
+     * @param {string} [options.directory] where to stage files, default the OS temp directory
+     */
+    constructor(transfer, { directory = os.tmpdir() } = {}) {
+        super(transfer);
+        this.directory = directory;
+    }
+
+    async run(unit) {
+        const { transfer } = this;
+        const stagingDir = await fs.promises.mkdtemp(
+            path.join(this.directory, "dhis2-transfer-"),
+        );
+        const fileName = path.join(
+            stagingDir,
+            `${unit.orgUnit.id}.${transfer.exportFormat.extension}`,
+        );
+        try {
+            const { data, headers } = await this.download(unit, {
+                responseType: "stream",
+            });
+            await pipeline(data, fs.createWriteStream(fileName));
+            const { size } = await fs.promises.stat(fileName);
+            transfer.logger.debug(`Staged ${size} bytes in ${fileName}`);
+            return await this.consume(
+                fs.createReadStream(fileName),
+                unit,
+                headers.date,
+            );
+        } finally {
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = FileStagedStrategy;
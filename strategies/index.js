@@ -0,0 +1,44 @@
+const BufferedStrategy = require("./buffered");
+const StreamingStrategy = require("./streaming");
+const FileStagedStrategy = require("./fileStaged");
+const PassthroughStrategy = require("./passthrough");
+const { TransferStrategy, UnitResult } = require("./base");
+
+/**
+ * Transport strategies by name
+ */
+const STRATEGIES = {
+    buffered: BufferedStrategy,
+    streaming: StreamingStrategy,
+    "file-staged": FileStagedStrategy,
+    passthrough: PassthroughStrategy,
+};
+
+/**
+ * Creates a strategy for a transfer
+ * @param {string|TransferStrategy} strategy a name from STRATEGIES, or an instance
+ * @param {import("../main")} transfer
+ * @returns {TransferStrategy}
+ * @throws {Error} for unknown names
+ */
+function createStrategy(strategy, transfer) {
+    if (strategy instanceof TransferStrategy) return strategy;
+    const Strategy = STRATEGIES[strategy];
+    if (!Strategy) {
+        throw new Error(
+            `Unknown transfer strategy "${strategy}". Expected one of: ${Object.keys(STRATEGIES).join(", ")}`,
+        );
+    }
+    return new Strategy(transfer);
+}
+
+module.exports = {
+    STRATEGIES,
+    createStrategy,
+    TransferStrategy,
+    UnitResult,
+    BufferedStrategy,
+    StreamingStrategy,
+    FileStagedStrategy,
+    PassthroughStrategy,
+};
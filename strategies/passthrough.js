@@ -0,0 +1,54 @@
+const { TransferStrategy, UnitResult } = require("./base");
+
+/**
+ * Posts each unit's export to the destination unchanged, as a single
+ * import in the export format. The fastest option when both instances
+ * share identifiers, but rows are neither validated nor mapped. Values
+ * deleted on the source are taken out of the payload, which is then written
+ * anew in the same format, and deleted in separate batches
+ */
+class PassthroughStrategy extends TransferStrategy {
+    check() {
+        if (this.transfer.mapping) {
+            throw new Error(
+                "The passthrough strategy sends exports unchanged and cannot apply a metadata mapping",
+            );
+        }
+        if (this.transfer.rules) {
+            throw new Error(
+                "The passthrough strategy sends exports unchanged and cannot apply value rules",
+            );
+        }
+    }
+
+    async run(unit) {
+        const { transfer } = this;
+        const format = transfer.exportFormat;
+        const { data: text, headers } = await this.download(unit);
+        // Parsed only to count the values, match conflicts to them, find the
+        // latest lastUpdated and separate deletions
+        const data = await format.parse(text);
+        const result = new UnitResult(transfer, unit.orgUnit);
+        const live = data.filter((row) => !transfer.isDeletedDataValue(row));
+        live.forEach((row) => result.accept(row));
+        const dataValues = live.map((row) =>
+            transfer.normalizeDataValue({ ...row, value: row.value || "" }),
+        );
+        const payload =
+            live.length === data.length ? text : format.serialize(dataValues);
+        if (dataValues.length) {
+            await result.submit(() =>
+                transfer.importPayload(payload, {
+                    contentType: format.contentType,
+                    dataValues,
+                }),
+            );
+        }
+        for (const row of data) {
+            if (transfer.isDeletedDataValue(row)) await result.add(row);
+        }
+        return result.finish(headers.date);
+    }
+}
+
+module.exports = PassthroughStrategy;
@@ -0,0 +1,34 @@
+const { pipeline } = require("stream/promises");
+const { TransferStrategy, UnitResult } = require("./base");
+
+/**
+ * Parses the export as it arrives and queues each batch for import.
+ * Reading pauses while the work pool's queue is full, so memory use is
+ * bounded by the batch size and queue length however large the unit is
+ */
+class StreamingStrategy extends TransferStrategy {
+    async run(unit) {
+        const { data, headers } = await this.download(unit, {
+            responseType: "stream",
+        });
+        return this.consume(data, unit, headers.date);
+    }
+
+    /**
+     * Imports the data values of an export stream batch by batch
+     * @protected
+     * @param {import("stream").Readable} input
+     * @param {Object} unit
+     * @param {string} [serverDate] Date header of the export response
+     */
+    async consume(input, unit, serverDate) {
+        const result = new UnitResult(this.transfer, unit.orgUnit);
+        const reader = this.transfer.exportFormat.reader();
+        await pipeline(input, reader, async (rows) => {
+            for await (const row of rows) await result.add(row);
+        });
+        return result.finish(serverDate);
+    }
+}
+
+module.exports = StreamingStrategy;
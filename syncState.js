@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Remembers, per dataset and org unit, the latest lastUpdated timestamp
+ * that has been transferred, so that incremental runs only request values
+ * changed since then.
+ *
+ * Timestamps come from the exported values themselves rather than the
+ * local clock, so clock differences between this machine and the source
+ * server cannot cause changes to be missed. Updates are appended as JSON
+ * lines and compacted when the state is loaded.
+ */
+class SyncState {
+    static DEFAULT_PATH = path.join("state", "sync-state.jsonl");
+
+    /**
+     * @param {string} [filePath="state/sync-state.jsonl"]
+     */
+    constructor(filePath = SyncState.DEFAULT_PATH) {
+        this.path = filePath;
+        this.timestamps = new Map();
+    }
+
+    static key(dataSet, orgUnit) {
+        return `${dataSet}:${orgUnit}`;
+    }
+
+    /**
+     * Loads the state and rewrites it with one line per dataset/org unit
+     */
+    load() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.timestamps.clear();
+        if (fs.existsSync(this.path)) {
+            for (const line of fs.readFileSync(this.path, "utf8").split("\n")) {
+                if (!line.trim()) continue;
+                try {
+                    const { dataSet, orgUnit, lastUpdated } = JSON.parse(line);
+                    this.set(dataSet, orgUnit, lastUpdated);
+                } catch (error) {
+                    // A line cut short by a crash; the previous value stands
+                }
+            }
+        }
+        const lines = [...this.timestamps].map(([key, lastUpdated]) => {
+            const [dataSet, orgUnit] = key.split(":");
+            return `${JSON.stringify({ dataSet, orgUnit, lastUpdated })}\n`;
+        });
+        const temporary = `${this.path}.tmp`;
+        fs.writeFileSync(temporary, lines.join(""));
+        fs.renameSync(temporary, this.path);
+        return this;
+    }
+
+    /**
+     * Keeps the later of the stored and given timestamps
+     * @private
+     */
+    set(dataSet, orgUnit, lastUpdated) {
+        const key = SyncState.key(dataSet, orgUnit);
+        const current = this.timestamps.get(key);
+        if (!current || Date.parse(lastUpdated) > Date.parse(current)) {
+            this.timestamps.set(key, lastUpdated);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Returns the point from which changes must be requested for the given
+     * datasets of an org unit: the earliest of their timestamps
+     * @param {string[]} dataSets
+     * @param {string} orgUnit
+     * @returns {string|null} ISO timestamp, or null if a dataset has never been synced
+     */
+    since(dataSets, orgUnit) {
+        const timestamps = dataSets.map((dataSet) =>
+            this.timestamps.get(SyncState.key(dataSet, orgUnit)),
+        );
+        if (timestamps.some((timestamp) => !timestamp)) return null;
+        return timestamps.reduce((earliest, timestamp) =>
+            Date.parse(timestamp) < Date.parse(earliest) ? timestamp : earliest,
+        );
+    }
+
+    /**
+     * Records a successful transfer of values up to the given timestamp
+     * @param {string[]} dataSets
+     * @param {string} orgUnit
+     * @param {string} lastUpdated latest lastUpdated among the transferred values
+     */
+    update(dataSets, orgUnit, lastUpdated) {
+        if (!lastUpdated || isNaN(Date.parse(lastUpdated))) return;
+        const timestamp = new Date(lastUpdated).toISOString();
+        const lines = dataSets
+            .filter((dataSet) => this.set(dataSet, orgUnit, timestamp))
+            .map(
+                (dataSet) =>
+                    `${JSON.stringify({ dataSet, orgUnit, lastUpdated: timestamp })}\n`,
+            );
+        if (lines.length) fs.appendFileSync(this.path, lines.join(""));
+    }
+}
+
+module.exports = SyncState;
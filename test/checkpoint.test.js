@@ -0,0 +1,121 @@
+process.env.LOG_LEVEL = "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DHIS2DataTransfer = require("../main");
+const CheckpointJournal = require("../checkpoint");
+const { startMockServer, json } = require("./mockServer");
+
+const DATA_SET = "RtEYsASU7PG";
+const FIRST = { id: "DiszpKrYNg8", name: "Ngelehun CHC" };
+const SECOND = { id: "Rp268JB6Ne4", name: "Adonkia CHP" };
+const CSV_HEADER =
+    "dataelement,period,orgunit,categoryoptioncombo,attributeoptioncombo,value,storedby,lastupdated,comment,followup,deleted\n";
+
+/**
+ * Starts a server holding no values, whose exports of the given org units
+ * fail
+ */
+async function serverFailing(failing) {
+    return startMockServer((request, res) => {
+        if (request.path === "/api/organisationUnits.json") {
+            return json(res, 200, { organisationUnits: [FIRST, SECOND] });
+        }
+        if (failing.has(request.query.get("orgUnit"))) {
+            return json(res, 409, { message: "Export failed" });
+        }
+        res.writeHead(200, { "Content-Type": "text/csv" });
+        res.end(CSV_HEADER);
+    });
+}
+
+function transferRun(server, journal) {
+    const config = {
+        url: server.url,
+        username: "admin",
+        password: "district",
+        retries: 0,
+        maxRequestsPerSecond: 0,
+    };
+    const transfer = new DHIS2DataTransfer(config, config, 1000, {
+        registrations: false,
+    });
+    return transfer.transferData([DATA_SET], undefined, undefined, {
+        periods: ["202410"],
+        orgUnits: { ids: [FIRST.id, SECOND.id] },
+        journal,
+    });
+}
+
+// Org units whose values the server was asked for, in UID order
+const exported = (server) =>
+    server.requests
+        .filter(({ path }) => path === "/api/dataValueSets.csv")
+        .map(({ query }) => query.get("orgUnit"))
+        .sort();
+
+function journalIn(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return (resume) => new CheckpointJournal("run-test", dir).open(resume);
+}
+
+test("resumes a run with the units it did not complete", async (t) => {
+    const openJournal = journalIn(t);
+    const failing = await serverFailing(new Set([SECOND.id]));
+    t.after(failing.close);
+    const first = await transferRun(failing, openJournal(false));
+    assert.strictEqual(first.errors.length, 1);
+    assert.deepStrictEqual(exported(failing), [FIRST.id, SECOND.id]);
+
+    // The process was killed while writing its last line
+    const journal = openJournal(true);
+    fs.appendFileSync(journal.path, '{"runId":"run-test","orgUnit":');
+    assert.deepStrictEqual(openJournal(true).summary(), {
+        pending: 0,
+        completed: 1,
+        failed: 1,
+    });
+
+    const working = await serverFailing(new Set());
+    t.after(working.close);
+    const resumed = await transferRun(working, openJournal(true));
+    assert.deepStrictEqual(exported(working), [SECOND.id]);
+    assert.deepStrictEqual(resumed.errors, []);
+    assert.strictEqual(resumed.periods["202410"].skipped, 1);
+    assert.strictEqual(resumed.periods["202410"].orgUnits, 1);
+    assert.deepStrictEqual(openJournal(true).summary(), {
+        pending: 0,
+        completed: 2,
+        failed: 0,
+    });
+});
+
+test("starts afresh without --resume", async (t) => {
+    const openJournal = journalIn(t);
+    const server = await serverFailing(new Set());
+    t.after(server.close);
+    await transferRun(server, openJournal(false));
+    await transferRun(server, openJournal(false));
+    assert.deepStrictEqual(exported(server), [
+        FIRST.id,
+        FIRST.id,
+        SECOND.id,
+        SECOND.id,
+    ]);
+});
+
+test("derives the same run ID from the same parameters", () => {
+    const params = { datasets: [DATA_SET], periods: ["202410"] };
+    assert.strictEqual(
+        CheckpointJournal.deriveRunId(params),
+        CheckpointJournal.deriveRunId({ ...params }),
+    );
+    assert.notStrictEqual(
+        CheckpointJournal.deriveRunId(params),
+        CheckpointJournal.deriveRunId({ ...params, periods: ["202411"] }),
+    );
+});
@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseCliArgs, UsageError } = require("../cli");
+const { dataSetPeriods } = require("../main");
+
+const MONTHLY = "RtEYsASU7PG";
+
+test("reads a transfer's datasets, periods and org units", () => {
+    const args = parseCliArgs(
+        [MONTHLY, "--periods", "202410,202411", "--level", "4,5"],
+        dataSetPeriods,
+    );
+    assert.deepStrictEqual(args.datasets, [MONTHLY]);
+    assert.deepStrictEqual(args.periods, ["202410", "202411"]);
+    assert.deepStrictEqual(args.orgUnits.levels, [4, 5]);
+    assert.strictEqual(args.incremental, false);
+});
+
+test("selects the datasets of a period type", () => {
+    const args = parseCliArgs(["quarterly"], dataSetPeriods);
+    assert.deepStrictEqual(args.datasets, [
+        "onFoQ4ko74y",
+        "dFRD2A5fdvn",
+        "DFMoIONIalm",
+    ]);
+    assert.strictEqual(args.periods.length, 1);
+});
+
+test("rejects conflicting options", () => {
+    const cases = [
+        [
+            ["--periods", "202410", "-s", "2024-01-01", "-e", "2024-02-01"],
+            "--periods cannot be combined with --start-date/--end-date",
+        ],
+        [
+            ["--incremental", "--periods", "202410"],
+            "--incremental cannot be combined with --periods or a date range",
+        ],
+        [
+            ["--start-date", "2024-01-01"],
+            "--start-date and --end-date must be given together",
+        ],
+        [
+            ["--start-date", "2024-03-01", "--end-date", "2024-02-01"],
+            "--start-date must be before or equal to --end-date",
+        ],
+        [["--repush"], "--repush requires --verify"],
+        [
+            ["--dry-run", "--resume"],
+            "--dry-run cannot be combined with --resume",
+        ],
+        [["--initial-since", "7d"], "--initial-since requires --incremental"],
+        [["quarterly"], `Dataset ${MONTHLY} is monthly, not quarterly`],
+        [
+            ["--strategy", "passthrough", "--mapping", "mapping.csv"],
+            "--strategy passthrough cannot be combined with mappings",
+        ],
+        [["--batch-size", "0"], "--batch-size must be a positive integer"],
+    ];
+    for (const [options, message] of cases) {
+        assert.throws(
+            () => parseCliArgs([MONTHLY, ...options], dataSetPeriods),
+            (error) => error instanceof UsageError && error.message === message,
+            options.join(" "),
+        );
+    }
+});
+
+test("leaves job settings to the job file", () => {
+    const cases = [
+        [["--job", "monthly"], "--job requires --job-file"],
+        [["--schedule"], "--schedule requires --job-file"],
+        [
+            ["--job-file", "jobs.yaml", "--periods", "202410"],
+            "--job-file cannot be combined with --periods; set them in the job file",
+        ],
+    ];
+    for (const [argv, message] of cases) {
+        assert.throws(
+            () => parseCliArgs(argv, dataSetPeriods),
+            (error) => error instanceof UsageError && error.message === message,
+            argv.join(" "),
+        );
+    }
+});
@@ -0,0 +1,56 @@
+process.env.LOG_LEVEL = "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const DHIS2DataTransfer = require("../main");
+const { startMockServer, json } = require("./mockServer");
+
+const DATA_SET = "BfMAe6Itzgt";
+const ORG_UNIT = { id: "DiszpKrYNg8", name: "Ngelehun CHC" };
+
+async function transferTo(t) {
+    const server = await startMockServer((request, res) =>
+        json(res, 200, { completeDataSetRegistrations: [] }),
+    );
+    t.after(server.close);
+    const config = {
+        url: server.url,
+        username: "admin",
+        password: "district",
+        maxRequestsPerSecond: 0,
+    };
+    return { server, transfer: new DHIS2DataTransfer(config, config) };
+}
+
+test("reads registrations of the unit's periods", async (t) => {
+    const { server, transfer } = await transferTo(t);
+    const counts = await transfer.completeness.transferUnit({
+        datasets: [DATA_SET],
+        orgUnit: ORG_UNIT,
+        range: { periods: ["202401"] },
+    });
+    assert.deepStrictEqual(counts, {
+        registrations: 0,
+        approvals: 0,
+        rejected: 0,
+    });
+    assert.strictEqual(server.requests.length, 1);
+    const [{ path, query }] = server.requests;
+    assert.strictEqual(path, "/api/completeDataSetRegistrations.json");
+    assert.deepStrictEqual(query.getAll("period"), ["202401"]);
+});
+
+test("skips registrations in incremental runs, which have no periods", async (t) => {
+    const { server, transfer } = await transferTo(t);
+    const counts = await transfer.completeness.transferUnit({
+        datasets: [DATA_SET],
+        orgUnit: ORG_UNIT,
+        range: { lastUpdated: "2024-01-01" },
+    });
+    assert.deepStrictEqual(counts, {
+        registrations: 0,
+        approvals: 0,
+        rejected: 0,
+    });
+    assert.deepStrictEqual(server.requests, []);
+});
@@ -0,0 +1,164 @@
+process.env.LOG_LEVEL = "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createClient } = require("../http");
+const { startMockServer, json } = require("./mockServer");
+
+// Short delays keep the retries fast; the rate limit is off unless tested
+const settings = {
+    username: "admin",
+    password: "district",
+    retries: 3,
+    retryBaseDelay: 10,
+    retryMaxDelay: 50,
+    maxRequestsPerSecond: 0,
+};
+
+/**
+ * Starts a server answering with the given responses in turn, the last
+ * one for every later request. "drop" closes the connection unanswered,
+ * "hang" never answers
+ */
+async function serverAnswering(...answers) {
+    let count = 0;
+    return startMockServer((request, res) => {
+        const answer = answers[Math.min(count++, answers.length - 1)];
+        if (answer === "drop") res.socket.destroy();
+        else if (answer !== "hang") json(res, ...answer);
+    });
+}
+
+test("retries a GET after server errors and dropped connections", async (t) => {
+    const server = await serverAnswering([500], "drop", [200, { ok: true }]);
+    t.after(server.close);
+    const client = createClient({ ...settings, url: server.url });
+    const { data } = await client.get("/api/system/info");
+    assert.deepStrictEqual(data, { ok: true });
+    assert.strictEqual(server.requests.length, 3);
+});
+
+test("gives up after the configured retries", async (t) => {
+    const server = await serverAnswering([502]);
+    t.after(server.close);
+    const client = createClient({ ...settings, url: server.url });
+    await assert.rejects(
+        client.get("/api/system/info"),
+        (error) => error.response?.status === 502,
+    );
+    assert.strictEqual(server.requests.length, settings.retries + 1);
+});
+
+test("does not retry a POST the server may have processed", async (t) => {
+    for (const answer of [[500], "drop"]) {
+        const server = await serverAnswering(answer, [200]);
+        t.after(server.close);
+        const client = createClient({ ...settings, url: server.url });
+        await assert.rejects(client.post("/api/dataValueSets", {}));
+        assert.strictEqual(server.requests.length, 1);
+    }
+});
+
+test("retries a POST the server turned away unprocessed", async (t) => {
+    const server = await serverAnswering(
+        [429],
+        [503, {}, { "Retry-After": "0" }],
+        [200, { status: "OK" }],
+    );
+    t.after(server.close);
+    const client = createClient({ ...settings, url: server.url });
+    const { data } = await client.post("/api/dataValueSets", {});
+    assert.deepStrictEqual(data, { status: "OK" });
+    assert.strictEqual(server.requests.length, 3);
+    assert.ok(server.requests.every(({ method }) => method === "POST"));
+});
+
+test("does not retry a POST refused with 503 without Retry-After", async (t) => {
+    const server = await serverAnswering([503], [200]);
+    t.after(server.close);
+    const client = createClient({ ...settings, url: server.url });
+    await assert.rejects(
+        client.post("/api/dataValueSets", {}),
+        (error) => error.response?.status === 503,
+    );
+    assert.strictEqual(server.requests.length, 1);
+});
+
+test("times out requests and retries reads that timed out", async (t) => {
+    const server = await serverAnswering("hang", [200, { ok: true }]);
+    t.after(server.close);
+    const client = createClient({ ...settings, url: server.url, timeout: 100 });
+    const { data } = await client.get("/api/system/info");
+    assert.deepStrictEqual(data, { ok: true });
+    assert.strictEqual(server.requests.length, 2);
+
+    const hanging = await serverAnswering("hang");
+    t.after(hanging.close);
+    const once = createClient({
+        ...settings,
+        url: hanging.url,
+        timeout: 100,
+        retries: 0,
+    });
+    await assert.rejects(once.get("/api/system/info"), {
+        code: "ECONNABORTED",
+    });
+});
+
+test("spaces requests to the requests-per-second cap", async (t) => {
+    const server = await serverAnswering([200]);
+    t.after(server.close);
+    const client = createClient({
+        ...settings,
+        url: server.url,
+        maxRequestsPerSecond: 20,
+    });
+    const started = Date.now();
+    await Promise.all(
+        Array.from({ length: 6 }, () => client.get("/api/system/info")),
+    );
+    // Six requests 50ms apart: the last starts 250ms after the first
+    assert.ok(Date.now() - started >= 240);
+    const times = server.requests.map(({ time }) => time);
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 35, `gap ${i} too short`);
+    }
+});
+
+test("fails at once when Retry-After exceeds the longest retry delay", async (t) => {
+    const server = await serverAnswering([429, {}, { "Retry-After": "120" }]);
+    t.after(server.close);
+    const client = createClient({ ...settings, url: server.url });
+    await assert.rejects(
+        client.post("/api/dataValueSets", {}),
+        (error) =>
+            error.response?.status === 429 &&
+            /retry after 120s/.test(error.message),
+    );
+    assert.strictEqual(server.requests.length, 1);
+});
+
+test("caps a server at the lowest rate of its clients", async (t) => {
+    const server = await serverAnswering([200]);
+    t.after(server.close);
+    const fast = createClient({
+        ...settings,
+        url: server.url,
+        maxRequestsPerSecond: 100,
+    });
+    const slow = createClient({
+        ...settings,
+        url: server.url,
+        maxRequestsPerSecond: 20,
+    });
+    const unlimited = createClient({ ...settings, url: server.url });
+    await Promise.all(
+        [fast, slow, unlimited, fast, slow, unlimited].map((client) =>
+            client.get("/api/system/info"),
+        ),
+    );
+    const times = server.requests.map(({ time }) => time);
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 35, `gap ${i} too short`);
+    }
+});
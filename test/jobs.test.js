@@ -0,0 +1,114 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseJobFile, loadJobs, JobFileError } = require("../jobs");
+const { dataSetPeriods } = require("../main");
+
+const MONTHLY = "RtEYsASU7PG";
+const PROFILES = {
+    source: { url: "http://source.test", username: "a", password: "b" },
+    destination: { url: "http://dest.test", username: "a", password: "b" },
+};
+
+function jobFile(t, document) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "jobs.json");
+    fs.writeFileSync(file, JSON.stringify(document));
+    return file;
+}
+
+test("parses the sample job file", () => {
+    const { jobs } = parseJobFile(path.join(__dirname, "..", "jobs.yaml"));
+    assert.ok(Object.keys(jobs).length);
+    for (const job of Object.values(jobs)) assert.ok(job.datasets.length);
+});
+
+test("applies defaults and the last complete period", (t) => {
+    const file = jobFile(t, {
+        profiles: PROFILES,
+        defaults: { datasets: [MONTHLY], batchSize: 500 },
+        jobs: { monthly: { orgUnits: { levels: [4] } } },
+    });
+    const [job] = loadJobs(file, {
+        dataSetPeriods,
+        now: new Date("2024-11-15T02:00:00Z"),
+    });
+    assert.strictEqual(job.name, "monthly");
+    assert.strictEqual(job.batchSize, 500);
+    assert.deepStrictEqual(job.periods, ["202410"]);
+    assert.deepStrictEqual(job.orgUnits, { levels: [4] });
+    assert.strictEqual(job.source.url, "http://source.test");
+});
+
+test("reports every conflicting setting at once", (t) => {
+    const file = jobFile(t, {
+        profiles: PROFILES,
+        defaults: { datasets: [MONTHLY] },
+        jobs: {
+            range: {
+                periods: ["202410"],
+                startDate: "2024-01-01",
+                endDate: "2024-01-31",
+            },
+            backwards: { startDate: "2024-03-01", endDate: "2024-02-01" },
+            changes: { incremental: true, periods: ["202410"] },
+            since: { initialSince: "7d" },
+            passthrough: {
+                strategy: "passthrough",
+                rules: [{ type: "filter", drop: ["zero"] }],
+            },
+            typo: { batchsize: 10 },
+        },
+    });
+    assert.throws(
+        () => parseJobFile(file),
+        (error) => {
+            assert.ok(error instanceof JobFileError);
+            assert.deepStrictEqual(
+                error.errors.filter((message) => !message.includes("typo")),
+                [
+                    "jobs.range cannot have both periods and startDate/endDate",
+                    "jobs.backwards startDate must be before or equal to endDate",
+                    "jobs.changes incremental cannot be combined with periods or a date range",
+                    "jobs.since.initialSince requires incremental: true",
+                    "jobs.passthrough the passthrough strategy cannot apply value rules",
+                ],
+            );
+            assert.ok(
+                error.errors.some((message) =>
+                    message.startsWith(
+                        "jobs.typo.batchsize is not a known setting",
+                    ),
+                ),
+            );
+            return true;
+        },
+    );
+});
+
+test("names unknown jobs and unset profile variables", (t) => {
+    const file = jobFile(t, {
+        profiles: {
+            ...PROFILES,
+            source: { ...PROFILES.source, password: "${JOBS_TEST_UNSET}" },
+        },
+        jobs: { monthly: { datasets: [MONTHLY] } },
+    });
+    assert.throws(
+        () => loadJobs(file, { names: ["weekly"], dataSetPeriods }),
+        (error) =>
+            error instanceof JobFileError &&
+            error.errors[0] === "has no job named weekly. Jobs: monthly",
+    );
+    delete process.env.JOBS_TEST_UNSET;
+    assert.throws(
+        () => loadJobs(file, { dataSetPeriods }),
+        (error) =>
+            error instanceof JobFileError &&
+            error.errors[0] ===
+                "jobs.monthly: Profile source uses JOBS_TEST_UNSET, which is not set",
+    );
+});
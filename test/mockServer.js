@@ -0,0 +1,51 @@
+const http = require("http");
+
+/**
+ * Starts a local stand-in for a DHIS2 instance on a free port. Every request
+ * is recorded, with its body, before the handler answers it
+ * @param {(request: {method: string, path: string, query: URLSearchParams, body: string}, res: import("http").ServerResponse) => void} handler
+ * @returns {Promise<{url: string, requests: Object[], close: () => Promise<void>}>}
+ */
+async function startMockServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const url = new URL(req.url, "http://localhost");
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: url.searchParams,
+                body,
+                time: Date.now(),
+            };
+            requests.push(request);
+            handler(request, res);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () =>
+            new Promise((resolve) => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            }),
+    };
+}
+
+/**
+ * Answers with a JSON body
+ * @param {import("http").ServerResponse} res
+ * @param {number} status
+ * @param {Object} [body]
+ * @param {Object} [headers]
+ */
+function json(res, status, body = {}, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { startMockServer, json };
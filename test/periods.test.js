@@ -0,0 +1,153 @@
+process.env.LOG_LEVEL = "error";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DHIS2DataTransfer = require("../main");
+const { dataSetPeriods } = require("../main");
+const { parseCliArgs, UsageError } = require("../cli");
+const { loadJobs, JobFileError } = require("../jobs");
+const {
+    periodsInRange,
+    previousPeriod,
+    parsePeriod,
+    toAdxPeriod,
+    fromAdxPeriod,
+} = require("../periods");
+
+const MONTHLY = "RtEYsASU7PG";
+const QUARTERLY = "onFoQ4ko74y";
+const PROFILES = {
+    source: { url: "http://source.test", username: "a", password: "b" },
+    destination: { url: "http://dest.test", username: "a", password: "b" },
+};
+
+function jobFile(t, jobs) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "periods-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "jobs.json");
+    fs.writeFileSync(file, JSON.stringify({ profiles: PROFILES, jobs }));
+    return file;
+}
+
+const ids = (periods) => periods.map(({ id }) => id);
+
+test("numbers weeks across a year boundary by ISO week", () => {
+    assert.deepStrictEqual(
+        ids(periodsInRange("weekly", "2024-12-23", "2025-01-12")),
+        ["2024W52", "2025W1", "2025W2"],
+    );
+    assert.deepStrictEqual(parsePeriod("2025W1"), {
+        id: "2025W1",
+        type: "weekly",
+        startDate: "2024-12-30",
+        endDate: "2025-01-05",
+    });
+    assert.strictEqual(
+        previousPeriod("weekly", new Date("2025-01-01")).id,
+        "2024W52",
+    );
+    assert.strictEqual(parsePeriod("2020W53").endDate, "2021-01-03");
+});
+
+test("runs financial July years from July to June", () => {
+    assert.deepStrictEqual(
+        periodsInRange("financialjuly", "2023-07-01", "2025-06-30"),
+        [
+            {
+                id: "2023July",
+                type: "financialjuly",
+                startDate: "2023-07-01",
+                endDate: "2024-06-30",
+            },
+            {
+                id: "2024July",
+                type: "financialjuly",
+                startDate: "2024-07-01",
+                endDate: "2025-06-30",
+            },
+        ],
+    );
+    // Only years wholly within the range
+    assert.deepStrictEqual(
+        ids(periodsInRange("financialjuly", "2023-08-01", "2025-06-30")),
+        ["2024July"],
+    );
+    assert.strictEqual(
+        previousPeriod("financialjuly", new Date("2024-08-15")).id,
+        "2023July",
+    );
+    assert.strictEqual(toAdxPeriod("2024July"), "2024-07-01/P1Y");
+    assert.strictEqual(fromAdxPeriod("2024-07-01/P1Y"), "2024July");
+});
+
+test("rejects periods that do not exist", () => {
+    // 2024 has 52 ISO weeks
+    for (const id of ["2024W53", "2024W0", "202413", "2024Q5", "20240230"]) {
+        assert.throws(() => parsePeriod(id), {
+            message: `Invalid period: ${id}`,
+        });
+    }
+    assert.throws(
+        () => parseCliArgs([MONTHLY, "--periods", "2024W53"], dataSetPeriods),
+        (error) =>
+            error instanceof UsageError &&
+            error.message === "Invalid period(s): 2024W53",
+    );
+});
+
+test("fetches each dataset for the periods of its own type", () => {
+    const transfer = new DHIS2DataTransfer(null, null);
+    const fetches = transfer.planFetches(
+        [MONTHLY, QUARTERLY],
+        undefined,
+        undefined,
+        { periods: ["202410", "202411", "2024Q4"] },
+    );
+    assert.deepStrictEqual(
+        fetches.map(({ key, datasets }) => [key, datasets]),
+        [
+            ["202410", [MONTHLY]],
+            ["202411", [MONTHLY]],
+            ["2024Q4", [QUARTERLY]],
+        ],
+    );
+});
+
+test("rejects periods leaving a dataset without a period of its type", () => {
+    assert.throws(
+        () =>
+            parseCliArgs(
+                [MONTHLY, QUARTERLY, "--periods", "202410"],
+                dataSetPeriods,
+            ),
+        (error) =>
+            error instanceof UsageError &&
+            error.message ===
+                `Dataset ${QUARTERLY} is quarterly, but --periods has no quarterly period`,
+    );
+    const args = parseCliArgs(
+        [MONTHLY, QUARTERLY, "--periods", "202410,2024Q4"],
+        dataSetPeriods,
+    );
+    assert.deepStrictEqual(args.periods, ["202410", "2024Q4"]);
+});
+
+test("rejects jobs whose periods leave a dataset without a period", (t) => {
+    const file = jobFile(t, {
+        mixed: { datasets: [MONTHLY, QUARTERLY], periods: ["202410"] },
+        both: { datasets: [MONTHLY, QUARTERLY], periods: [202410, "2024Q4"] },
+    });
+    assert.throws(
+        () => loadJobs(file, { names: ["mixed"], dataSetPeriods }),
+        (error) =>
+            error instanceof JobFileError &&
+            error.message.includes(
+                `jobs.mixed: dataset ${QUARTERLY} is quarterly, but periods has no quarterly period`,
+            ),
+    );
+    const [job] = loadJobs(file, { names: ["both"], dataSetPeriods });
+    assert.deepStrictEqual(job.periods, ["202410", "2024Q4"]);
+});
@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TransformRules } = require("../rules");
+const { parseCliArgs, UsageError } = require("../cli");
+const { parseJobFile, JobFileError } = require("../jobs");
+
+const DATA_SET = "BfMAe6Itzgt";
+const MALE = "HllvX50cXC0";
+const FEMALE = "V2OuNTRI6ua";
+const TOTAL = "huBy3W5qiD2";
+const AGGREGATE = {
+    type: "aggregate",
+    categoryOptionCombos: [MALE, FEMALE],
+    into: TOTAL,
+};
+
+const value = (categoryOptionCombo, amount) => ({
+    dataElement: "FTRrcoaog83",
+    period: "202401",
+    orgUnit: "DiszpKrYNg8",
+    categoryOptionCombo,
+    attributeOptionCombo: "HllvX50cXC0",
+    value: String(amount),
+});
+
+/**
+ * Runs one unit's live and deleted values through a session, as UnitResult
+ * does
+ */
+function runUnit(rules, live, deleted) {
+    const session = new TransformRules(rules).session();
+    const values = live.map((dataValue) => session.apply(dataValue));
+    const deletions = deleted.map((dataValue) =>
+        session.applyDeletion(dataValue),
+    );
+    values.push(...session.finish());
+    deletions.push(...session.finishDeletions());
+    return {
+        values: values.filter(Boolean),
+        deletions: deletions.filter(Boolean),
+    };
+}
+
+function tempFile(t, name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test("recomputes an aggregate total when some of its combos are deleted", () => {
+    const { values, deletions } = runUnit(
+        [AGGREGATE],
+        [value(FEMALE, 4)],
+        [value(MALE, "")],
+    );
+    assert.deepStrictEqual(
+        values.map(({ categoryOptionCombo, value }) => [
+            categoryOptionCombo,
+            value,
+        ]),
+        [[TOTAL, "4"]],
+    );
+    assert.deepStrictEqual(deletions, []);
+});
+
+test("deletes an aggregate total when all of its combos are deleted", () => {
+    const { values, deletions } = runUnit(
+        [
+            AGGREGATE,
+            {
+                type: "rename",
+                categoryOptionCombos: [TOTAL],
+                to: { dataElement: "sv6SeKroHPV" },
+            },
+        ],
+        [],
+        [value(MALE, ""), value(FEMALE, "")],
+    );
+    assert.deepStrictEqual(values, []);
+    assert.strictEqual(deletions.length, 1);
+    assert.strictEqual(deletions[0].categoryOptionCombo, TOTAL);
+    assert.strictEqual(deletions[0].dataElement, "sv6SeKroHPV");
+});
+
+test("deletes other combos under their renamed key", () => {
+    const { deletions } = runUnit(
+        [
+            AGGREGATE,
+            {
+                type: "rename",
+                dataElements: ["FTRrcoaog83"],
+                to: { dataElement: "sv6SeKroHPV" },
+            },
+        ],
+        [],
+        [value("Prlt0C1RF0s", "")],
+    );
+    assert.deepStrictEqual(deletions, [
+        {
+            ...value("Prlt0C1RF0s", ""),
+            dataElement: "sv6SeKroHPV",
+        },
+    ]);
+});
+
+test("rejects aggregate rules with --incremental", (t) => {
+    const aggregate = tempFile(t, "rules.json", JSON.stringify([AGGREGATE]));
+    assert.throws(
+        () =>
+            parseCliArgs(
+                [DATA_SET, "--incremental", "--rules", aggregate],
+                new Map(),
+            ),
+        (error) =>
+            error instanceof UsageError &&
+            /aggregate rules/.test(error.message),
+    );
+    const filter = tempFile(
+        t,
+        "rules.json",
+        JSON.stringify([{ type: "filter", drop: ["zero"] }]),
+    );
+    const args = parseCliArgs(
+        [DATA_SET, "--incremental", "--rules", filter],
+        new Map(),
+    );
+    assert.strictEqual(args.rules, filter);
+});
+
+test("rejects incremental jobs with aggregate rules", (t) => {
+    const file = tempFile(
+        t,
+        "jobs.json",
+        JSON.stringify({
+            jobs: {
+                changes: {
+                    datasets: [DATA_SET],
+                    incremental: true,
+                    rules: [AGGREGATE],
+                },
+            },
+        }),
+    );
+    assert.throws(
+        () => parseJobFile(file),
+        (error) =>
+            error instanceof JobFileError &&
+            /aggregate rules/.test(error.message),
+    );
+});
@@ -0,0 +1,149 @@
+/**
+ * Thrown for work refused because the pool is shutting down
+ */
+class InterruptedError extends Error {
+    constructor(message = "Transfer interrupted") {
+        super(message);
+        this.name = "InterruptedError";
+    }
+}
+
+/**
+ * Lets a fixed number of holders in at once; the others wait in order
+ */
+class Semaphore {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return;
+        }
+        // The releasing holder hands its place over
+        await new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) next();
+        else this.active--;
+    }
+}
+
+/**
+ * Schedules the work of a transfer with separate limits for each server:
+ * how many org units are downloaded from the source at once, how many
+ * imports run on the destination at once, and how many batches may wait
+ * for an import before downloads pause. Memory use is therefore bounded by
+ * (uploads + queuedBatches) batches however fast the source is.
+ *
+ * Once stopped, by stop() or the abort signal, no further org units or
+ * batches are started; imports already sent run to completion so that
+ * their results can be recorded
+ */
+class WorkPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.downloads=1] org units downloaded in parallel
+     * @param {number} [options.uploads=downloads] imports in flight at once
+     * @param {number} [options.queuedBatches=uploads] batches held waiting for an import slot
+     * @param {AbortSignal} [options.signal] stops the pool when aborted
+     */
+    constructor({
+        downloads = 1,
+        uploads = downloads,
+        queuedBatches = uploads,
+        signal,
+    } = {}) {
+        this.downloads = downloads;
+        this.uploads = new Semaphore(uploads);
+        // Places for batches that are being imported or waiting to be
+        this.batches = new Semaphore(uploads + queuedBatches);
+        this.signal = signal;
+        this.stopped = false;
+        this.inFlight = new Set();
+    }
+
+    get stopping() {
+        return this.stopped || Boolean(this.signal?.aborted);
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Runs the worker for each item, `downloads` at a time, until all have
+     * run or the pool is stopped
+     * @param {Object[]} items
+     * @param {(item: Object, index: number) => Promise<void>} worker
+     * @returns {Promise<number>} items that were not started
+     */
+    async run(items, worker) {
+        let next = 0;
+        const take = async () => {
+            while (next < items.length && !this.stopping) {
+                const index = next++;
+                await worker(items[index], index);
+            }
+        };
+        await Promise.all(
+            Array.from(
+                { length: Math.min(this.downloads, items.length) },
+                take,
+            ),
+        );
+        return items.length - next;
+    }
+
+    /**
+     * Queues an import. Resolves once the batch has a place in the queue,
+     * which waits while the queue is full; the returned `done` settles with
+     * the import itself
+     * @param {() => Promise<*>} task
+     * @returns {Promise<{done: Promise<*>}>}
+     * @throws {InterruptedError} when the pool is stopping
+     */
+    async upload(task) {
+        if (this.stopping) throw new InterruptedError();
+        await this.batches.acquire();
+        if (this.stopping) {
+            this.batches.release();
+            throw new InterruptedError();
+        }
+        const done = (async () => {
+            try {
+                await this.uploads.acquire();
+                try {
+                    // Batches still waiting when the pool stops are dropped
+                    if (this.stopping) throw new InterruptedError();
+                    return await task();
+                } finally {
+                    this.uploads.release();
+                }
+            } finally {
+                this.batches.release();
+            }
+        })();
+        const settled = done
+            .catch(() => {})
+            .finally(() => this.inFlight.delete(settled));
+        this.inFlight.add(settled);
+        return { done };
+    }
+
+    /**
+     * Waits for every queued import to settle
+     */
+    async drain() {
+        while (this.inFlight.size) {
+            await Promise.all(this.inFlight);
+        }
+    }
+}
+
+module.exports = { WorkPool, InterruptedError };